@@ -4,688 +4,225 @@
  * Laravel Headless Browser Tester
  * Tests Laravel routes using Playwright headless browser
  *
- * Usage: node browser-test.js <route> [options]
+ * Usage: node browser-test.js <route> [<route>...] [options]
+ *        node browser-test.js <route> --session-start=<socket> [options]
+ *        node browser-test.js --session=<socket> <command> [<argument>]
+ *
+ * The tests themselves run through the Node API in lib/api.js; this script
+ * reads the arguments, prints the result and sets the exit code.
  */
 
-const { chromium } = require('playwright');
-const fs = require('fs');
+const { parseArgs, normalizeOptions } = require('../lib/options');
+const { runRouteTest, loadResources, launchBrowser, firstRoute } = require('../lib/api');
+const { NETWORK_PROFILES } = require('../lib/emulation');
+const { SESSION_COMMANDS, serveSession, startSessionDaemon, runSessionClient } = require('../lib/session');
+const { BATCH_SCHEMA } = require('../lib/batch');
+const { MATRIX_SCHEMA } = require('../lib/matrix');
+const { CRAWL_SCHEMA } = require('../lib/crawl');
+const { printReport, printBatchReport, printMatrixReport, printCrawlReport } = require('../lib/report');
+const { writeJunit, printTap } = require('../lib/ci-report');
+
+function printHelp() {
+    console.log('Laravel Headless Browser Tester');
+    console.log('');
+    console.log('Usage: node browser-test.js <route> [<route>...] [options]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --user-id=<id>         Test as specific user ID or username');
+    console.log('  --auth-key=<key>       Authentication key (required with --user-id)');
+    console.log('  --guard=<name>         Auth guard to log the user in on (default: the default guard)');
+    console.log('  --no-body              Suppress response body');
+    console.log('  --follow-redirects     Follow redirects and show chain');
+    console.log('  --headers              Display response headers');
+    console.log('  --console-log          Display all console output');
+    console.log('  --console-level=<lvl>  Only display console output at or above: debug, info, warning, error (implies --console-log)');
+    console.log('  --xhr-dump             Full XHR/fetch details');
+    console.log('  --xhr-list             Simple XHR URL list');
+    console.log('  --input-elements       List form inputs');
+    console.log('  --post=<json>          Send POST request');
+    console.log('  --method=<method>      HTTP method: GET, POST, PUT, PATCH or DELETE (default: POST with a body)');
+    console.log('  --form=<fields>        Send urlencoded form fields, e.g. name=Jane&role=admin');
+    console.log('  --file=<field>=@<path> Upload a file as multipart/form-data (repeatable)');
+    console.log('  --cookies              Display cookies');
+    console.log('  --load-state=<file>    Start with the cookies and storage of a Playwright storage state file');
+    console.log('  --save-state=<file>    Save cookies, localStorage and sessionStorage after the run');
+    console.log('  --set-cookie=<n>=<v>   Set a cookie for the application before navigation (repeatable)');
+    console.log('  --set-local-storage=<k>=<v> Set a localStorage item before navigation (repeatable)');
+    console.log('  --wait-for=<selector>  Wait for element');
+    console.log('  --expect-element=<sel> Verify element exists');
+    console.log('  --expect-status=<code> Expected status, e.g. 200 or 2xx; replaces the >= 400 rule (repeatable: any of)');
+    console.log('  --expect-text=<text>   Page text contains text or matches /regex/ (repeatable)');
+    console.log('  --expect-no-text=<t>   Page text does not contain text or match /regex/ (repeatable)');
+    console.log('  --expect-title=<text>  Page title equals text or matches /regex/ (repeatable)');
+    console.log('  --expect-url=<glob>    Final URL after redirects matches a glob or /regex/ (repeatable)');
+    console.log('  --expect-count=<s>:<n> Number of elements matching a selector, e.g. .row:3 or .row:>=1 (repeatable)');
+    console.log('  --expect-visible=<sel> Element exists and is visible (repeatable)');
+    console.log('  --expect-xhr=<m u s>   XHR/fetch request made with a status, e.g. "POST /api/* 2xx" (repeatable)');
+    console.log('  --allow-console=<text> Ignore console errors containing text or matching /regex/ (repeatable)');
+    console.log('  --allow-network=<glob> Ignore failed requests to URLs matching a glob or /regex/ (repeatable)');
+    console.log('  --dump-element=<sel>   Extract element HTML');
+    console.log('  --dump-dimensions=<sel> Add layout dimensions to matching elements');
+    console.log('  --layout-check         Report overflow, overlaps, clipped text and other layout problems');
+    console.log('  --layout-widths=<list> Check the layout at each width, e.g. 375,768,1280 (implies --layout-check)');
+    console.log('  --layout-fail          Fail when the layout check finds problems (implies --layout-check)');
+    console.log('  --snapshot=<name>      Compare the --dump-element element (default: body) with a stored DOM snapshot');
+    console.log('  --snapshot-dir=<dir>   Directory of DOM snapshots (default: tests/browser/snapshots)');
+    console.log('  --update-snapshots     Replace stored DOM snapshots with the current HTML');
+    console.log('  --storage              Display localStorage/sessionStorage');
+    console.log('  --eval=<code>          Execute async JavaScript after page loads (supports await)');
+    console.log('                         Example: --eval="$(\'button\').click(); await new Promise(r => setTimeout(r, 2000));"');
+    console.log('  --scenario=<file>      Run the steps in a JSON or YAML scenario file after load');
+    console.log('  --timeout=<ms>         Navigation timeout (default: 30000)');
+    console.log('  --screenshot-path=<p>  Save screenshot');
+    console.log('  --screenshot-width=<w> Width (px or a device preset: mobile, tablet, desktop)');
+    console.log('  --device=<name>        Emulate a device preset or Playwright device, e.g. mobile, "iPhone 13"');
+    console.log('  --browser=<engine>     Browser engine: chromium (default), firefox or webkit');
+    console.log('  --color-scheme=<s>     Emulate prefers-color-scheme: light, dark or no-preference');
+    console.log('  --reduced-motion       Emulate prefers-reduced-motion: reduce');
+    console.log('  --locale=<locale>      Browser locale and Accept-Language, e.g. de-DE');
+    console.log('  --timezone=<id>        Timezone, e.g. America/New_York');
+    console.log('  --geolocation=<lat,lng> Position reported to the page (grants the geolocation permission)');
+    console.log('  --permissions=<list>   Grant permissions, e.g. notifications,clipboard-read');
+    console.log('  --offline              Go offline once the route has loaded');
+    console.log(`  --network=<profile>    Throttle the network: ${Object.keys(NETWORK_PROFILES).join(', ')} (Chromium only)`);
+    console.log('  --cpu-throttle=<n>     Slow the CPU down n times, e.g. 4 (Chromium only)');
+    console.log('  --visual-baseline=<d>  Compare a screenshot with the baseline stored in a directory');
+    console.log('  --visual-threshold=<p> Percentage of pixels allowed to differ (default: 0.1)');
+    console.log('  --visual-mask=<sel>    Mask volatile elements before visual capture');
+    console.log('  --update-baseline      Replace the stored baseline with the current screenshot');
+    console.log('  --har=<path>           Write all network traffic to a HAR 1.2 file');
+    console.log('  --har-body-limit=<kb>  Largest response body stored in the HAR (default: 1024)');
+    console.log('  --trace=<path>         Record a Playwright trace (DOM snapshots, network, console) to a zip file');
+    console.log('  --video=<dir>          Record a video of the page into a directory');
+    console.log('  --artifacts=<mode>     Keep traces and videos: always (default) or on-failure');
+    console.log('  --mock=<file>          Fulfill, delay or abort requests using rules from a JSON or YAML file');
+    console.log('  --block-external       Abort every request outside BASE_URL');
+    console.log('  --a11y                 Audit the page for accessibility problems');
+    console.log('  --a11y-tree=<sel>      Dump the accessibility tree of an element (implies --a11y)');
+    console.log('  --a11y-fail-on=<level> Fail on findings at or above: minor, moderate, serious, critical (implies --a11y)');
+    console.log('  --security             Audit security headers, cookie flags, CSRF tokens, CSP violations and mixed content');
+    console.log('  --security-fail-on=<l> Fail on security findings at or above: low, medium, high (implies --security)');
+    console.log('  --perf                 Collect load timings, LCP, CLS, long tasks and resource sizes');
+    console.log('  --budget=<list>        Fail when metrics exceed limits, e.g. ttfb:300,lcp:2500,js-kb:500 (implies --perf)');
+    console.log('  --full                 Enable all display options');
+    console.log('  --format=<format>      Output format: text (default), json or tap');
+    console.log('  --tap                  Print TAP version 13 (same as --format=tap)');
+    console.log('  --junit=<path>         Also write a JUnit XML file of routes, assertions and scenario steps');
+    console.log('  --plugin=<file>        Load a plugin module with beforeNavigate, afterLoad, collect or report hooks (repeatable)');
+    console.log('');
+    console.log('Browser session (one live page shared by many commands):');
+    console.log('  --session-start=<sock> Open the route in a background browser listening on a socket');
+    console.log('  --session=<sock> <cmd> Run a command against the session, or open a prompt with "repl"');
+    SESSION_COMMANDS.forEach(([usage, description]) => console.log(`      ${usage.padEnd(26)} ${description}`));
+    console.log('');
+    console.log('Authorization matrix (one route as several users):');
+    console.log('  --users=<list>         Users to test as, e.g. 1,2,guest,admin@example.com');
+    console.log('  --matrix-selector=<s>  Show whether an element is present for each user (repeatable)');
+    console.log('  --matrix-text=<sel>    Diff the text of an element against the first user');
+    console.log('  --expect-access=<json|file> Expected status or URL per user, e.g. {"guest":"/login","2":403}');
+    console.log('');
+    console.log('Crawl (follow same-origin links from the route):');
+    console.log('  --crawl[=<depth>]      Follow links up to a depth (default: 2), reporting broken links and assets');
+    console.log('  --crawl-limit=<n>      Maximum number of pages to visit (default: 50)');
+    console.log('  --crawl-include=<glob> Only follow links matching a glob or /regex/ (repeatable)');
+    console.log('  --crawl-exclude=<glob> Never follow links matching a glob or /regex/ (repeatable)');
+    console.log('');
+    console.log('Batch mode (several routes or --routes-file):');
+    console.log('  --routes-file=<file>   Read routes from a file, one per line');
+    console.log('  --bindings=<json|file> Values for route parameters, e.g. {"user":1}');
+    console.log('  --concurrency=<n>      Pages tested in parallel (default: 4)');
+}
 
-const DEVICE_PRESETS = {
-    'mobile': 375,
-    'tablet': 768,
-    'desktop': 1920
-};
+/**
+ * Print an error about the arguments and exit.
+ */
+function fail(message) {
+    console.error(`Error: ${message}`);
+    process.exit(1);
+}
 
-function parseArgs() {
+(async () => {
     const args = process.argv.slice(2);
 
     if (args.length === 0 || args.includes('--help')) {
-        console.log('Laravel Headless Browser Tester');
-        console.log('');
-        console.log('Usage: node browser-test.js <route> [options]');
-        console.log('');
-        console.log('Options:');
-        console.log('  --user-id=<id>         Test as specific user ID or username');
-        console.log('  --auth-key=<key>       Authentication key (required with --user-id)');
-        console.log('  --no-body              Suppress response body');
-        console.log('  --follow-redirects     Follow redirects and show chain');
-        console.log('  --headers              Display response headers');
-        console.log('  --console-log          Display all console output');
-        console.log('  --xhr-dump             Full XHR/fetch details');
-        console.log('  --xhr-list             Simple XHR URL list');
-        console.log('  --input-elements       List form inputs');
-        console.log('  --post=<json>          Send POST request');
-        console.log('  --cookies              Display cookies');
-        console.log('  --wait-for=<selector>  Wait for element');
-        console.log('  --expect-element=<sel> Verify element exists');
-        console.log('  --dump-element=<sel>   Extract element HTML');
-        console.log('  --dump-dimensions=<sel> Add layout dimensions to matching elements');
-        console.log('  --storage              Display localStorage/sessionStorage');
-        console.log('  --eval=<code>          Execute async JavaScript after page loads (supports await)');
-        console.log('                         Example: --eval="$(\'button\').click(); await new Promise(r => setTimeout(r, 2000));"');
-        console.log('  --timeout=<ms>         Navigation timeout (default: 30000)');
-        console.log('  --screenshot-path=<p>  Save screenshot');
-        console.log('  --screenshot-width=<w> Width (px or: mobile, tablet, desktop)');
-        console.log('  --full                 Enable all display options');
+        printHelp();
         process.exit(0);
     }
 
-    const options = {
-        route: null,
-        user_id: null,
-        auth_key: null,
-        no_body: false,
-        follow_redirects: false,
-        headers: false,
-        console_log: false,
-        xhr_dump: false,
-        xhr_list: false,
-        input_elements: false,
-        post_data: null,
-        cookies: false,
-        wait_for: null,
-        expect_element: null,
-        dump_element: null,
-        dump_dimensions: null,
-        storage: false,
-        eval_code: null,
-        timeout: 30000,
-        screenshot_width: null,
-        screenshot_path: null,
-        full: false
-    };
-
-    for (const arg of args) {
-        if (arg.startsWith('--user-id=')) {
-            options.user_id = arg.split('=')[1];
-        } else if (arg.startsWith('--auth-key=')) {
-            options.auth_key = arg.split('=')[1];
-        } else if (arg === '--no-body') {
-            options.no_body = true;
-        } else if (arg === '--follow-redirects') {
-            options.follow_redirects = true;
-        } else if (arg === '--headers') {
-            options.headers = true;
-        } else if (arg === '--console-log') {
-            options.console_log = true;
-        } else if (arg === '--xhr-dump') {
-            options.xhr_dump = true;
-        } else if (arg === '--xhr-list') {
-            options.xhr_list = true;
-        } else if (arg === '--input-elements') {
-            options.input_elements = true;
-        } else if (arg.startsWith('--post=')) {
-            const postData = arg.substring(7);
-            try {
-                options.post_data = JSON.parse(postData);
-            } catch (e) {
-                options.post_data = postData;
-            }
-        } else if (arg === '--cookies') {
-            options.cookies = true;
-        } else if (arg.startsWith('--wait-for=')) {
-            options.wait_for = arg.substring(11);
-        } else if (arg.startsWith('--expect-element=')) {
-            options.expect_element = arg.substring(17);
-        } else if (arg.startsWith('--dump-element=')) {
-            options.dump_element = arg.substring(15);
-        } else if (arg.startsWith('--dump-dimensions=')) {
-            options.dump_dimensions = arg.substring(18);
-        } else if (arg === '--storage') {
-            options.storage = true;
-        } else if (arg === '--full') {
-            options.full = true;
-        } else if (arg.startsWith('--eval=')) {
-            options.eval_code = arg.substring(7);
-        } else if (arg.startsWith('--timeout=')) {
-            options.timeout = parseInt(arg.substring(10));
-        } else if (arg.startsWith('--screenshot-width=')) {
-            const width = arg.substring(19);
-            options.screenshot_width = DEVICE_PRESETS[width] || parseInt(width);
-        } else if (arg.startsWith('--screenshot-path=')) {
-            options.screenshot_path = arg.substring(18);
-        } else if (!arg.startsWith('--')) {
-            options.route = arg;
-        }
-    }
-
-    if (!options.route) {
-        console.error('Error: Route argument required');
-        process.exit(1);
-    }
-
-    if (!options.route.startsWith('/')) {
-        options.route = '/' + options.route;
-    }
-
-    if (options.full) {
-        options.headers = true;
-        options.console_log = true;
-        options.xhr_dump = true;
-        options.input_elements = true;
-        options.cookies = true;
-        options.storage = true;
-    }
-
-    return options;
-}
-
-(async () => {
-    const options = parseArgs();
-
-    const baseUrl = process.env.BASE_URL || 'http://localhost';
-    const fullUrl = baseUrl + options.route;
-    const laravelLogPath = process.env.LARAVEL_LOG_PATH || '/var/www/html/storage/logs/laravel.log';
-
-    // Launch headless browser
-    const browser = await chromium.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
-
-    const contextOptions = { ignoreHTTPSErrors: true };
-
-    if (options.screenshot_path) {
-        const width = options.screenshot_width || 1920;
-        contextOptions.viewport = { width, height: 1080 };
-        options.screenshot_width = width;
-    }
-
-    const context = await browser.newContext(contextOptions);
-    const page = await context.newPage();
-
-    // Collect console output
-    const consoleErrors = [];
-    const consoleMessages = [];
-
-    page.on('pageerror', error => {
-        consoleErrors.push(`[UNCAUGHT] ${error.message}`);
-    });
-
-    page.on('console', msg => {
-        const type = msg.type();
-        const text = msg.text();
-
-        if (type === 'error') {
-            consoleErrors.push(`[ERROR] ${text}`);
-        }
-
-        if (options.console_log) {
-            consoleMessages.push({ type, text });
-        }
-    });
-
-    // Collect network failures
-    const networkFailures = [];
-    page.on('requestfailed', request => {
-        networkFailures.push(request.url());
-    });
-
-    // Collect XHR requests
-    const xhrRequests = [];
-    if (options.xhr_dump || options.xhr_list) {
-        page.on('request', request => {
-            const type = request.resourceType();
-            if (type === 'xhr' || type === 'fetch') {
-                xhrRequests.push({
-                    url: request.url(),
-                    method: request.method(),
-                    headers: request.headers(),
-                    postData: request.postData(),
-                    response: null
-                });
-            }
-        });
-
-        page.on('response', async response => {
-            const request = response.request();
-            const type = request.resourceType();
-            if (type === 'xhr' || type === 'fetch') {
-                const xhr = xhrRequests.find(r => r.url === request.url() && !r.response);
-                if (xhr) {
-                    xhr.response = {
-                        status: response.status(),
-                        headers: response.headers()
-                    };
-                    try {
-                        xhr.response.body = await response.text();
-                    } catch (e) {
-                        // Ignore
-                    }
-                }
-            }
-        });
-    }
-
-    // Track redirects
-    const redirectChain = [];
-    if (options.follow_redirects) {
-        page.on('response', response => {
-            const status = response.status();
-            if (status >= 300 && status < 400) {
-                const location = response.headers()['location'];
-                if (location) {
-                    redirectChain.push({ url: response.url(), status, location });
-                }
-            }
-        });
-    }
-
-    // Set up request headers
-    const extraHeaders = {
-        'X-Headless-Test': '1'
-    };
-
-    if (options.user_id) {
-        extraHeaders['X-Dev-Auth-User-Id'] = options.user_id;
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (e) {
+        fail(e.message);
     }
 
-    if (options.auth_key) {
-        extraHeaders['X-Dev-Auth-Key'] = options.auth_key;
+    if (options.session) {
+        process.exit(await runSessionClient(options.session, options.session_command, options));
     }
 
-    await page.route('**/*', async (route, request) => {
-        const url = request.url();
-        if (url.startsWith(baseUrl)) {
-            await route.continue({
-                headers: { ...request.headers(), ...extraHeaders }
-            });
-        } else {
-            await route.continue();
-        }
-    });
-
-    // Navigate to route
-    let response;
-
-    if (options.post_data) {
-        await page.goto('about:blank');
-        const fetchResult = await page.evaluate(async ({ url, data, headers }) => {
-            const body = typeof data === 'object' ? JSON.stringify(data) : data;
-            const contentType = typeof data === 'object' ? 'application/json' : 'application/x-www-form-urlencoded';
-
-            const resp = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': contentType, ...headers },
-                body
-            });
-
-            return {
-                status: resp.status,
-                headers: Object.fromEntries(resp.headers.entries()),
-                body: await resp.text(),
-                url: resp.url
-            };
-        }, { url: fullUrl, data: options.post_data, headers: extraHeaders });
-
-        response = {
-            status: () => fetchResult.status,
-            headers: () => fetchResult.headers,
-            url: () => fetchResult.url
-        };
-
-        if (fetchResult.headers['content-type']?.includes('text/html')) {
-            await page.setContent(fetchResult.body, { waitUntil: 'networkidle' });
-        }
-    } else {
-        const maxRetries = 3;
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                response = await page.goto(fullUrl, {
-                    waitUntil: 'networkidle',
-                    timeout: options.timeout
-                });
-                break;
-            } catch (error) {
-                if (error.message.includes('ERR_CONNECTION_REFUSED') && attempt < maxRetries) {
-                    const delay = Math.pow(2, attempt - 1) * 1000;
-                    console.error(`Connection refused, retrying in ${delay}ms...`);
-                    await new Promise(r => setTimeout(r, delay));
-                } else {
-                    console.log(`FAIL ${fullUrl} - ${error.message}`);
-                    await browser.close();
-                    process.exit(1);
-                }
-            }
-        }
+    try {
+        options = normalizeOptions(options);
+    } catch (e) {
+        fail(e.message);
     }
 
-    if (!response) {
-        console.log(`FAIL ${fullUrl} - No response`);
-        await browser.close();
-        process.exit(1);
-    }
-
-    // Wait for page to stabilize
-    await page.evaluate(() => {
-        return new Promise(resolve => {
-            if (document.readyState === 'complete') {
-                setTimeout(resolve, 300);
-            } else {
-                window.addEventListener('load', () => setTimeout(resolve, 300));
-            }
-        });
-    });
-
-    // Wait for specific element if requested
-    if (options.wait_for) {
+    if (options.session_start) {
         try {
-            await page.waitForSelector(options.wait_for, { timeout: options.timeout });
+            await startSessionDaemon(options.session_start, args, options.timeout);
         } catch (e) {
-            console.log(`Warning: Element '${options.wait_for}' not found`);
+            fail(e.message);
         }
+        process.exit(await runSessionClient(options.session_start, ['status'], options));
     }
 
-    // Verify element exists
-    if (options.expect_element) {
-        const exists = await page.evaluate(sel => document.querySelector(sel) !== null, options.expect_element);
-        if (!exists) {
-            console.log(`FAIL: Expected element '${options.expect_element}' not found`);
-            await browser.close();
-            process.exit(1);
-        }
-    }
-
-    // Add layout dimensions to elements
-    if (options.dump_dimensions) {
-        const dimensionsResult = await page.evaluate((selector) => {
-            const elements = document.querySelectorAll(selector);
-            if (elements.length === 0) {
-                return { count: 0, error: 'No elements found' };
-            }
-
-            let count = 0;
-            elements.forEach((elem) => {
-                const rect = elem.getBoundingClientRect();
-                const style = window.getComputedStyle(elem);
-
-                // Parse margin values and round to nearest pixel
-                const marginTop = Math.round(parseFloat(style.marginTop) || 0);
-                const marginRight = Math.round(parseFloat(style.marginRight) || 0);
-                const marginBottom = Math.round(parseFloat(style.marginBottom) || 0);
-                const marginLeft = Math.round(parseFloat(style.marginLeft) || 0);
-
-                // Parse padding values and round to nearest pixel
-                const paddingTop = Math.round(parseFloat(style.paddingTop) || 0);
-                const paddingRight = Math.round(parseFloat(style.paddingRight) || 0);
-                const paddingBottom = Math.round(parseFloat(style.paddingBottom) || 0);
-                const paddingLeft = Math.round(parseFloat(style.paddingLeft) || 0);
-
-                // Format margin - use shorthand if all same, otherwise 4 values
-                let margin;
-                if (marginTop === marginRight && marginRight === marginBottom && marginBottom === marginLeft) {
-                    margin = marginTop;
-                } else {
-                    margin = `${marginTop} ${marginRight} ${marginBottom} ${marginLeft}`;
-                }
-
-                // Format padding - use shorthand if all same, otherwise 4 values
-                let padding;
-                if (paddingTop === paddingRight && paddingRight === paddingBottom && paddingBottom === paddingLeft) {
-                    padding = paddingTop;
-                } else {
-                    padding = `${paddingTop} ${paddingRight} ${paddingBottom} ${paddingLeft}`;
-                }
-
-                const dimensions = {
-                    x: Math.round(rect.x),
-                    y: Math.round(rect.y),
-                    w: Math.round(rect.width),
-                    h: Math.round(rect.height),
-                    margin: margin,
-                    padding: padding
-                };
-
-                elem.setAttribute('data-dimensions', JSON.stringify(dimensions));
-                count++;
-            });
-
-            return { count: count };
-        }, options.dump_dimensions);
-
-        if (dimensionsResult.error) {
-            console.log(`\nWarning: ${dimensionsResult.error} for selector '${options.dump_dimensions}'`);
-        } else {
-            console.log(`\nDimensions: Added data-dimensions to ${dimensionsResult.count} element(s) matching '${options.dump_dimensions}'`);
-        }
-    }
-
-    // Dump element HTML
-    if (options.dump_element) {
-        const html = await page.evaluate(sel => {
-            const el = document.querySelector(sel);
-            return el ? el.outerHTML : null;
-        }, options.dump_element);
-
-        if (html) {
-            console.log(`\nElement '${options.dump_element}':`);
-            console.log(html);
-            console.log('');
-        } else {
-            console.log(`Warning: Element '${options.dump_element}' not found`);
-        }
-    }
-
-    // Execute JavaScript (supports async/await for post-load interactions)
-    // This runs AFTER page is fully loaded and ready
-    if (options.eval_code) {
+    if (options.session_serve) {
+        let resources;
         try {
-            const result = await page.evaluate(async (code) => {
-                try {
-                    // Wrap code in async function to support await
-                    const asyncFunc = new Function('return (async () => { ' + code + ' })()');
-                    const r = await asyncFunc();
-
-                    // Convert result to string representation
-                    if (r === undefined) return 'undefined';
-                    if (r === null) return 'null';
-                    if (typeof r === 'object') {
-                        try {
-                            return JSON.stringify(r, null, 2);
-                        } catch (e) {
-                            return String(r);
-                        }
-                    }
-                    return String(r);
-                } catch (e) {
-                    return `Error: ${e.message}`;
-                }
-            }, options.eval_code);
-
-            console.log('\nJavaScript Result:');
-            console.log(result);
-            console.log('');
+            resources = loadResources(options);
         } catch (e) {
-            console.log(`\nJavaScript Error: ${e.message}\n`);
-        }
-    }
-
-    // Get response info
-    const status = response.status();
-    const responseHeaders = response.headers();
-    const body = await page.content();
-
-    // Output status line
-    let output = `${status} ${fullUrl}`;
-    if (options.post_data) output += ' method:POST';
-    if (options.user_id) output += ` user:${options.user_id}`;
-    if (responseHeaders['content-type']) {
-        output += ` type:${responseHeaders['content-type'].split(';')[0]}`;
-    }
-    if (consoleErrors.length > 0) output += ` console-errors:${consoleErrors.length}`;
-    if (networkFailures.length > 0) output += ` network-failures:${networkFailures.length}`;
-
-    console.log(output);
-
-    // Show redirect chain
-    if (options.follow_redirects && redirectChain.length > 0) {
-        console.log('\nRedirect Chain:');
-        redirectChain.forEach((r, i) => {
-            console.log(`  ${i + 1}. ${r.status} ${r.url} -> ${r.location}`);
-        });
-        console.log(`  ${redirectChain.length + 1}. ${status} ${response.url()} (final)`);
-    } else if ([301, 302, 303, 307, 308].includes(status) && responseHeaders['location']) {
-        console.log(`Redirect Location: ${responseHeaders['location']}`);
-    }
-
-    console.log('');
-
-    // Console output
-    if (options.console_log && consoleMessages.length > 0) {
-        console.log('Console Output:');
-        consoleMessages.forEach(m => console.log(`  [${m.type}] ${m.text}`));
-        console.log('');
-    } else if (consoleErrors.length > 0) {
-        console.log('Console Errors:');
-        consoleErrors.forEach(e => console.log(`  ${e}`));
-        console.log('');
+            fail(e.message);
+        }
+        const browser = await launchBrowser(options);
+        // Runs until the session is stopped
+        await serveSession(browser, options.session_serve, firstRoute(options), options, resources);
+        return;
+    }
+
+    let result;
+    try {
+        result = await runRouteTest(options);
+    } catch (e) {
+        fail(e.message);
+    }
+
+    let reports = [result];
+    if (result.schema === MATRIX_SCHEMA) {
+        reports = result.users.map(u => u.report);
+    } else if (result.schema === BATCH_SCHEMA) {
+        reports = result.routes;
+    } else if (result.schema === CRAWL_SCHEMA) {
+        reports = result.pages;
+    }
+
+    if (options.format === 'tap') {
+        printTap(reports, result.skipped);
+    } else if (result.schema === MATRIX_SCHEMA) {
+        printMatrixReport(result, options);
+    } else if (result.schema === BATCH_SCHEMA) {
+        printBatchReport(result, options);
+    } else if (result.schema === CRAWL_SCHEMA) {
+        printCrawlReport(result, options);
     } else {
-        console.log('Console Errors: None');
-        console.log('');
-    }
-
-    // Response headers
-    if (options.headers) {
-        console.log('Response Headers:');
-        Object.keys(responseHeaders).sort().forEach(h => {
-            console.log(`  ${h}: ${responseHeaders[h]}`);
-        });
-        console.log('');
-    }
-
-    // Network failures
-    if (networkFailures.length > 0) {
-        console.log('Network Failures:');
-        networkFailures.forEach(u => console.log(`  ${u}`));
-        console.log('');
-    }
-
-    // XHR requests
-    if ((options.xhr_dump || options.xhr_list) && xhrRequests.length > 0) {
-        await new Promise(r => setTimeout(r, 500));
-
-        if (options.xhr_list) {
-            console.log('XHR/Fetch Requests:');
-            xhrRequests.forEach(x => {
-                const status = x.response ? x.response.status : 'pending';
-                console.log(`  ${x.method} ${x.url} - ${status}`);
-            });
-            console.log('');
-        }
-
-        if (options.xhr_dump) {
-            console.log('XHR/Fetch Details:');
-            xhrRequests.forEach(x => {
-                console.log(`  ${x.method} ${x.url}`);
-                if (x.postData) console.log(`    Body: ${x.postData}`);
-                if (x.response) {
-                    console.log(`    Status: ${x.response.status}`);
-                    if (x.response.body) console.log(`    Response: ${x.response.body}`);
-                }
-                console.log('');
-            });
-        }
-    }
-
-    // Input elements
-    if (options.input_elements) {
-        const inputs = await page.evaluate(() => {
-            return Array.from(document.querySelectorAll('input, select, textarea')).map(el => ({
-                tag: el.tagName.toLowerCase(),
-                type: el.type || '',
-                name: el.name || '',
-                id: el.id || '',
-                value: el.type !== 'password' ? el.value : '[hidden]',
-                required: el.required,
-                disabled: el.disabled
-            }));
-        });
-
-        console.log('Form Inputs:');
-        if (inputs.length > 0) {
-            inputs.forEach(i => {
-                let desc = `  <${i.tag}`;
-                if (i.type) desc += ` type="${i.type}"`;
-                if (i.name) desc += ` name="${i.name}"`;
-                if (i.id) desc += ` id="${i.id}"`;
-                desc += '>';
-                if (i.value) desc += ` value="${i.value}"`;
-                if (i.required) desc += ' [required]';
-                if (i.disabled) desc += ' [disabled]';
-                console.log(desc);
-            });
-        } else {
-            console.log('  None');
-        }
-        console.log('');
+        printReport(result, options);
     }
 
-    // Cookies
-    if (options.cookies) {
-        const cookies = await context.cookies();
-        console.log('Cookies:');
-        if (cookies.length > 0) {
-            cookies.forEach(c => {
-                console.log(`  ${c.name}: ${c.value}`);
-                if (c.domain) console.log(`    Domain: ${c.domain}`);
-                if (c.expires) console.log(`    Expires: ${new Date(c.expires * 1000).toISOString()}`);
-            });
-        } else {
-            console.log('  None');
-        }
-        console.log('');
-    }
-
-    // Storage
-    if (options.storage) {
-        const storage = await page.evaluate(() => ({
-            local: Object.fromEntries(Object.keys(localStorage).map(k => [k, localStorage.getItem(k)])),
-            session: Object.fromEntries(Object.keys(sessionStorage).map(k => [k, sessionStorage.getItem(k)]))
-        }));
-
-        console.log('localStorage:');
-        const localKeys = Object.keys(storage.local);
-        if (localKeys.length > 0) {
-            localKeys.forEach(k => console.log(`  ${k}: ${storage.local[k]}`));
-        } else {
-            console.log('  (empty)');
-        }
-        console.log('');
-
-        console.log('sessionStorage:');
-        const sessionKeys = Object.keys(storage.session);
-        if (sessionKeys.length > 0) {
-            sessionKeys.forEach(k => console.log(`  ${k}: ${storage.session[k]}`));
-        } else {
-            console.log('  (empty)');
-        }
-        console.log('');
-    }
-
-    // Response body
-    if (!options.no_body) {
-        console.log('Response Body:');
-        if (body && body.trim()) {
-            console.log(body);
-        } else {
-            console.log('(empty)');
-            if (status === 500 && fs.existsSync(laravelLogPath)) {
-                console.log('\nLaravel Log:');
-                try {
-                    const log = fs.readFileSync(laravelLogPath, 'utf8');
-                    const lines = log.trim().split('\n').slice(-50);
-                    console.log(lines.join('\n'));
-                } catch (e) {
-                    console.log(`Error reading log: ${e.message}`);
-                }
-            }
-        }
-    }
-
-    // Screenshot
-    if (options.screenshot_path) {
+    if (options.junit) {
         try {
-            const height = await page.evaluate(() => document.documentElement.scrollHeight);
-            await page.screenshot({
-                path: options.screenshot_path,
-                fullPage: true,
-                clip: {
-                    x: 0,
-                    y: 0,
-                    width: options.screenshot_width,
-                    height: Math.min(5000, height)
-                }
-            });
-            console.log(`\nScreenshot saved: ${options.screenshot_path} (${options.screenshot_width}px)`);
+            writeJunit(options.junit, reports, result.skipped);
         } catch (e) {
-            console.error(`Screenshot failed: ${e.message}`);
+            console.error(`Error: Could not write JUnit report: ${e.message}`);
         }
     }
 
-    await browser.close();
-
-    if (status >= 400 || consoleErrors.length > 0 || networkFailures.length > 0) {
-        process.exit(1);
-    }
-    process.exit(0);
+    process.exit(result.exit_code);
 })();
@@ -39,15 +39,40 @@ return [
     | Device Presets
     |--------------------------------------------------------------------------
     |
-    | Named device configurations for responsive testing.
+    | Named device configurations for responsive testing, used by
+    | --screenshot-width and --device. Presets may also set
+    | device_scale_factor, is_mobile, has_touch and user_agent.
+    | --device also accepts Playwright's device names, e.g. "iPhone 13".
     |
     */
     'devices' => [
-        'mobile' => ['width' => 375, 'height' => 667],
-        'tablet' => ['width' => 768, 'height' => 1024],
+        'mobile' => ['width' => 375, 'height' => 667, 'device_scale_factor' => 2, 'is_mobile' => true, 'has_touch' => true],
+        'tablet' => ['width' => 768, 'height' => 1024, 'device_scale_factor' => 2, 'is_mobile' => true, 'has_touch' => true],
         'desktop' => ['width' => 1920, 'height' => 1080],
     ],
 
+    /*
+    |--------------------------------------------------------------------------
+    | DOM Snapshots
+    |--------------------------------------------------------------------------
+    |
+    | Where --snapshot stores snapshots (relative to the application root),
+    | and what is scrubbed before comparing. CSRF tokens, nonces and Livewire
+    | ids are always scrubbed. Attributes ending in * match by prefix, e.g.
+    | 'data-v-*'. Text and attribute values matching a pattern (a regular
+    | expression without delimiters) are replaced with [volatile].
+    |
+    */
+    'snapshots' => [
+        'path' => 'tests/browser/snapshots',
+        'volatile_attributes' => [
+            // 'data-v-*',
+        ],
+        'volatile_patterns' => [
+            // '\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}',
+        ],
+    ],
+
     /*
     |--------------------------------------------------------------------------
     | Authentication Model
@@ -78,4 +103,16 @@ return [
     |
     */
     'session_cookie' => env('SESSION_COOKIE', 'laravel_session'),
+
+    /*
+    |--------------------------------------------------------------------------
+    | Log Channel
+    |--------------------------------------------------------------------------
+    |
+    | The logging channel whose file is read for entries written during a
+    | test run. If null, defaults to the application's default channel.
+    | Stack channels use their first member that writes to a file.
+    |
+    */
+    'log_channel' => env('HEADLESS_TESTER_LOG_CHANNEL', null),
 ];
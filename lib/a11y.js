@@ -0,0 +1,255 @@
+/**
+ * Accessibility audit
+ *
+ * Inspects the rendered page for common accessibility problems and reports
+ * each finding with a selector and a severity (minor, moderate, serious,
+ * critical, following the impact levels used by axe).
+ */
+
+const { sortBySeverity, evaluateAudit } = require('./audit');
+
+const SEVERITIES = ['minor', 'moderate', 'serious', 'critical'];
+
+// Cap on text elements checked for contrast, to keep huge pages fast
+const MAX_CONTRAST_CHECKS = 1000;
+
+/**
+ * Run every check on the page and return the findings, most severe first.
+ */
+async function runA11yAudit(page) {
+    const findings = await evaluateAudit(page, auditPage, { maxContrastChecks: MAX_CONTRAST_CHECKS });
+    return sortBySeverity(findings, SEVERITIES);
+}
+
+/**
+ * Accessibility tree of the first element matching a selector, as a YAML-like outline.
+ */
+async function a11yTree(page, selector, timeout) {
+    return page.locator(selector).first().ariaSnapshot({ timeout });
+}
+
+/**
+ * Runs inside the page, with cssPath() from audit.js.
+ */
+function auditPage({ maxContrastChecks }) {
+    const findings = [];
+    const add = (rule, severity, el, message) => findings.push({
+        rule,
+        severity,
+        selector: el && el !== document.documentElement ? cssPath(el) : 'html',
+        message
+    });
+
+    function isVisible(el) {
+        if (!el.getClientRects().length) {
+            return false;
+        }
+        const style = getComputedStyle(el);
+        return style.visibility !== 'hidden' && style.display !== 'none';
+    }
+
+    function textOfIds(ids) {
+        return ids.split(/\s+/)
+            .map(id => document.getElementById(id))
+            .filter(Boolean)
+            .map(el => el.textContent)
+            .join(' ')
+            .trim();
+    }
+
+    function contentName(el) {
+        const text = (el.innerText || el.textContent || '').trim();
+        if (text) {
+            return text;
+        }
+        const img = el.querySelector('img[alt]:not([alt=""]), svg title, [aria-label]');
+        if (img) {
+            return (img.getAttribute('alt') || img.getAttribute('aria-label') || img.textContent || '').trim();
+        }
+        return '';
+    }
+
+    function accessibleName(el) {
+        const labelledBy = el.getAttribute('aria-labelledby');
+        if (labelledBy && textOfIds(labelledBy)) {
+            return textOfIds(labelledBy);
+        }
+        const ariaLabel = (el.getAttribute('aria-label') || '').trim();
+        if (ariaLabel) {
+            return ariaLabel;
+        }
+
+        const tag = el.tagName.toLowerCase();
+        const type = (el.getAttribute('type') || '').toLowerCase();
+
+        if (tag === 'input' && ['submit', 'reset', 'button'].includes(type)) {
+            return (el.value || '').trim() || (type === 'submit' ? 'Submit' : (type === 'reset' ? 'Reset' : ''));
+        }
+        if (tag === 'input' && type === 'image') {
+            return (el.getAttribute('alt') || '').trim();
+        }
+        if (['input', 'select', 'textarea'].includes(tag)) {
+            const labels = el.labels ? Array.from(el.labels).map(l => l.textContent.trim()).join(' ').trim() : '';
+            if (labels) {
+                return labels;
+            }
+        } else {
+            const content = contentName(el);
+            if (content) {
+                return content;
+            }
+        }
+
+        return (el.getAttribute('title') || '').trim();
+    }
+
+    // Document language
+    if (!(document.documentElement.getAttribute('lang') || '').trim()) {
+        add('html-lang', 'serious', document.documentElement, '<html> element has no lang attribute');
+    }
+
+    // Images without alt text
+    document.querySelectorAll('img').forEach(img => {
+        if (!img.hasAttribute('alt') && img.getAttribute('role') !== 'presentation' && !img.getAttribute('aria-label') && !img.getAttribute('aria-labelledby')) {
+            add('image-alt', 'serious', img, `Image has no alt attribute (${img.getAttribute('src') || 'no src'})`);
+        }
+    });
+
+    // Form controls without an accessible name
+    document.querySelectorAll('input, select, textarea').forEach(el => {
+        const type = (el.getAttribute('type') || '').toLowerCase();
+        if (type === 'hidden' || ['submit', 'reset', 'button', 'image'].includes(type)) {
+            return;
+        }
+        if (!accessibleName(el)) {
+            const placeholder = (el.getAttribute('placeholder') || '').trim();
+            if (placeholder) {
+                add('label', 'moderate', el, `Form control is labelled only by its placeholder "${placeholder}"`);
+            } else {
+                add('label', 'critical', el, 'Form control has no label or accessible name');
+            }
+        }
+    });
+
+    // Buttons with empty names
+    document.querySelectorAll('button, [role="button"], input[type="submit"], input[type="reset"], input[type="button"], input[type="image"]').forEach(el => {
+        if (isVisible(el) && !accessibleName(el)) {
+            add('button-name', 'critical', el, 'Button has no accessible name');
+        }
+    });
+
+    // Links with empty names
+    document.querySelectorAll('a[href]').forEach(el => {
+        if (isVisible(el) && !accessibleName(el)) {
+            add('link-name', 'serious', el, `Link has no accessible name (${el.getAttribute('href')})`);
+        }
+    });
+
+    // Duplicate ids
+    const ids = new Map();
+    document.querySelectorAll('[id]').forEach(el => {
+        ids.set(el.id, (ids.get(el.id) || []).concat(el));
+    });
+    ids.forEach((elements, id) => {
+        if (id && elements.length > 1) {
+            const referenced = document.querySelector(`[for="${CSS.escape(id)}"], [aria-labelledby~="${CSS.escape(id)}"], [aria-describedby~="${CSS.escape(id)}"]`);
+            add('duplicate-id', referenced ? 'serious' : 'minor', elements[1], `id "${id}" is used by ${elements.length} elements`);
+        }
+    });
+
+    // Heading order
+    let previousLevel = 0;
+    const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).filter(isVisible);
+    if (headings.length > 0 && !headings.some(h => h.tagName === 'H1')) {
+        add('page-has-heading-one', 'moderate', null, 'Page has no <h1> heading');
+    }
+    headings.forEach(h => {
+        const level = parseInt(h.tagName.substring(1));
+        if (previousLevel && level > previousLevel + 1) {
+            add('heading-order', 'moderate', h, `Heading level jumps from h${previousLevel} to h${level}`);
+        }
+        previousLevel = level;
+    });
+
+    // Colour contrast of visible text
+    function parseColor(value) {
+        const match = /rgba?\(([^)]+)\)/.exec(value);
+        if (!match) {
+            return null;
+        }
+        const parts = match[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+        return { r: parts[0], g: parts[1], b: parts[2], a: parts.length > 3 ? parts[3] : 1 };
+    }
+
+    function blend(top, bottom) {
+        const a = top.a + bottom.a * (1 - top.a);
+        if (a === 0) {
+            return { r: 0, g: 0, b: 0, a: 0 };
+        }
+        const mix = c => (top[c] * top.a + bottom[c] * bottom.a * (1 - top.a)) / a;
+        return { r: mix('r'), g: mix('g'), b: mix('b'), a };
+    }
+
+    // null when the background cannot be known (images, gradients)
+    function backgroundOf(el) {
+        const layers = [];
+        for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+            const style = getComputedStyle(node);
+            if (style.backgroundImage && style.backgroundImage !== 'none') {
+                return null;
+            }
+            const color = parseColor(style.backgroundColor);
+            if (color && color.a > 0) {
+                layers.push(color);
+                if (color.a >= 1) {
+                    break;
+                }
+            }
+        }
+        return layers.reduceRight((bottom, top) => blend(top, bottom), { r: 255, g: 255, b: 255, a: 1 });
+    }
+
+    function luminance({ r, g, b }) {
+        const channel = c => {
+            c /= 255;
+            return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        };
+        return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+    }
+
+    let checked = 0;
+    const walker = document.createTreeWalker(document.body || document.documentElement, NodeFilter.SHOW_ELEMENT);
+    for (let el = walker.currentNode; el && checked < maxContrastChecks; el = walker.nextNode()) {
+        const ownText = Array.from(el.childNodes).some(n => n.nodeType === 3 && n.textContent.trim());
+        if (!ownText || ['SCRIPT', 'STYLE', 'NOSCRIPT', 'OPTION'].includes(el.tagName) || el.disabled || !isVisible(el)) {
+            continue;
+        }
+        checked++;
+
+        const style = getComputedStyle(el);
+        const background = backgroundOf(el);
+        const foreground = parseColor(style.color);
+        if (!background || !foreground) {
+            continue;
+        }
+
+        const text = blend(foreground, background);
+        const l1 = luminance(text);
+        const l2 = luminance(background);
+        const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+
+        const size = parseFloat(style.fontSize);
+        const bold = parseInt(style.fontWeight) >= 700;
+        const large = size >= 24 || (bold && size >= 18.66);
+        const required = large ? 3 : 4.5;
+
+        if (ratio < required) {
+            const rgb = c => `rgb(${Math.round(c.r)}, ${Math.round(c.g)}, ${Math.round(c.b)})`;
+            add('color-contrast', 'serious', el, `Contrast ratio ${ratio.toFixed(2)}:1 is below ${required}:1 (${rgb(text)} on ${rgb(background)})`);
+        }
+    }
+
+    return findings;
+}
+
+module.exports = { SEVERITIES, runA11yAudit, a11yTree };
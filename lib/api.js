@@ -0,0 +1,103 @@
+/**
+ * Node API
+ *
+ * Runs a test the way browser-test.js does, without printing or exiting, so
+ * other Node tooling can use it:
+ *
+ *   const { runRouteTest } = require('laravel-headless-browser-tester');
+ *
+ *   const report = await runRouteTest({
+ *       routes: ['/dashboard'],
+ *       base_url: 'http://localhost:8000',
+ *       expect_text: ['Welcome'],
+ *       plugins: [{ name: 'banner', collect: ({ page }) => page.locator('.flag-banner').count() }]
+ *   });
+ *
+ * Options are those of normalizeOptions() in options.js. The result is a
+ * report (report.js) for one route, a batch result (batch.js) for several
+ * routes, a matrix (matrix.js) with users and a crawl result (crawl.js) with
+ * --crawl. Invalid options throw.
+ */
+
+const playwright = require('playwright');
+const path = require('path');
+const { normalizeOptions } = require('./options');
+const { loadScenario } = require('./scenario');
+const { loadMockRules } = require('./mock');
+const { buildStorageState } = require('./storage-state');
+const { testRoute } = require('./route-test');
+const { expandRoute, runBatch } = require('./batch');
+const { runMatrix } = require('./matrix');
+const { runCrawl } = require('./crawl');
+const { runReportHooks } = require('./plugins');
+
+/**
+ * Test the routes of the options and return the result. A browser passed in
+ * is used and left open; otherwise one is launched and closed.
+ */
+async function runRouteTest(input, { browser = null } = {}) {
+    const options = normalizeOptions(input);
+    const resources = loadResources(options);
+    const ownBrowser = browser === null;
+
+    if (ownBrowser) {
+        browser = await launchBrowser(options);
+    }
+
+    let result;
+    try {
+        if (options.crawl !== null) {
+            result = await runCrawl(browser, firstRoute(options), options, resources);
+        } else if (options.users) {
+            result = await runMatrix(browser, firstRoute(options), options, resources);
+        } else if (options.batch) {
+            result = await runBatch(browser, options.routes, options, resources);
+        } else {
+            result = await testRoute(browser, firstRoute(options), options, resources);
+        }
+    } finally {
+        if (ownBrowser) {
+            await browser.close();
+        }
+    }
+
+    await runReportHooks(result, options);
+    return result;
+}
+
+/**
+ * Load the files used by every route once up front: { scenario, mockRules, storageState }.
+ */
+function loadResources(options) {
+    const resources = {};
+    if (options.scenario) {
+        resources.scenario = loadScenario(path.resolve(options.scenario));
+    }
+    if (options.mock) {
+        resources.mockRules = loadMockRules(path.resolve(options.mock), options.base_url);
+    }
+    resources.storageState = buildStorageState(options);
+    return resources;
+}
+
+/**
+ * Launch the headless browser engine of the options.
+ */
+async function launchBrowser(options) {
+    // The sandbox flags only exist in Chromium
+    return playwright[options.browser].launch({
+        headless: true,
+        args: options.browser === 'chromium' ? ['--no-sandbox', '--disable-setuid-sandbox'] : []
+    });
+}
+
+/**
+ * The single route of the options, with its parameters filled from bindings.
+ */
+function firstRoute(options) {
+    return options.bindings
+        ? expandRoute(options.routes[0], options.bindings).route
+        : options.routes[0];
+}
+
+module.exports = { runRouteTest, normalizeOptions, loadResources, launchBrowser, firstRoute };
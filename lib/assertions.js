@@ -0,0 +1,244 @@
+/**
+ * Assertions and allow-lists
+ *
+ * Every --expect-* option may be given more than once. Each check is recorded
+ * with its expected and actual value, and each failed check becomes a
+ * failure of its own type (expect-status, expect-text, ...), so a report
+ * says exactly what did not hold.
+ *
+ * Texts are matched as substrings, or as regular expressions when written as
+ * /pattern/flags. URLs are globs as in mock files (path-only globs are
+ * relative to the base URL).
+ *
+ * --expect-status replaces the default rule that any status >= 400 fails the
+ * run. Console errors and failed requests matching an allow-list are moved
+ * to report.allowed instead of failing the run.
+ */
+
+const { globToRegExp } = require('./mock');
+const { addFailure } = require('./report');
+const { errorLabel } = require('./console');
+
+/**
+ * Parse --expect-count=<selector>:<n>, where n may be prefixed with >=, <=, > or <.
+ * The count follows the last colon, so selectors may contain colons.
+ */
+function parseExpectCount(value) {
+    const index = value.lastIndexOf(':');
+    const selector = value.substring(0, index).trim();
+    const match = /^(>=|<=|>|<|=)?(\d+)$/.exec(value.substring(index + 1).trim());
+
+    if (index === -1 || !selector || !match) {
+        throw new Error(`--expect-count must look like <selector>:<n>, e.g. .row:3 or .row:>=1, got '${value}'`);
+    }
+
+    return { selector, operator: match[1] || '=', count: Number(match[2]) };
+}
+
+/**
+ * Parse --expect-xhr="<method> <url-glob> <status>"; method may be * and status may be 2xx.
+ */
+function parseExpectXhr(value) {
+    const parts = value.trim().split(/\s+/);
+    if (parts.length !== 3 || !isStatusPattern(parts[2])) {
+        throw new Error(`--expect-xhr must look like "<method> <url-glob> <status>", e.g. "POST /api/orders 201", got '${value}'`);
+    }
+
+    const [method, pattern, status] = parts;
+    return { method: method.toUpperCase(), pattern, status: status.toLowerCase() };
+}
+
+function isStatusPattern(value) {
+    return /^[1-5](\d\d|xx)$/i.test(value);
+}
+
+/**
+ * Check an --expect-status value such as 200 or 2xx.
+ */
+function validateStatus(value) {
+    if (!isStatusPattern(value)) {
+        throw new Error(`--expect-status must be a status code or class such as 200 or 2xx, got '${value}'`);
+    }
+    return value.toLowerCase();
+}
+
+function statusMatches(status, pattern) {
+    return pattern.endsWith('xx')
+        ? Math.floor(status / 100) === Number(pattern[0])
+        : status === Number(pattern);
+}
+
+/**
+ * A /pattern/flags string as a RegExp, or null for plain text (and invalid patterns).
+ */
+function toRegExp(value) {
+    const match = /^\/(.+)\/([a-z]*)$/.exec(value);
+    try {
+        return match ? new RegExp(match[1], match[2]) : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Matcher for a URL glob or /regex/; path-only globs are relative to the base URL.
+ */
+function urlMatcher(pattern, baseUrl) {
+    return toRegExp(pattern) || globToRegExp(pattern.startsWith('/') ? baseUrl + pattern : pattern);
+}
+
+function textMatches(actual, expected) {
+    const regex = toRegExp(expected);
+    return regex ? regex.test(actual) : actual.includes(expected);
+}
+
+function countMatches(actual, { operator, count }) {
+    switch (operator) {
+        case '>=': return actual >= count;
+        case '<=': return actual <= count;
+        case '>': return actual > count;
+        case '<': return actual < count;
+        default: return actual === count;
+    }
+}
+
+/**
+ * Record the method, URL and status of every XHR/fetch request of a page.
+ * Attach before navigating.
+ */
+function watchXhr(page) {
+    const requests = [];
+    const byRequest = new Map();
+
+    page.on('request', request => {
+        const type = request.resourceType();
+        if (type === 'xhr' || type === 'fetch') {
+            const entry = { method: request.method(), url: request.url(), status: null };
+            byRequest.set(request, entry);
+            requests.push(entry);
+        }
+    });
+
+    page.on('response', response => {
+        const entry = byRequest.get(response.request());
+        if (entry) {
+            entry.status = response.status();
+        }
+    });
+
+    return requests;
+}
+
+function record(report, assertion, expected, actual, passed) {
+    report.assertions = report.assertions || [];
+    report.assertions.push({ assertion, expected, actual, passed });
+
+    if (!passed) {
+        addFailure(report, assertion, `${assertion}: expected ${expected}, got ${actual}`);
+    }
+}
+
+/**
+ * Assertions on the navigation response: status and final URL.
+ */
+function assertResponse(report, options) {
+    if (options.expect_status.length > 0) {
+        const passed = options.expect_status.some(pattern => statusMatches(report.status, pattern));
+        record(report, 'expect-status', options.expect_status.join(' or '), String(report.status), passed);
+    }
+
+    options.expect_url.forEach(expected => {
+        const passed = urlMatcher(expected, options.base_url).test(report.final_url);
+        record(report, 'expect-url', expected, report.final_url, passed);
+    });
+}
+
+/**
+ * Assertions on the page as it is after interactions, and on its XHR requests.
+ */
+async function assertPage(page, report, options, xhrRequests) {
+    if (options.expect_text.length > 0 || options.expect_no_text.length > 0) {
+        const text = await page.evaluate(() => document.body ? document.body.innerText : '');
+
+        options.expect_text.forEach(expected => {
+            const passed = textMatches(text, expected);
+            record(report, 'expect-text', `'${expected}' present`, passed ? 'present' : 'absent', passed);
+        });
+        options.expect_no_text.forEach(expected => {
+            const passed = !textMatches(text, expected);
+            record(report, 'expect-no-text', `'${expected}' absent`, passed ? 'absent' : 'present', passed);
+        });
+    }
+
+    if (options.expect_title.length > 0) {
+        const title = await page.title();
+        options.expect_title.forEach(expected => {
+            const regex = toRegExp(expected);
+            const passed = regex ? regex.test(title) : title === expected;
+            record(report, 'expect-title', `'${expected}'`, `'${title}'`, passed);
+        });
+    }
+
+    for (const expected of options.expect_count) {
+        const count = await page.locator(expected.selector).count();
+        const operator = expected.operator === '=' ? '' : expected.operator;
+        record(report, 'expect-count', `${operator}${expected.count} '${expected.selector}'`, String(count), countMatches(count, expected));
+    }
+
+    for (const selector of options.expect_visible) {
+        const locator = page.locator(selector);
+        const count = await locator.count();
+        const visible = count > 0 && await locator.first().isVisible();
+        const actual = count === 0 ? 'not found' : (visible ? 'visible' : 'hidden');
+        record(report, 'expect-visible', `'${selector}' visible`, actual, visible);
+    }
+
+    options.expect_xhr.forEach(expected => {
+        const matcher = urlMatcher(expected.pattern, options.base_url);
+        const matching = xhrRequests.filter(x =>
+            matcher.test(x.url) && (expected.method === '*' || expected.method === x.method)
+        );
+        const passed = matching.some(x => x.status !== null && statusMatches(x.status, expected.status));
+        const actual = matching.length === 0
+            ? 'no matching request'
+            : matching.map(x => `${x.method} ${x.url} ${x.status === null ? 'pending' : x.status}`).join(', ');
+        record(report, 'expect-xhr', `${expected.method} ${expected.pattern} ${expected.status}`, actual, passed);
+    });
+}
+
+/**
+ * Move console errors, uncaught errors and network failures matched by the
+ * allow-lists into report.allowed.
+ */
+function applyAllowLists(report, options) {
+    if (options.allow_console.length === 0 && options.allow_network.length === 0) {
+        return;
+    }
+
+    const consoleAllowed = label => options.allow_console.some(pattern => textMatches(label, pattern));
+    const networkMatchers = options.allow_network.map(pattern => urlMatcher(pattern, options.base_url));
+    const networkAllowed = url => networkMatchers.some(matcher => matcher.test(url));
+
+    const uncaughtAllowed = e => consoleAllowed(`[UNCAUGHT] ${e.message}`);
+
+    report.allowed = {
+        console_errors: report.console.errors.filter(e => consoleAllowed(errorLabel(e))),
+        uncaught: report.console.uncaught.filter(uncaughtAllowed),
+        network_failures: report.network_failures.filter(networkAllowed)
+    };
+    report.console.errors = report.console.errors.filter(e => !consoleAllowed(errorLabel(e)));
+    report.console.uncaught = report.console.uncaught.filter(e => !uncaughtAllowed(e));
+    report.network_failures = report.network_failures.filter(u => !networkAllowed(u));
+}
+
+module.exports = {
+    parseExpectCount,
+    parseExpectXhr,
+    validateStatus,
+    statusMatches,
+    urlMatcher,
+    watchXhr,
+    assertResponse,
+    assertPage,
+    applyAllowLists
+};
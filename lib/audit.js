@@ -0,0 +1,68 @@
+/**
+ * Audit helpers
+ *
+ * Shared by the accessibility, security and layout audits: grading findings
+ * by severity, and the helpers their in-page scans use to name elements.
+ * Functions passed to page.evaluate() are sent as source and cannot import
+ * anything, so evaluateAudit() sends the in-page helpers along with the scan.
+ */
+
+/**
+ * Findings sorted most severe first.
+ */
+function sortBySeverity(findings, severities) {
+    return findings.sort((a, b) => severities.indexOf(b.severity) - severities.indexOf(a.severity));
+}
+
+/**
+ * Whether any finding is at or above the given severity.
+ */
+function exceedsSeverity(findings, level, severities) {
+    const threshold = severities.indexOf(level);
+    return findings.some(f => severities.indexOf(f.severity) >= threshold);
+}
+
+function countBySeverity(findings, severities) {
+    const counts = Object.fromEntries(severities.map(s => [s, 0]));
+    findings.forEach(f => counts[f.severity]++);
+    return counts;
+}
+
+/**
+ * Runs inside the page: a CSS selector for an element, starting from the
+ * nearest ancestor with a unique id.
+ */
+function cssPath(el) {
+    const uniqueId = node => node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1;
+
+    const parts = [];
+    while (el && el.nodeType === 1 && el !== document.documentElement) {
+        if (uniqueId(el)) {
+            parts.unshift(`#${CSS.escape(el.id)}`);
+            break;
+        }
+        let part = el.tagName.toLowerCase();
+        const siblings = el.parentElement
+            ? Array.from(el.parentElement.children).filter(s => s.tagName === el.tagName)
+            : [];
+        if (siblings.length > 1) {
+            part += `:nth-of-type(${siblings.indexOf(el) + 1})`;
+        }
+        parts.unshift(part);
+        el = el.parentElement;
+    }
+    return parts.join(' > ') || 'html';
+}
+
+const IN_PAGE_HELPERS = [cssPath];
+
+/**
+ * Run a scan function in the page with the in-page helpers in scope. The
+ * argument must be JSON-serializable.
+ */
+async function evaluateAudit(page, scan, arg) {
+    const helpers = IN_PAGE_HELPERS.map(helper => helper.toString()).join('\n');
+    return page.evaluate(`(() => {\n${helpers}\nreturn (${scan.toString()})(${JSON.stringify(arg)});\n})()`);
+}
+
+module.exports = { sortBySeverity, exceedsSeverity, countBySeverity, cssPath, evaluateAudit };
@@ -0,0 +1,168 @@
+/**
+ * Batch mode
+ *
+ * Tests several routes in one browser launch. Routes may contain Laravel
+ * parameter placeholders ({user}, {post:slug}, {page?}) which are filled from
+ * a bindings map; routes with unfilled required parameters are skipped.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { testRoute } = require('./route-test');
+const { createReport, addFailure, finalizeReport } = require('./report');
+const { routeSlug } = require('./util');
+
+const BATCH_SCHEMA = 'laravel-headless-browser-tester/batch';
+const BATCH_SCHEMA_VERSION = 1;
+
+const PLACEHOLDER_PATTERN = /\{(\w+)(?::\w+)?(\?)?\}/g;
+
+/**
+ * Read a routes file: one route per line, blank lines and # comments ignored.
+ */
+function readRoutesFile(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Parse --bindings: inline JSON object or a path to a JSON file.
+ */
+function loadBindings(value) {
+    const source = value.trim().startsWith('{') ? value : fs.readFileSync(value, 'utf8');
+    const bindings = JSON.parse(source);
+
+    if (!bindings || typeof bindings !== 'object' || Array.isArray(bindings)) {
+        throw new Error('Bindings must be a JSON object of parameter => value');
+    }
+
+    return bindings;
+}
+
+/**
+ * Fill route parameters from bindings. Returns the route and any required
+ * parameters that had no binding.
+ */
+function expandRoute(route, bindings) {
+    const missing = [];
+
+    let expanded = route.replace(PLACEHOLDER_PATTERN, (match, name, optional) => {
+        if (bindings[name] !== undefined && bindings[name] !== null) {
+            return encodeURIComponent(String(bindings[name]));
+        }
+        if (!optional) {
+            missing.push(name);
+            return match;
+        }
+        return '';
+    });
+
+    // Dropped optional parameters leave empty segments behind
+    expanded = expanded.replace(/\/{2,}/g, '/');
+    if (expanded.length > 1) {
+        expanded = expanded.replace(/\/$/, '');
+    }
+
+    return { route: expanded, missing };
+}
+
+/**
+ * Run every route with at most options.concurrency pages open at once.
+ */
+async function runBatch(browser, routes, options, resources = {}) {
+    const bindings = options.bindings || {};
+    const skipped = [];
+    const runnable = [];
+
+    for (const route of routes) {
+        const { route: expanded, missing } = expandRoute(route, bindings);
+        if (missing.length > 0) {
+            skipped.push({ route, reason: `missing binding: ${missing.join(', ')}` });
+        } else {
+            runnable.push(expanded);
+        }
+    }
+
+    const reports = await mapWithConcurrency(runnable, options.concurrency, async route => {
+        const routeOptions = { ...options };
+
+        // --screenshot-path, --har, --trace and --save-state name directories in batch mode
+        if (options.screenshot_path) {
+            routeOptions.screenshot_path = path.join(options.screenshot_path, routeSlug(route) + '.png');
+        }
+        if (options.har) {
+            routeOptions.har = path.join(options.har, routeSlug(route) + '.har');
+        }
+        if (options.trace) {
+            routeOptions.trace = path.join(options.trace, routeSlug(route) + '.zip');
+        }
+        if (options.save_state) {
+            routeOptions.save_state = path.join(options.save_state, routeSlug(route) + '.json');
+        }
+        // --snapshot names one snapshot per route
+        if (options.snapshot) {
+            routeOptions.snapshot = `${options.snapshot}--${routeSlug(route)}`;
+        }
+
+        try {
+            return await testRoute(browser, route, routeOptions, resources);
+        } catch (e) {
+            return failedReport(route, options, e);
+        }
+    });
+
+    const failed = reports.filter(r => !r.passed).length;
+
+    return {
+        schema: BATCH_SCHEMA,
+        schema_version: BATCH_SCHEMA_VERSION,
+        summary: {
+            total: routes.length,
+            passed: reports.length - failed,
+            failed,
+            skipped: skipped.length
+        },
+        routes: reports,
+        skipped,
+        passed: failed === 0,
+        exit_code: failed === 0 ? 0 : 1
+    };
+}
+
+/**
+ * A report for a route whose test threw before producing one.
+ */
+function failedReport(route, options, error) {
+    const report = createReport(options, route);
+    addFailure(report, 'navigation', error.message.split('\n')[0], true);
+    return finalizeReport(report);
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            results[i] = await fn(items[i], i);
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
+
+    return results;
+}
+
+module.exports = {
+    BATCH_SCHEMA,
+    BATCH_SCHEMA_VERSION,
+    readRoutesFile,
+    loadBindings,
+    expandRoute,
+    runBatch,
+    failedReport
+};
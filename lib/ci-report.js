@@ -0,0 +1,234 @@
+/**
+ * CI reporters: JUnit XML and TAP
+ *
+ * Each route is a test case, and so is each assertion and scenario step of
+ * the route, so CI systems show exactly which check failed. Failure details
+ * carry the status line, console errors, network failures and Laravel log
+ * errors of the route. Files produced by the run (screenshots, HAR, visual
+ * diffs, changed DOM snapshots, traces, videos) are listed as attachments,
+ * in the [[ATTACHMENT|path]] form that Jenkins and GitLab pick up from JUnit
+ * system-out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { statusLine, sourceLocation, consoleErrorLine } = require('./report');
+
+const LOG_ERROR_LEVELS = ['error', 'critical', 'alert', 'emergency'];
+
+// Failures reported by their own assertion or step test case
+const OWN_CASE_TYPES = ['scenario-step', 'expect-status', 'expect-text', 'expect-no-text', 'expect-title',
+    'expect-url', 'expect-count', 'expect-visible', 'expect-xhr'];
+
+/**
+ * Files produced by a run, for CI attachments.
+ */
+function attachments(report) {
+    return [
+        report.screenshot && report.screenshot.path,
+        report.har && !report.har.error && report.har.path,
+        report.visual && report.visual.actual,
+        report.visual && report.visual.diff,
+        report.snapshot && report.snapshot.actual,
+        report.trace && report.trace.path,
+        report.video && report.video.path
+    ].filter(Boolean);
+}
+
+/**
+ * What a failure of the route looked like: status line, console errors,
+ * uncaught error stacks, network failures and Laravel log errors.
+ */
+function failureDetails(report) {
+    const lines = [report.status === null ? `FAIL ${report.url}` : statusLine(report)];
+
+    if (report.failures.length > 0) {
+        lines.push('Failures:', ...report.failures.map(f => `  ${f.message}`));
+    }
+    if (report.console.errors.length > 0) {
+        lines.push('Console errors:', ...report.console.errors.map(e => `  ${consoleErrorLine(e)}`));
+    }
+    if (report.console.uncaught.length > 0) {
+        lines.push('Uncaught errors:');
+        report.console.uncaught.forEach(e => lines.push(
+            `  ${e.name}: ${e.message}`,
+            ...e.stack.map(frame => `    at ${frame.function ? `${frame.function} (${sourceLocation(frame)})` : sourceLocation(frame)}`)
+        ));
+    }
+    if (report.network_failures.length > 0) {
+        lines.push('Network failures:', ...report.network_failures.map(u => `  ${u}`));
+    }
+
+    const logErrors = report.laravel_log
+        ? report.laravel_log.entries.filter(e => LOG_ERROR_LEVELS.includes(e.level))
+        : [];
+    if (logErrors.length > 0) {
+        lines.push('Laravel log:', ...logErrors.map(e =>
+            `  [${e.level.toUpperCase()}] ${e.exception ? e.exception + ': ' : ''}${e.message}`
+        ));
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * The test cases of one route: { name, time, failure, skipped, attachments }.
+ */
+function testCases(report) {
+    // Matrix runs test one route as several users
+    const user = report.matrix ? ` as ${report.user || 'guest'}` : '';
+    const name = `${report.method} ${report.route}${user}`;
+    const routeFailures = report.failures.filter(f => !OWN_CASE_TYPES.includes(f.type));
+    const cases = [{
+        name,
+        time: report.duration_ms,
+        failure: routeFailures.length > 0
+            ? { message: routeFailures.map(f => f.message).join('; '), details: failureDetails(report) }
+            : null,
+        skipped: null,
+        attachments: attachments(report)
+    }];
+
+    (report.assertions || []).forEach(a => {
+        cases.push({
+            name: `${name} ${a.assertion} ${a.expected}`,
+            time: null,
+            failure: a.passed ? null : { message: `expected ${a.expected}, got ${a.actual}`, details: failureDetails(report) },
+            skipped: null,
+            attachments: []
+        });
+    });
+
+    if (report.scenario) {
+        report.scenario.steps.forEach(step => {
+            cases.push({
+                name: `${name} step ${step.number}: ${step.description}`,
+                time: step.status === 'skipped' ? null : step.duration_ms,
+                failure: step.status === 'failed' ? { message: step.error, details: failureDetails(report) } : null,
+                skipped: step.status === 'skipped' ? 'skipped after an earlier failed step' : null,
+                attachments: []
+            });
+        });
+    }
+
+    return cases;
+}
+
+/**
+ * Suites for the reports of a run, plus one test case per skipped batch route.
+ */
+function testSuites(reports, skipped = []) {
+    const suites = reports.map(report => ({ name: report.route, time: report.duration_ms, cases: testCases(report) }));
+
+    if (skipped.length > 0) {
+        suites.push({
+            name: 'skipped',
+            time: 0,
+            cases: skipped.map(s => ({ name: `GET ${s.route}`, time: null, failure: null, skipped: s.reason, attachments: [] }))
+        });
+    }
+
+    return suites;
+}
+
+function escapeXml(value) {
+    return String(value)
+        // Characters not allowed in XML 1.0
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function seconds(ms) {
+    return ((ms || 0) / 1000).toFixed(3);
+}
+
+/**
+ * Write a JUnit XML file for the reports of a run.
+ */
+function writeJunit(file, reports, skipped = []) {
+    const suites = testSuites(reports, skipped);
+    const count = (cases, test) => cases.filter(test).length;
+    const allCases = suites.flatMap(s => s.cases);
+
+    const xml = ['<?xml version="1.0" encoding="UTF-8"?>'];
+    xml.push(`<testsuites name="browser:test" tests="${allCases.length}" failures="${count(allCases, c => c.failure)}" ` +
+        `skipped="${count(allCases, c => c.skipped)}" time="${seconds(suites.reduce((t, s) => t + (s.time || 0), 0))}">`);
+
+    suites.forEach(suite => {
+        xml.push(`  <testsuite name="${escapeXml(suite.name)}" tests="${suite.cases.length}" ` +
+            `failures="${count(suite.cases, c => c.failure)}" skipped="${count(suite.cases, c => c.skipped)}" time="${seconds(suite.time)}">`);
+
+        suite.cases.forEach(c => {
+            const testcase = `    <testcase classname="browser-test.${escapeXml(suite.name)}" name="${escapeXml(c.name)}" time="${seconds(c.time)}"`;
+            if (!c.failure && !c.skipped && c.attachments.length === 0) {
+                xml.push(`${testcase}/>`);
+                return;
+            }
+
+            xml.push(`${testcase}>`);
+            if (c.failure) {
+                xml.push(`      <failure message="${escapeXml(c.failure.message)}">${escapeXml(c.failure.details)}</failure>`);
+            }
+            if (c.skipped) {
+                xml.push(`      <skipped message="${escapeXml(c.skipped)}"/>`);
+            }
+            if (c.attachments.length > 0) {
+                const out = c.attachments.map(p => `[[ATTACHMENT|${path.resolve(p)}]]`).join('\n');
+                xml.push(`      <system-out>${escapeXml(out)}</system-out>`);
+            }
+            xml.push('    </testcase>');
+        });
+
+        xml.push('  </testsuite>');
+    });
+
+    xml.push('</testsuites>');
+
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, xml.join('\n') + '\n');
+}
+
+/**
+ * Print the reports of a run as TAP version 13, with YAML diagnostics for failures.
+ */
+function printTap(reports, skipped = []) {
+    const cases = testSuites(reports, skipped).flatMap(s => s.cases);
+
+    console.log('TAP version 13');
+    console.log(`1..${cases.length}`);
+
+    cases.forEach((c, i) => {
+        const name = c.name.replace(/#/g, '\\#');
+
+        if (c.skipped) {
+            console.log(`ok ${i + 1} - ${name} # SKIP ${c.skipped}`);
+            return;
+        }
+
+        console.log(`${c.failure ? 'not ok' : 'ok'} ${i + 1} - ${name}`);
+
+        if (c.failure || c.attachments.length > 0) {
+            const diagnostics = {};
+            if (c.failure) {
+                diagnostics.message = c.failure.message;
+                diagnostics.details = c.failure.details;
+            }
+            if (c.time !== null) {
+                diagnostics.duration_ms = c.time;
+            }
+            if (c.attachments.length > 0) {
+                diagnostics.attachments = c.attachments.map(p => path.resolve(p));
+            }
+
+            console.log('  ---');
+            YAML.stringify(diagnostics).trimEnd().split('\n').forEach(line => console.log(`  ${line}`));
+            console.log('  ...');
+        }
+    });
+}
+
+module.exports = { writeJunit, printTap };
@@ -0,0 +1,302 @@
+/**
+ * Console capture
+ *
+ * Records console messages with their type, source location and arguments
+ * serialized from the page (objects, arrays, Maps, DOM elements and errors,
+ * instead of JSHandle@object), and uncaught errors with their stack. Locations
+ * in built scripts are resolved to the original source through the .map files
+ * in the application's public directory (see source-map.js).
+ *
+ * Console errors and uncaught errors always count as console errors of the
+ * run. With --console-log every message at or above --console-level is kept
+ * too. Identical entries are merged into one with a count.
+ */
+
+const { createSourceMapResolver } = require('./source-map');
+
+const CONSOLE_LEVELS = ['debug', 'info', 'warning', 'error'];
+
+// Console message types that are not plain info messages
+const TYPE_LEVELS = {
+    debug: 'debug',
+    trace: 'debug',
+    warning: 'warning',
+    error: 'error',
+    assert: 'error'
+};
+
+// Limits on serialized arguments, so huge objects cannot flood the report
+const MAX_ARG_DEPTH = 5;
+const MAX_ARG_ITEMS = 100;
+const MAX_ARG_STRING = 10000;
+
+// Stack frames kept per uncaught error
+const MAX_STACK_FRAMES = 20;
+
+// Argument serialization still running, per page
+const pendingArgs = new WeakMap();
+
+// Source map resolvers per public directory and base URL, sharing parsed maps across runs
+const resolvers = new Map();
+
+function levelOf(type) {
+    return TYPE_LEVELS[type] || 'info';
+}
+
+function resolverFor(options) {
+    const key = `${options.public_path}|${options.base_url}`;
+    if (!resolvers.has(key)) {
+        resolvers.set(key, createSourceMapResolver(options.public_path, options.base_url));
+    }
+    return resolvers.get(key);
+}
+
+/**
+ * Collect the console output and uncaught errors of a page into the report.
+ * Attach before navigating.
+ */
+function watchConsole(page, report, options) {
+    const resolve = resolverFor(options);
+    const minimum = CONSOLE_LEVELS.indexOf(options.console_level || 'debug');
+    const pending = new Set();
+    pendingArgs.set(page, pending);
+
+    page.on('pageerror', error => {
+        const stack = parseStack(error.stack || '', resolve);
+        report.console.errors.push({
+            type: 'uncaught',
+            text: error.message,
+            location: stack.length > 0 ? frameLocation(stack[0]) : null,
+            count: 1
+        });
+        report.console.uncaught.push({
+            name: error.name || 'Error',
+            message: error.message,
+            stack,
+            count: 1
+        });
+    });
+
+    page.on('console', msg => {
+        const type = msg.type();
+        const text = msg.text();
+        const wanted = report.console.messages && CONSOLE_LEVELS.indexOf(levelOf(type)) >= minimum;
+
+        const entry = {
+            type,
+            text,
+            args: [],
+            location: messageLocation(msg.location(), resolve),
+            count: 1
+        };
+        if (wanted) {
+            report.console.messages.push(entry);
+        }
+        // Errors are reported at once and completed with their arguments below
+        if (type === 'error') {
+            report.console.errors.push(entry);
+        }
+
+        if (!wanted && type !== 'error') {
+            return;
+        }
+
+        const serialized = Promise.all(msg.args().map(arg => arg.evaluate(serializeValue, {
+            maxDepth: MAX_ARG_DEPTH,
+            maxItems: MAX_ARG_ITEMS,
+            maxString: MAX_ARG_STRING
+        }).catch(() => arg.toString()))).then(args => {
+            entry.args = args;
+            if (text.includes('JSHandle@')) {
+                entry.text = args.map(a => typeof a === 'string' ? a : JSON.stringify(a)).join(' ');
+            }
+        }).catch(() => {}).finally(() => pending.delete(serialized));
+        pending.add(serialized);
+    });
+}
+
+/**
+ * The console section of a report once the arguments of messages logged so
+ * far are serialized, with identical entries merged.
+ */
+async function finishConsole(page, consoleReport) {
+    const pending = pendingArgs.get(page);
+    if (pending && pending.size > 0) {
+        await Promise.all([...pending]);
+    }
+
+    return {
+        errors: dedupeEntries(consoleReport.errors),
+        messages: consoleReport.messages ? dedupeEntries(consoleReport.messages) : null,
+        uncaught: dedupeEntries(consoleReport.uncaught)
+    };
+}
+
+/**
+ * Merge identical messages or uncaught errors into the first, counting them.
+ */
+function dedupeEntries(entries) {
+    const byKey = new Map();
+    const merged = [];
+
+    entries.forEach(entry => {
+        const key = JSON.stringify([entry.type, entry.text, entry.location, entry.name, entry.message, entry.stack && entry.stack[0]]);
+        if (byKey.has(key)) {
+            byKey.get(key).count += entry.count;
+        } else {
+            const copy = { ...entry };
+            byKey.set(key, copy);
+            merged.push(copy);
+        }
+    });
+
+    return merged;
+}
+
+function messageLocation(location, resolve) {
+    if (!location || !location.url) {
+        return null;
+    }
+    // Playwright's console locations are 0-based, stacks and editors 1-based
+    const line = location.lineNumber + 1;
+    const column = location.columnNumber + 1;
+    return { url: location.url, line, column, original: resolve(location.url, line, column) };
+}
+
+function frameLocation(frame) {
+    return { url: frame.url, line: frame.line, column: frame.column, original: frame.original };
+}
+
+/**
+ * Number of console errors, counting repeats.
+ */
+function countErrors(consoleReport) {
+    return consoleReport.errors.reduce((total, e) => total + e.count, 0);
+}
+
+/**
+ * One-line form of a console error, as matched by --allow-console.
+ */
+function errorLabel(error) {
+    return `[${error.type === 'uncaught' ? 'UNCAUGHT' : 'ERROR'}] ${error.text}`;
+}
+
+/**
+ * Parse a V8 ("at fn (url:1:2)") or Firefox/WebKit ("fn@url:1:2") stack into frames.
+ */
+function parseStack(stack, resolve) {
+    const frames = [];
+
+    for (const line of stack.split('\n')) {
+        const match = /^\s*at (?:(.*?) \()?(.+?):(\d+):(\d+)\)?\s*$/.exec(line)
+            || /^\s*(.*?)@(.+?):(\d+):(\d+)\s*$/.exec(line);
+        if (!match) {
+            continue;
+        }
+        const [, fn, url, lineNumber, column] = match;
+        frames.push({
+            function: fn || null,
+            url,
+            line: parseInt(lineNumber),
+            column: parseInt(column),
+            original: resolve(url, parseInt(lineNumber), parseInt(column))
+        });
+        if (frames.length === MAX_STACK_FRAMES) {
+            break;
+        }
+    }
+
+    return frames;
+}
+
+/**
+ * Runs inside the page: a JSON-safe copy of a console argument.
+ */
+function serializeValue(value, { maxDepth, maxItems, maxString }) {
+    const ancestors = [];
+
+    const walk = (v, depth) => {
+        if (v === null || typeof v === 'boolean') {
+            return v;
+        }
+        if (typeof v === 'string') {
+            return v.length > maxString ? `${v.slice(0, maxString)}... (${v.length} chars)` : v;
+        }
+        if (typeof v === 'number') {
+            return Number.isFinite(v) ? v : String(v);
+        }
+        if (typeof v === 'undefined') {
+            return '[undefined]';
+        }
+        if (typeof v === 'bigint') {
+            return `${v}n`;
+        }
+        if (typeof v === 'symbol') {
+            return v.toString();
+        }
+        if (typeof v === 'function') {
+            return `[Function ${v.name || 'anonymous'}]`;
+        }
+        if (v instanceof Error) {
+            return { name: v.name, message: v.message, stack: v.stack || null };
+        }
+        if (typeof Element !== 'undefined' && v instanceof Element) {
+            const id = v.id ? `#${v.id}` : '';
+            const classes = typeof v.className === 'string' && v.className.trim()
+                ? '.' + v.className.trim().split(/\s+/).join('.')
+                : '';
+            return `<${v.tagName.toLowerCase()}${id}${classes}>`;
+        }
+        if (v instanceof Date) {
+            return isNaN(v) ? 'Invalid Date' : v.toISOString();
+        }
+        if (v instanceof RegExp) {
+            return String(v);
+        }
+        if (ancestors.includes(v)) {
+            return '[Circular]';
+        }
+        if (depth >= maxDepth) {
+            return Array.isArray(v) ? `[Array(${v.length})]` : '[Object]';
+        }
+
+        ancestors.push(v);
+        let result;
+        if (v instanceof Map) {
+            result = { '[Map]': Array.from(v).slice(0, maxItems).map(([k, x]) => [walk(k, depth + 1), walk(x, depth + 1)]) };
+        } else if (v instanceof Set) {
+            result = { '[Set]': Array.from(v).slice(0, maxItems).map(x => walk(x, depth + 1)) };
+        } else if (Array.isArray(v)) {
+            result = v.slice(0, maxItems).map(x => walk(x, depth + 1));
+            if (v.length > maxItems) {
+                result.push(`... ${v.length - maxItems} more`);
+            }
+        } else {
+            result = {};
+            const keys = Object.keys(v);
+            keys.slice(0, maxItems).forEach(key => {
+                try {
+                    result[key] = walk(v[key], depth + 1);
+                } catch (e) {
+                    result[key] = '[Unreadable]';
+                }
+            });
+            if (keys.length > maxItems) {
+                result['...'] = `${keys.length - maxItems} more`;
+            }
+        }
+        ancestors.pop();
+        return result;
+    };
+
+    return walk(value, 0);
+}
+
+module.exports = {
+    CONSOLE_LEVELS,
+    watchConsole,
+    finishConsole,
+    dedupeEntries,
+    countErrors,
+    errorLabel
+};
@@ -0,0 +1,269 @@
+/**
+ * Crawler
+ *
+ * Starts at a route and follows same-origin <a href> links breadth first, up
+ * to a depth and a page limit, in one page of one context so the --user-id
+ * auth headers and the session carry over. Every page gets a report with its
+ * status, console errors, failed requests and subresources answered with
+ * 4xx/5xx; pages that return 4xx/5xx are listed as broken links along with the
+ * pages linking to them.
+ *
+ * The Laravel log entries written while a page loads and the page hooks of
+ * plugins belong to that page's report. Options of a single route run that
+ * need more than a page load (assertions, scenarios, audits, recordings) are
+ * rejected by normalizeOptions().
+ *
+ * Links that look like they log out or change data (logout, delete, destroy,
+ * links with a data-method other than GET) are never followed, nor are links
+ * outside --crawl-include or inside --crawl-exclude.
+ */
+
+const { preparePage } = require('./route-test');
+const { deviceContextOptions } = require('./devices');
+const { emulationContextOptions } = require('./emulation');
+const { storageStateContextOptions, restoreSessionStorage } = require('./storage-state');
+const { urlMatcher, applyAllowLists } = require('./assertions');
+const { finishConsole } = require('./console');
+const { watchLog } = require('./laravel-log');
+const { runPageHook } = require('./plugins');
+const { createReport, addFailure, finalizeReport } = require('./report');
+
+const CRAWL_SCHEMA = 'laravel-headless-browser-tester/crawl';
+const CRAWL_SCHEMA_VERSION = 1;
+
+const DEFAULT_CRAWL_DEPTH = 2;
+const DEFAULT_CRAWL_LIMIT = 50;
+
+// Path segments of links that end the session or change data
+const UNSAFE_PATH_PATTERN = /(^|[/_.-])(log-?out|sign-?out|delete|destroy|remove|unsubscribe|deactivate|revoke)([/_.-]|$)/i;
+
+/**
+ * Parse --crawl=<depth>; --crawl alone uses the default depth.
+ */
+function parseCrawlDepth(value) {
+    if (value === true) {
+        return DEFAULT_CRAWL_DEPTH;
+    }
+    const depth = String(value).trim() === '' ? NaN : Number(value);
+    if (!Number.isInteger(depth) || depth < 0) {
+        throw new Error(`--crawl depth must be a whole number >= 0, got '${value}'`);
+    }
+    return depth;
+}
+
+/**
+ * Why a link is not followed, or null when it may be.
+ */
+function skipReason(link, options) {
+    if (link.method && link.method.toLowerCase() !== 'get') {
+        return `data-method ${link.method.toLowerCase()}`;
+    }
+    if (UNSAFE_PATH_PATTERN.test(new URL(link.url).pathname)) {
+        return 'logout or destructive';
+    }
+    if (options.crawl_include.length > 0 && !options.crawl_include.some(p => urlMatcher(p, options.base_url).test(link.url))) {
+        return 'not included';
+    }
+    if (options.crawl_exclude.some(p => urlMatcher(p, options.base_url).test(link.url))) {
+        return 'excluded';
+    }
+    return null;
+}
+
+/**
+ * Crawl from the route and return the crawl result.
+ */
+async function runCrawl(browser, route, options, resources = {}) {
+    const origin = new URL(options.base_url).origin;
+    const contextOptions = { ...deviceContextOptions(options), ...emulationContextOptions(options) };
+    const context = await browser.newContext({ ...contextOptions, ...storageStateContextOptions(resources.storageState) });
+    await restoreSessionStorage(context, resources.storageState);
+
+    const pages = [];
+    const linkedFrom = new Map();
+    const skipped = new Map();
+    const queued = new Set();
+
+    try {
+        const page = await context.newPage();
+
+        // Collectors stay attached for the whole crawl and are emptied per page
+        const collector = createReport({ ...options, follow_redirects: false, xhr_list: false, xhr_dump: false }, route);
+        const extraHeaders = await preparePage(page, collector, options, resources.mockRules);
+        const brokenAssets = [];
+
+        page.on('response', response => {
+            const request = response.request();
+            if (response.status() >= 400 && !request.isNavigationRequest()) {
+                brokenAssets.push({ url: response.url(), status: response.status(), type: request.resourceType() });
+            }
+        });
+
+        const start = new URL(options.base_url + route).href;
+        const queue = [{ url: start, depth: 0 }];
+        queued.add(start);
+
+        while (queue.length > 0 && pages.length < options.crawl_limit) {
+            const { url, depth } = queue.shift();
+            const started = Date.now();
+
+            collector.console.errors.length = 0;
+            collector.console.uncaught.length = 0;
+            if (collector.console.messages) {
+                collector.console.messages.length = 0;
+            }
+            collector.network_failures.length = 0;
+            brokenAssets.length = 0;
+
+            const report = createReport(options, new URL(url).pathname + new URL(url).search);
+            report.url = url;
+            report.crawl = { depth, links: 0, linked_from: [], broken_assets: [] };
+
+            // Pages are visited one at a time, so the log entries of the visit are the page's
+            const log = options.laravel_log_path
+                ? watchLog(options.laravel_log_path, { daily: options.laravel_log_daily })
+                : null;
+
+            await runPageHook('beforeNavigate', { page, context, options, report });
+
+            let links = [];
+            try {
+                const response = await page.goto(url, { waitUntil: 'networkidle', timeout: options.timeout });
+                if (response) {
+                    const headers = response.headers();
+                    report.status = response.status();
+                    report.final_url = response.url();
+                    report.content_type = headers['content-type'] ? headers['content-type'].split(';')[0] : null;
+                }
+                await new Promise(r => setTimeout(r, 300));
+                await runPageHook('afterLoad', { page, context, options, report });
+
+                if (depth < options.crawl && report.final_url && new URL(report.final_url).origin === origin) {
+                    links = await collectLinks(page);
+                }
+                await runPageHook('collect', { page, context, options, report });
+            } catch (e) {
+                // Links to files start a download instead of a page
+                if (e.message.includes('Download is starting')) {
+                    await checkDownload(context, url, report, extraHeaders, options);
+                } else {
+                    addFailure(report, 'navigation', e.message.split('\n')[0], true);
+                }
+            }
+
+            report.console = await finishConsole(page, collector.console);
+            report.network_failures = [...collector.network_failures];
+            report.crawl.broken_assets = [...brokenAssets];
+            if (log) {
+                report.laravel_log = log.read();
+            }
+
+            for (const link of links) {
+                if (new URL(link.url).origin !== origin) {
+                    continue;
+                }
+                report.crawl.links++;
+                if (!linkedFrom.has(link.url)) {
+                    linkedFrom.set(link.url, new Set());
+                }
+                linkedFrom.get(link.url).add(report.route);
+
+                if (queued.has(link.url)) {
+                    continue;
+                }
+                const reason = skipReason(link, options);
+                if (reason) {
+                    skipped.set(link.url, reason);
+                } else {
+                    queued.add(link.url);
+                    queue.push({ url: link.url, depth: depth + 1 });
+                }
+            }
+
+            applyAllowLists(report, options);
+            if (report.crawl.broken_assets.length > 0) {
+                addFailure(report, 'broken-assets', `${report.crawl.broken_assets.length} subresource(s) answered with 4xx/5xx`);
+            }
+            finalizeReport(report);
+            report.duration_ms = Date.now() - started;
+            pages.push(report);
+        }
+    } finally {
+        await context.close();
+    }
+
+    pages.forEach(report => {
+        report.crawl.linked_from = [...(linkedFrom.get(report.url) || [])];
+    });
+
+    const brokenLinks = pages
+        .filter(r => r.crawl.linked_from.length > 0 && (r.status === null || r.status >= 400))
+        .map(r => ({
+            url: r.url,
+            status: r.status,
+            error: r.status === null && r.failures.length > 0 ? r.failures[0].message : null,
+            linked_from: r.crawl.linked_from
+        }));
+
+    const failed = pages.filter(r => !r.passed).length;
+
+    return {
+        schema: CRAWL_SCHEMA,
+        schema_version: CRAWL_SCHEMA_VERSION,
+        route,
+        depth: options.crawl,
+        limit: options.crawl_limit,
+        summary: {
+            pages: pages.length,
+            passed: pages.length - failed,
+            failed,
+            broken_links: brokenLinks.length,
+            skipped_links: skipped.size,
+            not_visited: queued.size - pages.length
+        },
+        pages,
+        broken_links: brokenLinks,
+        skipped_links: [...skipped].map(([url, reason]) => ({ url, reason })),
+        passed: failed === 0,
+        exit_code: failed === 0 ? 0 : 1
+    };
+}
+
+/**
+ * The http(s) links of the page, without fragments.
+ */
+async function collectLinks(page) {
+    const links = await page.$$eval('a[href]', anchors => anchors.map(a => ({
+        url: a.href,
+        method: a.getAttribute('data-method') || a.getAttribute('data-turbo-method')
+    })));
+
+    return links
+        .filter(link => /^https?:/.test(link.url))
+        .map(link => ({ ...link, url: link.url.split('#')[0] }));
+}
+
+/**
+ * Status of a link that downloads a file, requested outside the page.
+ */
+async function checkDownload(context, url, report, headers, options) {
+    try {
+        const response = await context.request.get(url, { headers, timeout: options.timeout });
+        report.status = response.status();
+        report.final_url = response.url();
+        report.content_type = (response.headers()['content-type'] || '').split(';')[0] || null;
+        await response.dispose();
+    } catch (e) {
+        addFailure(report, 'navigation', e.message.split('\n')[0], true);
+    }
+}
+
+module.exports = {
+    CRAWL_SCHEMA,
+    CRAWL_SCHEMA_VERSION,
+    DEFAULT_CRAWL_DEPTH,
+    DEFAULT_CRAWL_LIMIT,
+    parseCrawlDepth,
+    skipReason,
+    runCrawl
+};
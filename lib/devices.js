@@ -0,0 +1,102 @@
+/**
+ * Device emulation and browser engines
+ *
+ * --device accepts the presets from the application's `devices` config
+ * (passed in as HEADLESS_TESTER_DEVICES) and every Playwright device
+ * descriptor ("iPhone 13", "Pixel 7", ...). A device sets the viewport,
+ * user agent, device scale factor, touch support and mobile emulation.
+ *
+ * Config presets may set any of:
+ *
+ *   'mobile' => ['width' => 375, 'height' => 667, 'device_scale_factor' => 2,
+ *                'is_mobile' => true, 'has_touch' => true, 'user_agent' => '...'],
+ */
+
+const { devices: playwrightDevices } = require('playwright');
+
+const BROWSERS = ['chromium', 'firefox', 'webkit'];
+
+// Used when the application's devices config is not passed in
+const DEFAULT_DEVICES = {
+    'mobile': { width: 375, height: 667, device_scale_factor: 2, is_mobile: true, has_touch: true },
+    'tablet': { width: 768, height: 1024, device_scale_factor: 2, is_mobile: true, has_touch: true },
+    'desktop': { width: 1920, height: 1080 }
+};
+
+/**
+ * Device presets from the config JSON, or the defaults.
+ */
+function loadConfigDevices(json) {
+    if (!json) {
+        return DEFAULT_DEVICES;
+    }
+
+    try {
+        const devices = JSON.parse(json);
+        return devices && typeof devices === 'object' && !Array.isArray(devices) ? devices : DEFAULT_DEVICES;
+    } catch (e) {
+        return DEFAULT_DEVICES;
+    }
+}
+
+/**
+ * Resolve a device name: config presets first, then Playwright descriptors (case-insensitive).
+ */
+function resolveDevice(name, configDevices) {
+    const preset = configDevices[name];
+    if (preset && preset.width) {
+        return {
+            name,
+            source: 'config',
+            width: parseInt(preset.width),
+            height: parseInt(preset.height) || 1080,
+            scale: Number(preset.device_scale_factor) || 1,
+            mobile: Boolean(preset.is_mobile),
+            touch: Boolean(preset.has_touch),
+            user_agent: preset.user_agent || null
+        };
+    }
+
+    const key = Object.keys(playwrightDevices).find(k => k.toLowerCase() === name.toLowerCase());
+    if (key) {
+        const descriptor = playwrightDevices[key];
+        return {
+            name: key,
+            source: 'playwright',
+            width: descriptor.viewport.width,
+            height: descriptor.viewport.height,
+            scale: descriptor.deviceScaleFactor,
+            mobile: descriptor.isMobile,
+            touch: descriptor.hasTouch,
+            user_agent: descriptor.userAgent
+        };
+    }
+
+    throw new Error(`Unknown device '${name}' (config presets: ${Object.keys(configDevices).join(', ')}; or a Playwright device such as 'iPhone 13' or 'Pixel 7')`);
+}
+
+/**
+ * Browser context options for the run's device. The viewport is only set
+ * when a device is given; --screenshot-width overrides the device width.
+ */
+function deviceContextOptions(options) {
+    const contextOptions = { ignoreHTTPSErrors: true };
+    const device = options.device;
+
+    if (device) {
+        contextOptions.viewport = { width: options.screenshot_width || device.width, height: device.height };
+        contextOptions.deviceScaleFactor = device.scale;
+        contextOptions.hasTouch = device.touch;
+        if (device.user_agent) {
+            contextOptions.userAgent = device.user_agent;
+        }
+        // Firefox has no mobile viewport emulation
+        if (options.browser !== 'firefox') {
+            contextOptions.isMobile = device.mobile;
+        }
+    }
+
+    return contextOptions;
+}
+
+module.exports = { BROWSERS, DEFAULT_DEVICES, loadConfigDevices, resolveDevice, deviceContextOptions };
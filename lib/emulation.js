@@ -0,0 +1,145 @@
+/**
+ * Environment emulation
+ *
+ * Runs the page the way a user elsewhere would see it: colour scheme,
+ * reduced motion, locale (which also sets Accept-Language), timezone,
+ * geolocation and permissions are browser context options. Offline mode
+ * cuts the connection once the route has loaded, so the page's own
+ * requests fail the way they would after losing the network.
+ *
+ * Network and CPU throttling use the Chrome DevTools Protocol and are only
+ * available in Chromium.
+ */
+
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+
+// Throughput in bytes per second and added latency in ms, as in Chrome DevTools
+const NETWORK_PROFILES = {
+    'slow-3g': { latency: 2000, download: 50000, upload: 50000 },
+    'fast-3g': { latency: 563, download: 180000, upload: 84375 },
+    'slow-4g': { latency: 150, download: 204800, upload: 96000 },
+    '4g': { latency: 20, download: 524288, upload: 393216 }
+};
+
+/**
+ * Parse --geolocation=lat,lng[,accuracy].
+ */
+function parseGeolocation(value) {
+    const [latitude, longitude, accuracy] = value.split(',').map(Number);
+
+    if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+        throw new Error(`--geolocation must look like latitude,longitude[,accuracy], got '${value}'`);
+    }
+
+    return { latitude, longitude, accuracy: isNaN(accuracy) ? 0 : accuracy };
+}
+
+/**
+ * The emulation settings of a run for the report, or null when none are set.
+ */
+function emulationSettings(options) {
+    const settings = {
+        color_scheme: options.color_scheme,
+        reduced_motion: options.reduced_motion ? 'reduce' : null,
+        locale: options.locale,
+        timezone: options.timezone,
+        geolocation: options.geolocation,
+        permissions: options.permissions,
+        offline: options.offline,
+        network: options.network,
+        cpu_throttle: options.cpu_throttle
+    };
+
+    return Object.values(settings).some(value => value && (!Array.isArray(value) || value.length > 0))
+        ? settings
+        : null;
+}
+
+/**
+ * Browser context options for the run's emulation settings.
+ */
+function emulationContextOptions(options) {
+    const contextOptions = {};
+
+    if (options.color_scheme) {
+        contextOptions.colorScheme = options.color_scheme;
+    }
+    if (options.reduced_motion) {
+        contextOptions.reducedMotion = 'reduce';
+    }
+    if (options.locale) {
+        contextOptions.locale = options.locale;
+    }
+    if (options.timezone) {
+        contextOptions.timezoneId = options.timezone;
+    }
+
+    // A position is only readable with the geolocation permission
+    const permissions = [...options.permissions];
+    if (options.geolocation) {
+        contextOptions.geolocation = options.geolocation;
+        if (!permissions.includes('geolocation')) {
+            permissions.push('geolocation');
+        }
+    }
+    if (permissions.length > 0) {
+        contextOptions.permissions = permissions;
+    }
+
+    return contextOptions;
+}
+
+/**
+ * Apply network and CPU throttling to a Chromium page.
+ */
+async function applyThrottling(page, options) {
+    if (!options.network && !options.cpu_throttle) {
+        return;
+    }
+
+    const cdp = await page.context().newCDPSession(page);
+
+    if (options.network) {
+        const profile = NETWORK_PROFILES[options.network];
+        await cdp.send('Network.enable');
+        await cdp.send('Network.emulateNetworkConditions', {
+            offline: false,
+            latency: profile.latency,
+            downloadThroughput: profile.download,
+            uploadThroughput: profile.upload
+        });
+    }
+
+    if (options.cpu_throttle) {
+        await cdp.send('Emulation.setCPUThrottlingRate', { rate: options.cpu_throttle });
+    }
+}
+
+/**
+ * Short description of the emulation settings for the status line.
+ */
+function describeEmulation(emulation) {
+    const parts = [];
+
+    if (emulation.color_scheme) parts.push(`color-scheme:${emulation.color_scheme}`);
+    if (emulation.reduced_motion) parts.push(`reduced-motion:${emulation.reduced_motion}`);
+    if (emulation.locale) parts.push(`locale:${emulation.locale}`);
+    if (emulation.timezone) parts.push(`timezone:${emulation.timezone}`);
+    if (emulation.geolocation) parts.push(`geolocation:${emulation.geolocation.latitude},${emulation.geolocation.longitude}`);
+    if (emulation.permissions.length > 0) parts.push(`permissions:${emulation.permissions.join(',')}`);
+    if (emulation.offline) parts.push('offline');
+    if (emulation.network) parts.push(`network:${emulation.network}`);
+    if (emulation.cpu_throttle) parts.push(`cpu:${emulation.cpu_throttle}x`);
+
+    return parts.join(' ');
+}
+
+module.exports = {
+    COLOR_SCHEMES,
+    NETWORK_PROFILES,
+    parseGeolocation,
+    emulationSettings,
+    emulationContextOptions,
+    applyThrottling,
+    describeEmulation
+};
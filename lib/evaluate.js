@@ -0,0 +1,42 @@
+/**
+ * In-page JavaScript evaluation used by --eval and scenario eval steps
+ */
+
+/**
+ * Run code inside an async function on the page (so it may use await) and
+ * return its result as a display string.
+ */
+async function evaluateScript(page, code) {
+    try {
+        return await page.evaluate(async (code) => {
+            try {
+                // Wrap code in async function to support await
+                const asyncFunc = new Function('return (async () => { ' + code + ' })()');
+                const r = await asyncFunc();
+
+                // Convert result to string representation
+                let result;
+                if (r === undefined) {
+                    result = 'undefined';
+                } else if (r === null) {
+                    result = 'null';
+                } else if (typeof r === 'object') {
+                    try {
+                        result = JSON.stringify(r, null, 2);
+                    } catch (e) {
+                        result = String(r);
+                    }
+                } else {
+                    result = String(r);
+                }
+                return { result, error: null };
+            } catch (e) {
+                return { result: null, error: e.message };
+            }
+        }, code);
+    } catch (e) {
+        return { result: null, error: e.message };
+    }
+}
+
+module.exports = { evaluateScript };
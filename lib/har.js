@@ -0,0 +1,243 @@
+/**
+ * HAR export
+ *
+ * Records every request the page makes (documents, scripts, styles, images,
+ * XHR/fetch, redirect hops and failed requests) and writes it as a HAR 1.2
+ * file that browser devtools and HAR viewers can open. Requests are tracked by
+ * their Playwright Request object, so repeated calls to one URL stay separate.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const packageInfo = require('../package.json');
+
+const TEXT_MIME_PATTERN = /^text\/|[/+](json|xml|javascript|ecmascript|x-www-form-urlencoded|svg\+xml)|^application\/(javascript|json)/;
+
+/**
+ * Start recording the page's traffic. Call build() once the run is done.
+ */
+function recordHar(page, { bodyLimit }) {
+    const entries = new Map();
+    const pending = new Set();
+
+    const track = promise => {
+        pending.add(promise);
+        promise.finally(() => pending.delete(promise));
+    };
+
+    page.on('request', request => {
+        entries.set(request, createEntry(request));
+    });
+
+    page.on('requestfinished', request => {
+        track(completeEntry(entries.get(request), request, bodyLimit));
+    });
+
+    page.on('requestfailed', request => {
+        const entry = entries.get(request);
+        if (entry) {
+            entry._failureText = request.failure() ? request.failure().errorText : 'Unknown error';
+            track(completeEntry(entry, request, bodyLimit));
+        }
+    });
+
+    return {
+        /**
+         * Wait for outstanding bodies and return the HAR document.
+         */
+        async build(browser) {
+            await Promise.all([...pending]);
+
+            let pageTitle = '';
+            let pageTimings = { onContentLoad: -1, onLoad: -1 };
+            try {
+                pageTitle = await page.title();
+                pageTimings = await page.evaluate(() => {
+                    const nav = performance.getEntriesByType('navigation')[0];
+                    return nav
+                        ? { onContentLoad: nav.domContentLoadedEventEnd, onLoad: nav.loadEventEnd }
+                        : { onContentLoad: -1, onLoad: -1 };
+                });
+            } catch (e) {
+                // Page may be closed or navigating
+            }
+
+            const list = [...entries.values()].sort((a, b) => a._started - b._started);
+            const started = list.length > 0 ? list[0]._started : Date.now();
+
+            return {
+                log: {
+                    version: '1.2',
+                    creator: { name: packageInfo.name, version: packageInfo.version },
+                    browser: { name: browser.browserType().name(), version: browser.version() },
+                    pages: [{
+                        startedDateTime: new Date(started).toISOString(),
+                        id: 'page_1',
+                        title: pageTitle,
+                        pageTimings
+                    }],
+                    entries: list.map(({ _started, ...entry }) => entry)
+                }
+            };
+        }
+    };
+}
+
+function createEntry(request) {
+    const url = new URL(request.url());
+    const postData = request.postData();
+
+    const entry = {
+        _started: Date.now(),
+        pageref: 'page_1',
+        startedDateTime: new Date().toISOString(),
+        time: 0,
+        request: {
+            method: request.method(),
+            url: request.url(),
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: toHeaderList(request.headers()),
+            queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+            headersSize: -1,
+            bodySize: postData ? Buffer.byteLength(postData) : 0
+        },
+        response: {
+            status: 0,
+            statusText: '',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: [],
+            content: { size: 0, mimeType: 'x-unknown' },
+            redirectURL: '',
+            headersSize: -1,
+            bodySize: -1
+        },
+        cache: {},
+        timings: { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 0, receive: 0 },
+        _resourceType: request.resourceType()
+    };
+
+    if (postData) {
+        entry.request.postData = {
+            mimeType: request.headers()['content-type'] || 'application/octet-stream',
+            text: postData
+        };
+    }
+
+    return entry;
+}
+
+/**
+ * Fill in response, timings and sizes once the request finished or failed.
+ */
+async function completeEntry(entry, request, bodyLimit) {
+    if (!entry) {
+        return;
+    }
+
+    try {
+        entry.request.headers = await request.headersArray();
+    } catch (e) {
+        // Keep the provisional headers
+    }
+
+    const timing = request.timing();
+    applyTimings(entry, timing);
+
+    const response = await request.response().catch(() => null);
+    if (response) {
+        const headers = await response.headersArray().catch(() => toHeaderList(response.headers()));
+        const mimeType = (response.headers()['content-type'] || 'x-unknown').split(';')[0].trim();
+
+        entry.response.status = response.status();
+        entry.response.statusText = response.statusText();
+        entry.response.httpVersion = await response.httpVersion().catch(() => 'HTTP/1.1');
+        entry.response.headers = headers;
+        entry.response.redirectURL = response.headers()['location'] || '';
+        entry.response.content.mimeType = mimeType;
+        entry.request.httpVersion = entry.response.httpVersion;
+
+        const server = await response.serverAddr().catch(() => null);
+        if (server) {
+            entry.serverIPAddress = server.ipAddress;
+        }
+
+        if (!entry._failureText && !(entry.response.status >= 300 && entry.response.status < 400)) {
+            await addBody(entry, response, mimeType, bodyLimit);
+        }
+    }
+
+    try {
+        const sizes = await request.sizes();
+        entry.request.headersSize = sizes.requestHeadersSize;
+        entry.request.bodySize = sizes.requestBodySize;
+        entry.response.headersSize = sizes.responseHeadersSize;
+        entry.response.bodySize = sizes.responseBodySize;
+    } catch (e) {
+        // Sizes are unavailable for failed requests
+    }
+}
+
+async function addBody(entry, response, mimeType, bodyLimit) {
+    let body;
+    try {
+        body = await response.body();
+    } catch (e) {
+        entry.response.content.comment = `Body unavailable: ${e.message.split('\n')[0]}`;
+        return;
+    }
+
+    entry.response.content.size = body.length;
+
+    if (body.length > bodyLimit) {
+        entry.response.content.comment = `Body omitted: ${body.length} bytes exceeds the ${bodyLimit} byte limit`;
+        return;
+    }
+
+    if (TEXT_MIME_PATTERN.test(mimeType)) {
+        entry.response.content.text = body.toString('utf8');
+    } else {
+        entry.response.content.text = body.toString('base64');
+        entry.response.content.encoding = 'base64';
+    }
+}
+
+function applyTimings(entry, timing) {
+    if (!timing || timing.startTime <= 0) {
+        return;
+    }
+
+    const span = (start, end) => (start >= 0 && end >= 0 ? Math.max(0, end - start) : -1);
+    const firstActivity = [timing.domainLookupStart, timing.connectStart, timing.requestStart].find(t => t >= 0);
+
+    entry._started = timing.startTime;
+    entry.startedDateTime = new Date(timing.startTime).toISOString();
+    entry.timings = {
+        blocked: firstActivity !== undefined ? firstActivity : -1,
+        dns: span(timing.domainLookupStart, timing.domainLookupEnd),
+        connect: span(timing.connectStart, timing.connectEnd),
+        ssl: span(timing.secureConnectionStart, timing.connectEnd),
+        send: 0,
+        wait: Math.max(0, span(timing.requestStart, timing.responseStart)),
+        receive: Math.max(0, span(timing.responseStart, timing.responseEnd))
+    };
+
+    // ssl is part of connect, so it is not added twice
+    const { ssl, ...parts } = entry.timings;
+    entry.time = Object.values(parts).filter(t => t > 0).reduce((sum, t) => sum + t, 0);
+}
+
+function toHeaderList(headers) {
+    return Object.entries(headers).map(([name, value]) => ({ name, value }));
+}
+
+/**
+ * Write a HAR document, creating the directory if needed.
+ */
+function writeHar(file, har) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(har, null, 2));
+}
+
+module.exports = { recordHar, writeHar };
@@ -0,0 +1,170 @@
+/**
+ * Laravel log correlation
+ *
+ * Remembers where the Laravel log ends before a route is tested and reads
+ * back only what was written during the run, so every entry shown belongs to
+ * this run (or to routes tested concurrently with it). Entries are parsed from
+ * Laravel's default Monolog line format:
+ *
+ *   [2024-05-01 10:00:00] local.ERROR: Message {"exception":"[object] (Class(code: 0): Message at /path/file.php:25)
+ *   [stacktrace]
+ *   #0 /path/vendor/...
+ *   "}
+ *
+ * Daily channels write laravel-YYYY-MM-DD.log next to the configured path;
+ * every dated file is watched so runs across midnight are covered.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ENTRY_HEADER = /^\[(\d{4}-\d{2}-\d{2}[T ][^\]]+)\] ([\w-]+)\.(\w+): /;
+const EXCEPTION_PATTERN = /\[object\] \(([\w\\]+)\(code: [^)]*\): ([\s\S]*?) at (\S+?):(\d+)\)(?:\r?\n|$)/;
+
+// Stack frames kept per entry
+const MAX_STACK_FRAMES = 10;
+
+// Most log output read per run, so a flood of log lines cannot exhaust memory
+const MAX_READ_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Record the current end of the log file(s). Call read() when the run is done.
+ */
+function watchLog(logPath, { daily = false } = {}) {
+    const offsets = new Map(logFiles(logPath, daily).map(file => [file, fileSize(file)]));
+
+    return {
+        /**
+         * Parse the entries written since watchLog() was called.
+         */
+        read() {
+            const result = { path: logPath, daily, entries: [], error: null };
+
+            try {
+                const text = logFiles(logPath, daily)
+                    .map(file => readFrom(file, offsets.get(file) || 0))
+                    .join('');
+                result.entries = parseLogEntries(text);
+            } catch (e) {
+                result.error = e.message;
+            }
+
+            return result;
+        }
+    };
+}
+
+/**
+ * The files a channel writes to: the path itself, or its dated siblings for daily channels.
+ */
+function logFiles(logPath, daily) {
+    if (!daily) {
+        return fs.existsSync(logPath) ? [logPath] : [];
+    }
+
+    const dir = path.dirname(logPath);
+    const ext = path.extname(logPath);
+    const prefix = path.basename(logPath, ext) + '-';
+
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+
+    return fs.readdirSync(dir)
+        .filter(name => name.startsWith(prefix) && name.endsWith(ext) && /^\d{4}-\d{2}-\d{2}$/.test(name.slice(prefix.length, name.length - ext.length)))
+        .sort()
+        .map(name => path.join(dir, name));
+}
+
+function fileSize(file) {
+    try {
+        return fs.statSync(file).size;
+    } catch (e) {
+        return 0;
+    }
+}
+
+function readFrom(file, offset) {
+    const size = fileSize(file);
+
+    // The file was truncated or rotated: everything in it is new
+    if (size < offset) {
+        offset = 0;
+    }
+
+    const start = Math.max(offset, size - MAX_READ_BYTES);
+    if (size <= start) {
+        return '';
+    }
+
+    const buffer = Buffer.alloc(size - start);
+    const fd = fs.openSync(file, 'r');
+    try {
+        fs.readSync(fd, buffer, 0, buffer.length, start);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    return buffer.toString('utf8');
+}
+
+/**
+ * Split log text into entries: { time, environment, level, message, exception, file, line, stack }.
+ */
+function parseLogEntries(text) {
+    const entries = [];
+    let current = null;
+
+    for (const line of text.split('\n')) {
+        if (ENTRY_HEADER.test(line)) {
+            current = { lines: [line] };
+            entries.push(current);
+        } else if (current) {
+            current.lines.push(line);
+        }
+    }
+
+    return entries.map(entry => parseEntry(entry.lines.join('\n').trimEnd()));
+}
+
+function parseEntry(raw) {
+    const [header, time, environment, level] = ENTRY_HEADER.exec(raw);
+    const firstLine = raw.split('\n')[0].substring(header.length);
+    const exception = EXCEPTION_PATTERN.exec(raw);
+
+    const stack = raw.split('\n')
+        .filter(line => /^#\d+ /.test(line))
+        .map(line => unescapeJson(line.trim()));
+
+    return {
+        time,
+        environment,
+        level: level.toLowerCase(),
+        message: stripContext(firstLine),
+        exception: exception ? unescapeJson(exception[1]) : null,
+        file: exception ? unescapeJson(exception[3]) : null,
+        line: exception ? parseInt(exception[4]) : null,
+        stack: stack.length > MAX_STACK_FRAMES
+            ? [...stack.slice(0, MAX_STACK_FRAMES), `... ${stack.length - MAX_STACK_FRAMES} more frame(s)`]
+            : stack
+    };
+}
+
+/**
+ * Drop the JSON context and extra data Monolog appends to the message.
+ */
+function stripContext(message) {
+    return message
+        .replace(/ \{".*$/, '')
+        .replace(/( \[\]| \{\})+$/, '')
+        .trim();
+}
+
+/**
+ * Context is JSON-encoded, so namespaces and paths in it have escaped backslashes.
+ */
+function unescapeJson(value) {
+    return value.replace(/\\\\/g, '\\').replace(/\\\//g, '/');
+}
+
+module.exports = { watchLog, parseLogEntries };
@@ -0,0 +1,320 @@
+/**
+ * Layout check
+ *
+ * Scans the rendered page for layout problems: elements sticking out of the
+ * viewport horizontally, visible elements overlapping each other, clipped or
+ * ellipsized text, zero-size interactive elements, images stretched away from
+ * their natural aspect ratio, and fixed or sticky elements covering content.
+ * Each finding has the check, a selector, the element's box in viewport
+ * pixels (as in --dump-dimensions) and the reason.
+ *
+ * With several widths the viewport is resized to each in turn and the page is
+ * scanned again, then restored, so one run catches responsive regressions.
+ */
+
+const { evaluateAudit } = require('./audit');
+
+const LAYOUT_CHECKS = [
+    'viewport-overflow',
+    'overlap',
+    'clipped-text',
+    'zero-size',
+    'distorted-image',
+    'covered-content'
+];
+
+// Findings kept per check and viewport; the counts still cover all of them
+const MAX_FINDINGS_PER_CHECK = 25;
+
+// Cap on elements compared pairwise for overlaps, to keep huge pages fast
+const MAX_OVERLAP_ELEMENTS = 1500;
+
+// Rendered aspect ratio may differ this much from the natural one
+const MAX_ASPECT_DEVIATION = 0.1;
+
+/**
+ * Parse --layout-widths=375,768,1280. Device presets of the application's
+ * devices config may be used instead of numbers.
+ */
+function parseLayoutWidths(value, presets = {}) {
+    const entries = Array.isArray(value) ? value : String(value).split(',');
+    const widths = entries.map(w => String(w).trim()).filter(Boolean).map(entry => {
+        const preset = presets[entry];
+        const width = preset && preset.width ? parseInt(preset.width) : Number(entry);
+        if (!Number.isInteger(width) || width < 1) {
+            throw new Error(`--layout-widths needs widths in pixels or device presets, got '${entry}'`);
+        }
+        return width;
+    });
+
+    if (widths.length === 0) {
+        throw new Error('--layout-widths needs at least one width');
+    }
+    return widths;
+}
+
+/**
+ * Scan the page at each width (the current viewport without widths) and
+ * return { viewports: [{ width, height, findings, counts }], counts, total }.
+ */
+async function runLayoutCheck(page, widths = null) {
+    const original = page.viewportSize() || await page.evaluate(() => ({
+        width: window.innerWidth,
+        height: window.innerHeight
+    }));
+    const viewports = [];
+
+    try {
+        for (const width of widths || [original.width]) {
+            if (width !== original.width) {
+                await page.setViewportSize({ width, height: original.height });
+                await settleLayout(page);
+            }
+            const scan = await evaluateAudit(page, scanLayout, {
+                maxFindings: MAX_FINDINGS_PER_CHECK,
+                maxOverlapElements: MAX_OVERLAP_ELEMENTS,
+                maxAspectDeviation: MAX_ASPECT_DEVIATION
+            });
+            viewports.push({ width, height: original.height, findings: scan.findings, counts: scan.counts });
+        }
+    } finally {
+        if (page.viewportSize() && page.viewportSize().width !== original.width) {
+            await page.setViewportSize(original);
+            await settleLayout(page);
+        }
+    }
+
+    return { viewports, counts: countByCheck(viewports), total: viewports.reduce((n, v) => n + total(v.counts), 0) };
+}
+
+/**
+ * Give media queries, resize handlers and transitions a moment to apply.
+ */
+async function settleLayout(page) {
+    await page.evaluate(() => new Promise(resolve => {
+        requestAnimationFrame(() => requestAnimationFrame(() => setTimeout(resolve, 100)));
+    }));
+}
+
+function countByCheck(viewports) {
+    const counts = Object.fromEntries(LAYOUT_CHECKS.map(c => [c, 0]));
+    viewports.forEach(v => Object.entries(v.counts).forEach(([check, n]) => counts[check] += n));
+    return counts;
+}
+
+function total(counts) {
+    return Object.values(counts).reduce((sum, n) => sum + n, 0);
+}
+
+/**
+ * Runs inside the page, with cssPath() from audit.js.
+ */
+function scanLayout({ maxFindings, maxOverlapElements, maxAspectDeviation }) {
+    const findings = [];
+    const perCheck = {};
+    const viewportWidth = document.documentElement.clientWidth;
+
+    const add = (check, el, rect, reason) => {
+        perCheck[check] = (perCheck[check] || 0) + 1;
+        if (perCheck[check] > maxFindings) {
+            return;
+        }
+        findings.push({ check, selector: cssPath(el), box: box(rect), reason });
+    };
+
+    function box(rect) {
+        return {
+            x: Math.round(rect.x),
+            y: Math.round(rect.y),
+            w: Math.round(rect.width),
+            h: Math.round(rect.height)
+        };
+    }
+
+    function isShown(el, style) {
+        return el.getClientRects().length > 0
+            && style.visibility !== 'hidden'
+            && style.visibility !== 'collapse'
+            && parseFloat(style.opacity) > 0;
+    }
+
+    function ownText(el) {
+        return Array.from(el.childNodes)
+            .filter(n => n.nodeType === 3)
+            .map(n => n.textContent)
+            .join('')
+            .trim();
+    }
+
+    function clipsX(style) {
+        return ['hidden', 'clip', 'auto', 'scroll'].includes(style.overflowX);
+    }
+
+    function intersection(a, b) {
+        const w = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+        const h = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
+        return w > 0 && h > 0 ? { w, h, x: Math.max(a.left, b.left), y: Math.max(a.top, b.top) } : null;
+    }
+
+    const INTERACTIVE = 'a[href], button, input:not([type="hidden"]), select, textarea, summary, '
+        + '[role="button"], [role="link"], [role="checkbox"], [role="tab"], [onclick], [tabindex]:not([tabindex="-1"])';
+
+    const elements = Array.from(document.body ? document.body.querySelectorAll('*') : [])
+        .filter(el => !['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'BR', 'WBR'].includes(el.tagName));
+    const info = new Map();
+    elements.forEach(el => {
+        const style = getComputedStyle(el);
+        info.set(el, { style, rect: el.getBoundingClientRect(), shown: isShown(el, style) });
+    });
+
+    // Elements that scroll or clip horizontally contain their overflow
+    const clippedByAncestor = el => {
+        for (let parent = el.parentElement; parent && parent !== document.body; parent = parent.parentElement) {
+            if (info.has(parent) && clipsX(info.get(parent).style)) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    // Horizontal overflow: report where it starts, not every descendant
+    const overflows = new Set();
+    elements.forEach(el => {
+        const { rect, shown, style } = info.get(el);
+        if (!shown || rect.width === 0 || style.position === 'fixed') {
+            return;
+        }
+        const right = rect.right - viewportWidth;
+        const left = -rect.left;
+        if ((right > 1 || left > 1) && !clippedByAncestor(el)) {
+            overflows.add(el);
+            if (!overflows.has(el.parentElement)) {
+                const reason = right > 1
+                    ? `Extends ${Math.round(right)}px past the right edge of the ${viewportWidth}px viewport`
+                    : `Starts ${Math.round(left)}px left of the viewport`;
+                add('viewport-overflow', el, rect, reason);
+            }
+        }
+    });
+
+    // Content elements: replaced and interactive elements and those with their own text
+    const content = elements.filter(el => {
+        const { rect, shown, style } = info.get(el);
+        return shown
+            && rect.width > 0 && rect.height > 0
+            && style.position !== 'fixed' && style.position !== 'sticky'
+            && (el.matches('img, svg, video, canvas, iframe, input, select, textarea, button') || ownText(el) !== '');
+    });
+
+    // Overlapping content that is not nested
+    const overlapCandidates = content.slice(0, maxOverlapElements);
+    for (let i = 0; i < overlapCandidates.length; i++) {
+        const a = overlapCandidates[i];
+        const ra = info.get(a).rect;
+        for (let j = i + 1; j < overlapCandidates.length; j++) {
+            const b = overlapCandidates[j];
+            if (a.contains(b) || b.contains(a)) {
+                continue;
+            }
+            const rb = info.get(b).rect;
+            const overlap = intersection(ra, rb);
+            if (!overlap || overlap.w < 2 || overlap.h < 2) {
+                continue;
+            }
+            const smaller = Math.min(ra.width * ra.height, rb.width * rb.height);
+            if (overlap.w * overlap.h >= smaller * 0.25) {
+                add('overlap', a, ra, `Overlaps ${cssPath(b)} by ${Math.round(overlap.w)}x${Math.round(overlap.h)}px`);
+            }
+        }
+    }
+
+    // Text cut off by overflow:hidden or shortened with an ellipsis
+    content.forEach(el => {
+        const { style, rect } = info.get(el);
+        if (ownText(el) === '' || el.matches('input, select, textarea')) {
+            return;
+        }
+        const hiddenX = ['hidden', 'clip'].includes(style.overflowX) && el.scrollWidth > el.clientWidth + 1;
+        const hiddenY = ['hidden', 'clip'].includes(style.overflowY) && el.scrollHeight > el.clientHeight + 1;
+        if (hiddenX && style.textOverflow === 'ellipsis') {
+            add('clipped-text', el, rect, `Text truncated with an ellipsis (${el.scrollWidth}px of text in ${el.clientWidth}px)`);
+        } else if (hiddenX) {
+            add('clipped-text', el, rect, `Text clipped by overflow:hidden (${el.scrollWidth}px of text in ${el.clientWidth}px)`);
+        } else if (hiddenY) {
+            add('clipped-text', el, rect, `Text clipped by overflow:hidden (${el.scrollHeight}px of text in ${el.clientHeight}px high)`);
+        }
+    });
+
+    // Interactive elements that are rendered but cannot be hit
+    elements.filter(el => el.matches(INTERACTIVE)).forEach(el => {
+        const { style, rect } = info.get(el);
+        if (el.getClientRects().length === 0 || style.visibility === 'hidden') {
+            return;
+        }
+        if (rect.width < 1 || rect.height < 1) {
+            add('zero-size', el, rect, `Interactive element rendered at ${Math.round(rect.width)}x${Math.round(rect.height)}px`);
+        }
+    });
+
+    // Images stretched or squashed away from their natural aspect ratio
+    elements.filter(el => el.tagName === 'IMG').forEach(img => {
+        const { style, rect, shown } = info.get(img);
+        if (!shown || !img.complete || !img.naturalWidth || !img.naturalHeight || rect.width < 1 || rect.height < 1) {
+            return;
+        }
+        if (['cover', 'contain', 'scale-down', 'none'].includes(style.objectFit)) {
+            return;
+        }
+        const natural = img.naturalWidth / img.naturalHeight;
+        const rendered = rect.width / rect.height;
+        const deviation = rendered / natural - 1;
+        if (Math.abs(deviation) > maxAspectDeviation) {
+            add('distorted-image', img, rect, `Rendered at ${Math.round(rect.width)}x${Math.round(rect.height)} from `
+                + `${img.naturalWidth}x${img.naturalHeight}, ${Math.round(Math.abs(deviation) * 100)}% too ${deviation > 0 ? 'wide' : 'narrow'}`);
+        }
+    });
+
+    // Fixed and sticky elements on top of content they do not contain
+    elements.forEach(el => {
+        const { style, rect, shown } = info.get(el);
+        if (!shown || !['fixed', 'sticky'].includes(style.position) || rect.width === 0 || rect.height === 0) {
+            return;
+        }
+        if (overlaysAncestor(el)) {
+            return;
+        }
+        const covered = content.filter(other => {
+            if (el.contains(other) || other.contains(el)) {
+                return false;
+            }
+            const overlap = intersection(rect, info.get(other).rect);
+            if (!overlap) {
+                return false;
+            }
+            const top = document.elementFromPoint(overlap.x + overlap.w / 2, overlap.y + overlap.h / 2);
+            return top !== null && el.contains(top);
+        });
+        if (covered.length > 0) {
+            add('covered-content', el, rect, `${style.position === 'fixed' ? 'Fixed' : 'Sticky'} element covers `
+                + `${covered.length} element(s), such as ${cssPath(covered[0])}`);
+        }
+    });
+
+    // Nested fixed or sticky elements are reported through the outer one
+    function overlaysAncestor(el) {
+        for (let parent = el.parentElement; parent && parent !== document.body; parent = parent.parentElement) {
+            if (info.has(parent) && ['fixed', 'sticky'].includes(info.get(parent).style.position)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    return { findings, counts: perCheck };
+}
+
+module.exports = {
+    LAYOUT_CHECKS,
+    parseLayoutWidths,
+    runLayoutCheck
+};
@@ -0,0 +1,189 @@
+/**
+ * Authorization matrix
+ *
+ * Tests one route as several users (guest for no user), each in a fresh
+ * context of the same browser, and lines the results up side by side: final
+ * status, redirect target, console errors, which of the chosen selectors are
+ * present, and how the text of a chosen element differs from the first user.
+ *
+ * An expected-access table maps each user to a status (403, 2xx) or to the URL
+ * the user should end up at (/login), and the matrix fails where it does not
+ * hold. Statuses are then judged by the table instead of the >= 400 rule.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { testRoute } = require('./route-test');
+const { statusMatches, urlMatcher } = require('./assertions');
+const { addFailure } = require('./report');
+const { unifiedDiff } = require('./snapshot');
+const { routeSlug } = require('./util');
+const { failedReport } = require('./batch');
+
+const MATRIX_SCHEMA = 'laravel-headless-browser-tester/matrix';
+const MATRIX_SCHEMA_VERSION = 1;
+
+const GUEST = 'guest';
+
+/**
+ * Parse --users=1,2,guest,admin@example.com.
+ */
+function parseUsers(value) {
+    const users = value.split(',').map(u => u.trim()).filter(Boolean);
+    if (users.length === 0) {
+        throw new Error('--users needs at least one user ID, username or guest');
+    }
+    return users;
+}
+
+/**
+ * Parse --expect-access: an object, inline JSON or a path to a JSON file mapping
+ * each user to a status such as 200 or 4xx, or to a URL glob starting with /.
+ */
+function loadAccessTable(value) {
+    const table = typeof value === 'string'
+        ? JSON.parse(value.trim().startsWith('{') ? value : fs.readFileSync(value, 'utf8'))
+        : value;
+
+    if (!table || typeof table !== 'object' || Array.isArray(table)) {
+        throw new Error('The access table must be a JSON object of user => status or URL');
+    }
+
+    const normalized = {};
+
+    Object.entries(table).forEach(([user, expected]) => {
+        const text = String(expected);
+        if (!/^[1-5](\d\d|xx)$/i.test(text) && !text.startsWith('/') && !/^https?:\/\//.test(text)) {
+            throw new Error(`Expected access for '${user}' must be a status such as 403 or 2xx, or a URL such as /login, got '${text}'`);
+        }
+        normalized[user] = text.toLowerCase();
+    });
+
+    return normalized;
+}
+
+function checkAccess(report, expected, baseUrl) {
+    if (/^[1-5](\d\d|xx)$/.test(expected)) {
+        return report.status !== null && statusMatches(report.status, expected);
+    }
+    return report.final_url !== null && urlMatcher(expected, baseUrl).test(report.final_url);
+}
+
+/**
+ * Run the route as every user and build the matrix.
+ */
+async function runMatrix(browser, route, options, resources = {}) {
+    const table = options.expect_access || {};
+    const rows = [];
+
+    // One user at a time, so sessions cannot interfere
+    for (const user of options.users) {
+        const userOptions = userRunOptions(route, user, options);
+        const expected = table[user] !== undefined ? table[user] : null;
+
+        // Judged before recordings are finished, so --artifacts=on-failure keeps the right ones
+        let access = null;
+        const judge = expected === null ? null : report => {
+            access = { expected, passed: checkAccess(report, expected, options.base_url) };
+            judgeAccess(report, access);
+        };
+
+        let report;
+        try {
+            report = await testRoute(browser, route, userOptions, resources, { judge });
+        } catch (e) {
+            // One user's broken context does not lose the rows of the others
+            report = failedReport(route, userOptions, e);
+            if (judge) {
+                judge(report);
+            }
+        }
+        rows.push({ user, report, access });
+    }
+
+    const reference = rows[0];
+    const textDiffs = options.matrix_text
+        ? rows.slice(1).map(row => ({
+            user: row.user,
+            diff: compareText(reference, row, options.matrix_text)
+        }))
+        : [];
+
+    const failed = rows.filter(row => !row.report.passed).length;
+
+    return {
+        schema: MATRIX_SCHEMA,
+        schema_version: MATRIX_SCHEMA_VERSION,
+        route,
+        selectors: options.matrix_selectors,
+        text_selector: options.matrix_text,
+        users: rows.map(row => ({ user: row.user, access: row.access, report: row.report })),
+        text_diffs: textDiffs,
+        passed: failed === 0,
+        exit_code: failed === 0 ? 0 : 1
+    };
+}
+
+/**
+ * The options of one user's run. --screenshot-path, --har, --trace and
+ * --save-state name directories with one file per user, --video gets a
+ * subdirectory per user and --snapshot one snapshot per user.
+ */
+function userRunOptions(route, user, options) {
+    const userOptions = { ...options, user_id: user === GUEST ? null : user };
+    const name = `${routeSlug(route)}--${routeSlug(user)}`;
+
+    if (options.screenshot_path) {
+        userOptions.screenshot_path = path.join(options.screenshot_path, name + '.png');
+    }
+    if (options.har) {
+        userOptions.har = path.join(options.har, name + '.har');
+    }
+    if (options.trace) {
+        userOptions.trace = path.join(options.trace, name + '.zip');
+    }
+    if (options.save_state) {
+        userOptions.save_state = path.join(options.save_state, name + '.json');
+    }
+    if (options.video) {
+        userOptions.video = path.join(options.video, routeSlug(user));
+    }
+    if (options.snapshot) {
+        userOptions.snapshot = `${options.snapshot}--${routeSlug(user)}`;
+    }
+
+    return userOptions;
+}
+
+/**
+ * Judge the status of a report by the access table instead of the >= 400 rule.
+ */
+function judgeAccess(report, access) {
+    report.failures = report.failures.filter(f => f.type !== 'http-status');
+    if (!access.passed) {
+        const actual = report.status === null ? 'no response' : `${report.status} at ${report.final_url}`;
+        addFailure(report, 'expect-access', `expect-access: expected ${access.expected}, got ${actual}`);
+    }
+    report.passed = report.failures.length === 0;
+    report.exit_code = report.passed ? 0 : 1;
+}
+
+function compareText(reference, row, selector) {
+    const text = r => (r.report.matrix && r.report.matrix.text !== null) ? r.report.matrix.text : null;
+    const a = text(reference);
+    const b = text(row);
+
+    if (a === null || b === null) {
+        return a === b ? '' : `'${selector}' ${a === null ? 'missing' : 'present'} for ${reference.user}, ${b === null ? 'missing' : 'present'} for ${row.user}`;
+    }
+    return unifiedDiff(a + '\n', b + '\n', reference.user, row.user);
+}
+
+module.exports = {
+    MATRIX_SCHEMA,
+    MATRIX_SCHEMA_VERSION,
+    GUEST,
+    parseUsers,
+    loadAccessTable,
+    runMatrix
+};
@@ -0,0 +1,190 @@
+/**
+ * Request mocking and blocking
+ *
+ * A mock file (JSON or YAML) lists rules matched in order against every
+ * request. The first matching rule decides what happens to the request:
+ *
+ *   - fulfill:  answer with status/headers/body or body_file, never touching the server
+ *   - abort:    fail the request (optionally with a specific error code)
+ *   - continue: pass the request through unchanged
+ *
+ * Any rule may also delay the request. Requests aborted on purpose (by a rule
+ * or --block-external) are not counted as network failures.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+const ABORT_CODES = [
+    'aborted', 'accessdenied', 'addressunreachable', 'blockedbyclient', 'blockedbyresponse',
+    'connectionaborted', 'connectionclosed', 'connectionfailed', 'connectionrefused',
+    'connectionreset', 'internetdisconnected', 'namenotresolved', 'timedout', 'failed'
+];
+
+/**
+ * Load and validate a mock file. Relative body_file paths are resolved from the mock file's directory.
+ */
+function loadMockRules(file, baseUrl) {
+    const source = fs.readFileSync(file, 'utf8');
+    const ext = path.extname(file).toLowerCase();
+
+    let data;
+    try {
+        data = (ext === '.yml' || ext === '.yaml') ? YAML.parse(source) : JSON.parse(source);
+    } catch (e) {
+        throw new Error(`Could not parse mock file ${file}: ${e.message}`);
+    }
+
+    const rules = Array.isArray(data) ? data : (data && data.rules);
+    if (!Array.isArray(rules) || rules.length === 0) {
+        throw new Error(`Mock file ${file} has no rules`);
+    }
+
+    return rules.map((rule, i) => normalizeRule(rule, i + 1, path.dirname(file), baseUrl));
+}
+
+function normalizeRule(rule, number, dir, baseUrl) {
+    if (!rule || typeof rule !== 'object' || (!rule.url && !rule.regex)) {
+        throw new Error(`Mock rule ${number} needs a url glob or a regex`);
+    }
+
+    const normalized = {
+        number,
+        pattern: rule.regex ? `/${rule.regex}/` : rule.url,
+        matcher: rule.regex ? new RegExp(rule.regex) : globToRegExp(absoluteGlob(rule.url, baseUrl)),
+        method: rule.method ? String(rule.method).toUpperCase() : null,
+        action: 'continue',
+        delay: rule.delay ? Number(rule.delay) : 0,
+        abort_code: null,
+        status: rule.status || 200,
+        headers: rule.headers || {},
+        body: null,
+        body_file: null
+    };
+
+    if (rule.abort) {
+        normalized.action = 'abort';
+        normalized.abort_code = rule.abort === true ? 'failed' : String(rule.abort);
+        if (!ABORT_CODES.includes(normalized.abort_code)) {
+            throw new Error(`Mock rule ${number} has unknown abort code '${rule.abort}' (expected: ${ABORT_CODES.join(', ')})`);
+        }
+    } else if (rule.status !== undefined || rule.body !== undefined || rule.body_file !== undefined || rule.headers !== undefined) {
+        normalized.action = 'fulfill';
+
+        if (rule.body_file) {
+            normalized.body_file = path.resolve(dir, rule.body_file);
+            if (!fs.existsSync(normalized.body_file)) {
+                throw new Error(`Mock rule ${number} body_file not found: ${normalized.body_file}`);
+            }
+        } else if (rule.body !== undefined && rule.body !== null && typeof rule.body === 'object') {
+            normalized.body = JSON.stringify(rule.body);
+            if (!hasHeader(normalized.headers, 'content-type')) {
+                normalized.headers = { ...normalized.headers, 'content-type': 'application/json' };
+            }
+        } else {
+            normalized.body = rule.body === undefined || rule.body === null ? '' : String(rule.body);
+        }
+    }
+
+    return normalized;
+}
+
+/**
+ * Path-only globs (/api/*) are relative to the application's base URL.
+ */
+function absoluteGlob(glob, baseUrl) {
+    return glob.startsWith('/') ? baseUrl + glob : glob;
+}
+
+/**
+ * Convert a URL glob to a regular expression: ** matches anything, * matches
+ * anything except a slash. Everything else, including ?, is literal.
+ */
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            pattern += '.*';
+            i++;
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\?]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${pattern}$`);
+}
+
+function hasHeader(headers, name) {
+    return Object.keys(headers).some(h => h.toLowerCase() === name);
+}
+
+/**
+ * Per-route decision maker. Its stats object counts the requests each rule
+ * matched and is updated live, so it can be put in the report right away.
+ */
+function createMockRouter(rules, { baseUrl, blockExternal }) {
+    const stats = {
+        rules: rules.map(rule => ({
+            number: rule.number,
+            pattern: rule.pattern,
+            method: rule.method,
+            action: rule.action,
+            hits: 0
+        })),
+        blocked_external: blockExternal ? 0 : null
+    };
+
+    return {
+        stats,
+
+        /**
+         * Decide what to do with a request: a matching rule, a block, or null to continue normally.
+         */
+        resolve(request) {
+            const url = request.url();
+            const index = rules.findIndex(rule =>
+                rule.matcher.test(url) && (!rule.method || rule.method === request.method())
+            );
+
+            if (index !== -1) {
+                stats.rules[index].hits++;
+                return rules[index];
+            }
+
+            if (blockExternal && !url.startsWith(baseUrl)) {
+                stats.blocked_external++;
+                return { action: 'abort', abort_code: 'blockedbyclient', delay: 0 };
+            }
+
+            return null;
+        }
+    };
+}
+
+/**
+ * Carry out a decision from resolve() on an intercepted route.
+ */
+async function applyMockRule(route, rule, continueOptions) {
+    if (rule.delay > 0) {
+        await new Promise(r => setTimeout(r, rule.delay));
+    }
+
+    if (rule.action === 'abort') {
+        await route.abort(rule.abort_code);
+    } else if (rule.action === 'fulfill') {
+        const response = { status: rule.status, headers: rule.headers };
+        if (rule.body_file) {
+            response.path = rule.body_file;
+        } else {
+            response.body = rule.body;
+        }
+        await route.fulfill(response);
+    } else {
+        await route.continue(continueOptions);
+    }
+}
+
+module.exports = { loadMockRules, globToRegExp, createMockRouter, applyMockRule };
@@ -0,0 +1,640 @@
+/**
+ * Run options
+ *
+ * Options use the snake_case names of the report (user_id, expect_text, ...).
+ * parseArgs() reads them from command line arguments; normalizeOptions()
+ * checks them and resolves names, presets and files into the values the
+ * tests use. Both throw an Error describing the first invalid option.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readRoutesFile, loadBindings } = require('./batch');
+const { SEVERITIES } = require('./a11y');
+const { CONSOLE_LEVELS } = require('./console');
+const { SECURITY_SEVERITIES } = require('./security');
+const { parseBudgets } = require('./perf');
+const { METHODS, parseFileArg } = require('./request');
+const { BROWSERS, loadConfigDevices, resolveDevice } = require('./devices');
+const { COLOR_SCHEMES, NETWORK_PROFILES, parseGeolocation, emulationSettings } = require('./emulation');
+const { parseExpectCount, parseExpectXhr, validateStatus } = require('./assertions');
+const { loadSnapshotSettings } = require('./snapshot');
+const { ARTIFACT_MODES } = require('./recording');
+const { parseKeyValue } = require('./storage-state');
+const { parseUsers, loadAccessTable } = require('./matrix');
+const { parseLayoutWidths } = require('./layout');
+const { DEFAULT_CRAWL_LIMIT, parseCrawlDepth } = require('./crawl');
+const { loadPlugins } = require('./plugins');
+const { OUTPUT_FORMATS } = require('./report');
+
+// Options of a single route run that crawled pages do not apply
+const CRAWL_UNSUPPORTED = [
+    ['method', '--method'],
+    ['scenario', '--scenario'],
+    ['eval_code', '--eval'],
+    ['wait_for', '--wait-for'],
+    ['expect_element', '--expect-element'],
+    ['expect_status', '--expect-status'],
+    ['expect_text', '--expect-text'],
+    ['expect_no_text', '--expect-no-text'],
+    ['expect_title', '--expect-title'],
+    ['expect_url', '--expect-url'],
+    ['expect_count', '--expect-count'],
+    ['expect_visible', '--expect-visible'],
+    ['expect_xhr', '--expect-xhr'],
+    ['dump_element', '--dump-element'],
+    ['dump_dimensions', '--dump-dimensions'],
+    ['layout_check', '--layout-check'],
+    ['snapshot', '--snapshot'],
+    ['screenshot_path', '--screenshot-path'],
+    ['visual_baseline', '--visual-baseline'],
+    ['har', '--har'],
+    ['trace', '--trace'],
+    ['video', '--video'],
+    ['save_state', '--save-state'],
+    ['a11y', '--a11y'],
+    ['security', '--security'],
+    ['perf', '--perf']
+];
+
+/**
+ * Options with their defaults. The base URL and Laravel log come from the
+ * environment the PHP command sets up.
+ */
+function defaultOptions() {
+    return {
+        base_url: process.env.BASE_URL || 'http://localhost',
+        laravel_log_path: process.env.LARAVEL_LOG_PATH || '/var/www/html/storage/logs/laravel.log',
+        laravel_log_daily: process.env.LARAVEL_LOG_DAILY === '1',
+        public_path: process.env.LARAVEL_PUBLIC_PATH || null,
+        session_cookie: process.env.SESSION_COOKIE || 'laravel_session',
+        plugins: [],
+        routes: [],
+        routes_file: null,
+        bindings: null,
+        concurrency: 4,
+        users: null,
+        matrix_selectors: [],
+        matrix_text: null,
+        expect_access: null,
+        crawl: null,
+        crawl_limit: DEFAULT_CRAWL_LIMIT,
+        crawl_include: [],
+        crawl_exclude: [],
+        user_id: null,
+        auth_key: null,
+        guard: null,
+        no_body: false,
+        follow_redirects: false,
+        headers: false,
+        console_log: false,
+        console_level: null,
+        xhr_dump: false,
+        xhr_list: false,
+        input_elements: false,
+        post_data: null,
+        method: null,
+        form: null,
+        files: [],
+        cookies: false,
+        load_state: null,
+        save_state: null,
+        set_cookie: [],
+        set_local_storage: [],
+        wait_for: null,
+        expect_element: null,
+        expect_status: [],
+        expect_text: [],
+        expect_no_text: [],
+        expect_title: [],
+        expect_url: [],
+        expect_count: [],
+        expect_visible: [],
+        expect_xhr: [],
+        allow_console: [],
+        allow_network: [],
+        dump_element: null,
+        dump_dimensions: null,
+        layout_check: false,
+        layout_widths: null,
+        layout_fail: false,
+        snapshot: null,
+        snapshot_dir: 'tests/browser/snapshots',
+        update_snapshots: false,
+        storage: false,
+        eval_code: null,
+        scenario: null,
+        timeout: 30000,
+        screenshot_width: null,
+        screenshot_path: null,
+        device: null,
+        browser: 'chromium',
+        color_scheme: null,
+        reduced_motion: false,
+        locale: null,
+        timezone: null,
+        geolocation: null,
+        permissions: [],
+        offline: false,
+        network: null,
+        cpu_throttle: null,
+        visual_baseline: null,
+        visual_threshold: 0.1,
+        visual_mask: null,
+        update_baseline: false,
+        har: null,
+        har_body_limit: 1024,
+        trace: null,
+        video: null,
+        artifacts: 'always',
+        mock: null,
+        block_external: false,
+        a11y: false,
+        a11y_tree: null,
+        a11y_fail_on: null,
+        security: false,
+        security_fail_on: null,
+        perf: false,
+        budget: null,
+        full: false,
+        format: 'text',
+        junit: null,
+        session: null,
+        session_start: null,
+        session_serve: null
+    };
+}
+
+/**
+ * Read options from command line arguments. Arguments that are not options are
+ * routes, or the command and its argument for a running session.
+ */
+function parseArgs(args) {
+    const options = defaultOptions();
+
+    for (const arg of args) {
+        if (arg.startsWith('--user-id=')) {
+            options.user_id = arg.split('=')[1];
+        } else if (arg.startsWith('--users=')) {
+            options.users = arg.substring(8);
+        } else if (arg.startsWith('--matrix-selector=')) {
+            options.matrix_selectors.push(arg.substring(18));
+        } else if (arg.startsWith('--matrix-text=')) {
+            options.matrix_text = arg.substring(14);
+        } else if (arg.startsWith('--expect-access=')) {
+            options.expect_access = arg.substring(16);
+        } else if (arg === '--crawl') {
+            options.crawl = true;
+        } else if (arg.startsWith('--crawl=')) {
+            options.crawl = arg.substring(8);
+        } else if (arg.startsWith('--crawl-limit=')) {
+            options.crawl_limit = parseInt(arg.substring(14));
+        } else if (arg.startsWith('--crawl-include=')) {
+            options.crawl_include.push(arg.substring(16));
+        } else if (arg.startsWith('--crawl-exclude=')) {
+            options.crawl_exclude.push(arg.substring(16));
+        } else if (arg.startsWith('--auth-key=')) {
+            options.auth_key = arg.split('=')[1];
+        } else if (arg.startsWith('--guard=')) {
+            options.guard = arg.substring(8);
+        } else if (arg === '--no-body') {
+            options.no_body = true;
+        } else if (arg === '--follow-redirects') {
+            options.follow_redirects = true;
+        } else if (arg === '--headers') {
+            options.headers = true;
+        } else if (arg === '--console-log') {
+            options.console_log = true;
+        } else if (arg.startsWith('--console-level=')) {
+            options.console_level = arg.substring(16);
+            options.console_log = true;
+        } else if (arg === '--xhr-dump') {
+            options.xhr_dump = true;
+        } else if (arg === '--xhr-list') {
+            options.xhr_list = true;
+        } else if (arg === '--input-elements') {
+            options.input_elements = true;
+        } else if (arg.startsWith('--post=')) {
+            const postData = arg.substring(7);
+            try {
+                options.post_data = JSON.parse(postData);
+            } catch (e) {
+                options.post_data = postData;
+            }
+        } else if (arg.startsWith('--method=')) {
+            options.method = arg.substring(9).toUpperCase();
+        } else if (arg.startsWith('--form=')) {
+            options.form = arg.substring(7);
+        } else if (arg.startsWith('--file=')) {
+            options.files.push(parseFileArg(arg.substring(7)));
+        } else if (arg === '--cookies') {
+            options.cookies = true;
+        } else if (arg.startsWith('--load-state=')) {
+            options.load_state = arg.substring(13);
+        } else if (arg.startsWith('--save-state=')) {
+            options.save_state = arg.substring(13);
+        } else if (arg.startsWith('--set-cookie=')) {
+            options.set_cookie.push(arg.substring(13));
+        } else if (arg.startsWith('--set-local-storage=')) {
+            options.set_local_storage.push(arg.substring(20));
+        } else if (arg.startsWith('--wait-for=')) {
+            options.wait_for = arg.substring(11);
+        } else if (arg.startsWith('--expect-element=')) {
+            options.expect_element = arg.substring(17);
+        } else if (arg.startsWith('--expect-status=')) {
+            options.expect_status.push(arg.substring(16));
+        } else if (arg.startsWith('--expect-text=')) {
+            options.expect_text.push(arg.substring(14));
+        } else if (arg.startsWith('--expect-no-text=')) {
+            options.expect_no_text.push(arg.substring(17));
+        } else if (arg.startsWith('--expect-title=')) {
+            options.expect_title.push(arg.substring(15));
+        } else if (arg.startsWith('--expect-url=')) {
+            options.expect_url.push(arg.substring(13));
+        } else if (arg.startsWith('--expect-count=')) {
+            options.expect_count.push(arg.substring(15));
+        } else if (arg.startsWith('--expect-visible=')) {
+            options.expect_visible.push(arg.substring(17));
+        } else if (arg.startsWith('--expect-xhr=')) {
+            options.expect_xhr.push(arg.substring(13));
+        } else if (arg.startsWith('--allow-console=')) {
+            options.allow_console.push(arg.substring(16));
+        } else if (arg.startsWith('--allow-network=')) {
+            options.allow_network.push(arg.substring(16));
+        } else if (arg.startsWith('--dump-element=')) {
+            options.dump_element = arg.substring(15);
+        } else if (arg.startsWith('--dump-dimensions=')) {
+            options.dump_dimensions = arg.substring(18);
+        } else if (arg === '--layout-check') {
+            options.layout_check = true;
+        } else if (arg.startsWith('--layout-widths=')) {
+            options.layout_widths = arg.substring(16);
+            options.layout_check = true;
+        } else if (arg === '--layout-fail') {
+            options.layout_fail = true;
+            options.layout_check = true;
+        } else if (arg.startsWith('--snapshot=')) {
+            options.snapshot = arg.substring(11);
+        } else if (arg.startsWith('--snapshot-dir=')) {
+            options.snapshot_dir = arg.substring(15);
+        } else if (arg === '--update-snapshots') {
+            options.update_snapshots = true;
+        } else if (arg === '--storage') {
+            options.storage = true;
+        } else if (arg === '--full') {
+            options.full = true;
+        } else if (arg.startsWith('--eval=')) {
+            options.eval_code = arg.substring(7);
+        } else if (arg.startsWith('--scenario=')) {
+            options.scenario = arg.substring(11);
+        } else if (arg.startsWith('--timeout=')) {
+            options.timeout = parseInt(arg.substring(10));
+        } else if (arg.startsWith('--screenshot-width=')) {
+            options.screenshot_width = arg.substring(19);
+        } else if (arg.startsWith('--device=')) {
+            options.device = arg.substring(9);
+        } else if (arg.startsWith('--browser=')) {
+            options.browser = arg.substring(10).toLowerCase();
+        } else if (arg.startsWith('--color-scheme=')) {
+            options.color_scheme = arg.substring(15);
+        } else if (arg === '--reduced-motion') {
+            options.reduced_motion = true;
+        } else if (arg.startsWith('--locale=')) {
+            options.locale = arg.substring(9);
+        } else if (arg.startsWith('--timezone=')) {
+            options.timezone = arg.substring(11);
+        } else if (arg.startsWith('--geolocation=')) {
+            options.geolocation = arg.substring(14);
+        } else if (arg.startsWith('--permissions=')) {
+            options.permissions = arg.substring(14).split(',').map(p => p.trim()).filter(Boolean);
+        } else if (arg === '--offline') {
+            options.offline = true;
+        } else if (arg.startsWith('--network=')) {
+            options.network = arg.substring(10);
+        } else if (arg.startsWith('--cpu-throttle=')) {
+            options.cpu_throttle = parseFloat(arg.substring(15));
+        } else if (arg.startsWith('--screenshot-path=')) {
+            options.screenshot_path = arg.substring(18);
+        } else if (arg.startsWith('--visual-baseline=')) {
+            options.visual_baseline = arg.substring(18);
+        } else if (arg.startsWith('--visual-threshold=')) {
+            options.visual_threshold = parseFloat(arg.substring(19));
+        } else if (arg.startsWith('--visual-mask=')) {
+            options.visual_mask = arg.substring(14);
+        } else if (arg === '--update-baseline') {
+            options.update_baseline = true;
+        } else if (arg.startsWith('--har=')) {
+            options.har = arg.substring(6);
+        } else if (arg.startsWith('--har-body-limit=')) {
+            options.har_body_limit = parseInt(arg.substring(17));
+        } else if (arg.startsWith('--trace=')) {
+            options.trace = arg.substring(8);
+        } else if (arg.startsWith('--video=')) {
+            options.video = arg.substring(8);
+        } else if (arg.startsWith('--artifacts=')) {
+            options.artifacts = arg.substring(12);
+        } else if (arg.startsWith('--mock=')) {
+            options.mock = arg.substring(7);
+        } else if (arg === '--block-external') {
+            options.block_external = true;
+        } else if (arg === '--a11y') {
+            options.a11y = true;
+        } else if (arg.startsWith('--a11y-tree=')) {
+            options.a11y_tree = arg.substring(12);
+            options.a11y = true;
+        } else if (arg.startsWith('--a11y-fail-on=')) {
+            options.a11y_fail_on = arg.substring(15);
+            options.a11y = true;
+        } else if (arg === '--security') {
+            options.security = true;
+        } else if (arg.startsWith('--security-fail-on=')) {
+            options.security_fail_on = arg.substring(19);
+            options.security = true;
+        } else if (arg === '--perf') {
+            options.perf = true;
+        } else if (arg.startsWith('--budget=')) {
+            options.budget = arg.substring(9);
+            options.perf = true;
+        } else if (arg.startsWith('--format=')) {
+            options.format = arg.substring(9);
+        } else if (arg === '--tap') {
+            options.format = 'tap';
+        } else if (arg.startsWith('--plugin=')) {
+            options.plugins.push(arg.substring(9));
+        } else if (arg.startsWith('--junit=')) {
+            options.junit = arg.substring(8);
+        } else if (arg.startsWith('--session=')) {
+            options.session = arg.substring(10);
+        } else if (arg.startsWith('--session-start=')) {
+            options.session_start = arg.substring(16);
+        } else if (arg.startsWith('--session-serve=')) {
+            options.session_serve = arg.substring(16);
+        } else if (arg.startsWith('--routes-file=')) {
+            options.routes_file = arg.substring(14);
+        } else if (arg.startsWith('--bindings=')) {
+            options.bindings = arg.substring(11);
+        } else if (arg.startsWith('--concurrency=')) {
+            options.concurrency = Math.max(1, parseInt(arg.substring(14)) || 1);
+        } else if (!arg.startsWith('--')) {
+            options.routes.push(arg);
+        }
+    }
+
+    // Positional arguments are a command for the running session, not routes
+    if (options.session) {
+        options.session_command = options.routes;
+    }
+
+    return options;
+}
+
+/**
+ * Check options and resolve them into the values the tests use. Missing
+ * options get their defaults, so callers only pass what they need. Options
+ * that were already normalized are copied as they are. The input is never
+ * changed.
+ */
+function normalizeOptions(input) {
+    if (input.normalized) {
+        return { ...input };
+    }
+
+    const options = { ...defaultOptions(), ...input };
+    options.files = options.files.map(file => ({ ...file }));
+
+    options.routes = typeof options.routes === 'string' ? [options.routes] : [...options.routes];
+
+    if (options.routes_file) {
+        try {
+            options.routes.push(...readRoutesFile(options.routes_file));
+        } catch (e) {
+            throw new Error(`Could not read routes file: ${e.message}`);
+        }
+    }
+
+    if (options.routes.length === 0) {
+        throw new Error('Route argument required');
+    }
+
+    if (typeof options.bindings === 'string') {
+        try {
+            options.bindings = loadBindings(options.bindings);
+        } catch (e) {
+            throw new Error(`Invalid bindings: ${e.message}`);
+        }
+    }
+
+    if (isNaN(options.visual_threshold) || options.visual_threshold < 0) {
+        throw new Error('--visual-threshold must be a percentage >= 0');
+    }
+
+    if (isNaN(options.har_body_limit) || options.har_body_limit < 0) {
+        throw new Error('--har-body-limit must be a size in KB >= 0');
+    }
+
+    if (!ARTIFACT_MODES.includes(options.artifacts)) {
+        throw new Error(`Unknown --artifacts mode '${options.artifacts}' (expected: ${ARTIFACT_MODES.join(', ')})`);
+    }
+
+    if (options.console_level) {
+        if (!CONSOLE_LEVELS.includes(options.console_level)) {
+            throw new Error(`Unknown --console-level '${options.console_level}' (expected: ${CONSOLE_LEVELS.join(', ')})`);
+        }
+        options.console_log = true;
+    }
+
+    if (options.a11y_fail_on) {
+        if (!SEVERITIES.includes(options.a11y_fail_on)) {
+            throw new Error(`Unknown --a11y-fail-on level '${options.a11y_fail_on}' (expected: ${SEVERITIES.join(', ')})`);
+        }
+        options.a11y = true;
+    }
+    if (options.a11y_tree) {
+        options.a11y = true;
+    }
+
+    if (options.security_fail_on) {
+        if (!SECURITY_SEVERITIES.includes(options.security_fail_on)) {
+            throw new Error(`Unknown --security-fail-on level '${options.security_fail_on}' (expected: ${SECURITY_SEVERITIES.join(', ')})`);
+        }
+        options.security = true;
+    }
+
+    const hasBody = options.post_data !== null || options.form !== null || options.files.length > 0;
+    options.method = options.method || (hasBody ? 'POST' : 'GET');
+
+    if (!METHODS.includes(options.method)) {
+        throw new Error(`Unknown --method '${options.method}' (expected: ${METHODS.join(', ')})`);
+    }
+
+    if (hasBody && options.method === 'GET') {
+        throw new Error('--post, --form and --file need a method other than GET');
+    }
+
+    if (options.post_data !== null && (options.form !== null || options.files.length > 0)) {
+        throw new Error('Use either --post or --form/--file, not both');
+    }
+
+    for (const file of options.files) {
+        file.path = path.resolve(file.path);
+        if (!fs.existsSync(file.path)) {
+            throw new Error(`File to upload not found: ${file.path}`);
+        }
+    }
+
+    if (options.budget) {
+        try {
+            options.budget = parseBudgets(options.budget);
+        } catch (e) {
+            throw new Error(`Invalid --budget: ${e.message}`);
+        }
+        options.perf = true;
+    }
+
+    // Device presets come from the application's devices config
+    const configDevices = loadConfigDevices(process.env.HEADLESS_TESTER_DEVICES);
+
+    if (options.screenshot_width) {
+        const preset = configDevices[options.screenshot_width];
+        options.screenshot_width = preset && preset.width ? parseInt(preset.width) : parseInt(options.screenshot_width);
+    }
+
+    if (options.device) {
+        options.device = resolveDevice(options.device, configDevices);
+    }
+
+    if (options.layout_widths) {
+        options.layout_widths = parseLayoutWidths(options.layout_widths, configDevices);
+        options.layout_check = true;
+    }
+
+    if (!BROWSERS.includes(options.browser)) {
+        throw new Error(`Unknown --browser '${options.browser}' (expected: ${BROWSERS.join(', ')})`);
+    }
+
+    options.set_cookie = options.set_cookie.map(value => parseKeyValue(value, '--set-cookie'));
+    options.set_local_storage = options.set_local_storage.map(value => parseKeyValue(value, '--set-local-storage'));
+
+    if (options.load_state) {
+        options.load_state = path.resolve(options.load_state);
+    }
+
+    options.expect_status = options.expect_status.map(validateStatus);
+    options.expect_count = options.expect_count.map(parseExpectCount);
+    options.expect_xhr = options.expect_xhr.map(parseExpectXhr);
+
+    if (options.color_scheme && !COLOR_SCHEMES.includes(options.color_scheme)) {
+        throw new Error(`Unknown --color-scheme '${options.color_scheme}' (expected: ${COLOR_SCHEMES.join(', ')})`);
+    }
+
+    if (options.timezone && !isValidTimezone(options.timezone)) {
+        throw new Error(`Unknown --timezone '${options.timezone}' (expected an IANA id such as Europe/Berlin)`);
+    }
+
+    if (options.geolocation) {
+        options.geolocation = parseGeolocation(options.geolocation);
+    }
+
+    if (options.network && !NETWORK_PROFILES[options.network]) {
+        throw new Error(`Unknown --network profile '${options.network}' (expected: ${Object.keys(NETWORK_PROFILES).join(', ')})`);
+    }
+
+    if (options.cpu_throttle !== null && (isNaN(options.cpu_throttle) || options.cpu_throttle < 1)) {
+        throw new Error('--cpu-throttle must be a slowdown factor >= 1');
+    }
+
+    if ((options.network || options.cpu_throttle) && options.browser !== 'chromium') {
+        throw new Error('--network and --cpu-throttle need --browser=chromium');
+    }
+
+    options.emulation = emulationSettings(options);
+
+    if (options.snapshot) {
+        if (/(^|[\\/])\.\.([\\/]|$)/.test(options.snapshot)) {
+            throw new Error(`--snapshot name must stay inside the snapshot directory, got '${options.snapshot}'`);
+        }
+        options.snapshot_dir = path.resolve(options.snapshot_dir);
+        try {
+            options.snapshot_settings = loadSnapshotSettings(process.env.HEADLESS_TESTER_SNAPSHOTS);
+        } catch (e) {
+            throw new Error(`Invalid volatile pattern in the snapshots config: ${e.message}`);
+        }
+    }
+
+    if (!OUTPUT_FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format '${options.format}' (expected: ${OUTPUT_FORMATS.join(', ')})`);
+    }
+
+    options.routes = options.routes.map(route => route.startsWith('/') ? route : '/' + route);
+    options.batch = options.routes.length > 1 || options.routes_file !== null;
+
+    if ((options.session_start || options.session_serve) && options.batch) {
+        throw new Error('A browser session opens a single route');
+    }
+
+    if (options.guard && !options.user_id && !options.users) {
+        throw new Error('--guard needs a user to log in');
+    }
+
+    if (options.users) {
+        if (options.batch || options.session_start || options.session_serve) {
+            throw new Error('--users tests a single route outside of a browser session');
+        }
+        if (options.user_id) {
+            throw new Error('Use either --user-id or --users, not both');
+        }
+        options.users = Array.isArray(options.users) ? options.users : parseUsers(options.users);
+        options.expect_access = options.expect_access ? loadAccessTable(options.expect_access) : null;
+    } else if (options.expect_access || options.matrix_selectors.length > 0 || options.matrix_text) {
+        throw new Error('--expect-access, --matrix-selector and --matrix-text need --users');
+    }
+
+    if (options.crawl !== null && options.crawl !== false) {
+        if (options.batch || options.users || options.session_start || options.session_serve) {
+            throw new Error('--crawl starts from a single route and cannot be combined with --users or a browser session');
+        }
+        const unsupported = CRAWL_UNSUPPORTED
+            .filter(([key]) => key === 'method' ? options.method !== 'GET' : isSet(options[key]))
+            .map(([, flag]) => flag);
+        if (unsupported.length > 0) {
+            throw new Error(`--crawl only checks each page's status, console, requests and assets and cannot be combined with ${unsupported.join(', ')}`);
+        }
+        options.crawl = parseCrawlDepth(options.crawl);
+        if (!Number.isInteger(options.crawl_limit) || options.crawl_limit < 1) {
+            throw new Error('--crawl-limit must be a number of pages >= 1');
+        }
+    } else if (options.crawl_include.length > 0 || options.crawl_exclude.length > 0) {
+        throw new Error('--crawl-include and --crawl-exclude need --crawl');
+    } else {
+        options.crawl = null;
+    }
+
+    options.plugins = loadPlugins(options.plugins);
+
+    if (options.full) {
+        options.headers = true;
+        options.console_log = true;
+        options.xhr_dump = true;
+        options.input_elements = true;
+        options.cookies = true;
+        options.storage = true;
+    }
+
+    options.normalized = true;
+    return options;
+}
+
+function isSet(value) {
+    return Array.isArray(value) ? value.length > 0 : value !== null && value !== false;
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en', { timeZone: timezone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+module.exports = { defaultOptions, parseArgs, normalizeOptions };
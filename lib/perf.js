@@ -0,0 +1,210 @@
+/**
+ * Performance metrics and budgets
+ *
+ * Collects navigation timing, Core Web Vitals style metrics (LCP, CLS, long
+ * tasks) and per-type resource counts and sizes. Budgets such as
+ * `ttfb:300,lcp:2500,js-kb:500` fail the run when a metric exceeds its limit.
+ */
+
+// Budget key => how to read the metric from the collected perf data
+const BUDGET_METRICS = {
+    'ttfb': { unit: 'ms', read: perf => perf.navigation.ttfb },
+    'dcl': { unit: 'ms', read: perf => perf.navigation.dom_content_loaded },
+    'load': { unit: 'ms', read: perf => perf.navigation.load },
+    'lcp': { unit: 'ms', read: perf => perf.lcp },
+    'cls': { unit: '', read: perf => perf.cls },
+    'tbt': { unit: 'ms', read: perf => perf.long_tasks.blocking_ms },
+    'long-tasks': { unit: '', read: perf => perf.long_tasks.count },
+    'requests': { unit: '', read: perf => perf.resources.total.count },
+    'total-kb': { unit: 'KB', read: perf => perf.resources.total.kb },
+    'js-kb': { unit: 'KB', read: perf => typeKb(perf, 'js') },
+    'css-kb': { unit: 'KB', read: perf => typeKb(perf, 'css') },
+    'img-kb': { unit: 'KB', read: perf => typeKb(perf, 'img') },
+    'font-kb': { unit: 'KB', read: perf => typeKb(perf, 'font') },
+    'xhr-kb': { unit: 'KB', read: perf => typeKb(perf, 'xhr') },
+    'other-kb': { unit: 'KB', read: perf => typeKb(perf, 'other') }
+};
+
+// How many of the slowest and largest requests to list
+const TOP_REQUESTS = 5;
+
+function typeKb(perf, type) {
+    return perf.resources.by_type[type] ? perf.resources.by_type[type].kb : 0;
+}
+
+/**
+ * Parse --budget=ttfb:300,lcp:2500 into { ttfb: 300, lcp: 2500 }.
+ */
+function parseBudgets(value) {
+    const budgets = {};
+
+    for (const part of value.split(',').map(p => p.trim()).filter(Boolean)) {
+        const [metric, limit] = part.split(':');
+        if (!BUDGET_METRICS[metric]) {
+            throw new Error(`Unknown budget metric '${metric}' (expected: ${Object.keys(BUDGET_METRICS).join(', ')})`);
+        }
+        if (limit === undefined || isNaN(parseFloat(limit))) {
+            throw new Error(`Budget '${part}' needs a numeric limit, e.g. ${metric}:500`);
+        }
+        budgets[metric] = parseFloat(limit);
+    }
+
+    return budgets;
+}
+
+/**
+ * Start observing LCP, layout shifts and long tasks. Must run before navigation.
+ */
+async function observePerformance(page) {
+    await page.addInitScript(() => {
+        const perf = window.__headlessPerf = { lcp: null, shifts: [], longTasks: [] };
+        const observe = (type, callback) => {
+            try {
+                new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true });
+            } catch (e) {
+                // Entry type not supported by this browser
+            }
+        };
+
+        observe('largest-contentful-paint', entry => {
+            perf.lcp = entry.startTime;
+        });
+        observe('layout-shift', entry => {
+            if (!entry.hadRecentInput) {
+                perf.shifts.push({ value: entry.value, time: entry.startTime });
+            }
+        });
+        observe('longtask', entry => {
+            perf.longTasks.push(entry.duration);
+        });
+    });
+}
+
+/**
+ * Read the collected metrics from the page.
+ */
+async function collectPerformance(page) {
+    const raw = await page.evaluate(() => {
+        const nav = performance.getEntriesByType('navigation')[0] || null;
+        const observed = window.__headlessPerf || { lcp: null, shifts: [], longTasks: [] };
+
+        return {
+            navigation: nav ? {
+                ttfb: nav.responseStart,
+                dom_content_loaded: nav.domContentLoadedEventEnd,
+                load: nav.loadEventEnd
+            } : null,
+            lcp: observed.lcp,
+            shifts: observed.shifts,
+            longTasks: observed.longTasks,
+            resources: performance.getEntriesByType('resource').map(r => ({
+                url: r.name,
+                initiator: r.initiatorType,
+                duration: r.duration,
+                bytes: r.transferSize || r.encodedBodySize || 0
+            }))
+        };
+    });
+
+    const round = n => (n === null || n === undefined ? null : Math.round(n));
+    const kb = bytes => Math.round(bytes / 1024 * 10) / 10;
+
+    const resources = raw.resources.map(r => ({
+        url: r.url,
+        type: resourceType(r),
+        duration_ms: Math.round(r.duration),
+        kb: kb(r.bytes)
+    }));
+
+    const byType = {};
+    resources.forEach(r => {
+        byType[r.type] = byType[r.type] || { count: 0, kb: 0 };
+        byType[r.type].count++;
+        byType[r.type].kb = Math.round((byType[r.type].kb + r.kb) * 10) / 10;
+    });
+
+    return {
+        navigation: {
+            ttfb: raw.navigation ? round(raw.navigation.ttfb) : null,
+            dom_content_loaded: raw.navigation ? round(raw.navigation.dom_content_loaded) : null,
+            load: raw.navigation ? round(raw.navigation.load) : null
+        },
+        lcp: round(raw.lcp),
+        cls: Math.round(cumulativeLayoutShift(raw.shifts) * 1000) / 1000,
+        long_tasks: {
+            count: raw.longTasks.length,
+            total_ms: Math.round(raw.longTasks.reduce((sum, d) => sum + d, 0)),
+            blocking_ms: Math.round(raw.longTasks.reduce((sum, d) => sum + Math.max(0, d - 50), 0))
+        },
+        resources: {
+            by_type: byType,
+            total: {
+                count: resources.length,
+                kb: Math.round(resources.reduce((sum, r) => sum + r.kb, 0) * 10) / 10
+            }
+        },
+        slowest: [...resources].sort((a, b) => b.duration_ms - a.duration_ms).slice(0, TOP_REQUESTS),
+        largest: [...resources].filter(r => r.kb > 0).sort((a, b) => b.kb - a.kb).slice(0, TOP_REQUESTS),
+        budgets: []
+    };
+}
+
+/**
+ * CLS as defined by web-vitals: the largest session window of shifts less
+ * than 1s apart and at most 5s long.
+ */
+function cumulativeLayoutShift(shifts) {
+    let max = 0;
+    let current = 0;
+    let windowStart = 0;
+    let previous = 0;
+
+    shifts.forEach(shift => {
+        if (current > 0 && (shift.time - previous > 1000 || shift.time - windowStart > 5000)) {
+            current = 0;
+        }
+        if (current === 0) {
+            windowStart = shift.time;
+        }
+        current += shift.value;
+        previous = shift.time;
+        max = Math.max(max, current);
+    });
+
+    return max;
+}
+
+function resourceType(resource) {
+    let ext = '';
+    try {
+        ext = new URL(resource.url).pathname.split('.').pop().toLowerCase();
+    } catch (e) {
+        // Not a parsable URL
+    }
+
+    if (['xmlhttprequest', 'fetch', 'beacon'].includes(resource.initiator)) return 'xhr';
+    if (resource.initiator === 'script' || ['js', 'mjs'].includes(ext)) return 'js';
+    if (['woff', 'woff2', 'ttf', 'otf', 'eot'].includes(ext)) return 'font';
+    if (ext === 'css') return 'css';
+    if (resource.initiator === 'img' || ['png', 'jpg', 'jpeg', 'gif', 'webp', 'avif', 'svg', 'ico'].includes(ext)) return 'img';
+    return 'other';
+}
+
+/**
+ * Compare metrics with their budgets. Returns one entry per budget.
+ */
+function checkBudgets(perf, budgets) {
+    return Object.entries(budgets).map(([metric, limit]) => {
+        const { unit, read } = BUDGET_METRICS[metric];
+        const actual = read(perf);
+        return {
+            metric,
+            limit,
+            actual,
+            unit,
+            passed: actual === null || actual <= limit
+        };
+    });
+}
+
+module.exports = { BUDGET_METRICS, parseBudgets, observePerformance, collectPerformance, checkBudgets };
@@ -0,0 +1,109 @@
+/**
+ * Plugins
+ *
+ * A plugin is an object with a name and any of these hooks, each of which may
+ * be async:
+ *
+ *   beforeNavigate(hook)      page prepared, nothing loaded yet
+ *   afterLoad(hook)           route loaded and settled
+ *   collect(hook)             after interactions and assertions; the result
+ *                             is stored in report.plugins[name]
+ *   report(result, options)   the finished result of the run
+ *
+ * Page hooks get { page, context, route, options, report, addFailure }, where
+ * addFailure(type, message) fails the route. A hook that throws becomes a
+ * 'plugin' failure of the route. --plugin=<file> loads a module exporting a
+ * plugin or an array of plugins.
+ */
+
+const path = require('path');
+const { addFailure } = require('./report');
+
+const HOOKS = ['beforeNavigate', 'afterLoad', 'collect', 'report'];
+
+/**
+ * Load plugins given as objects or as paths of modules exporting them.
+ */
+function loadPlugins(specs) {
+    return specs.flatMap(spec => {
+        let exported = spec;
+        if (typeof spec === 'string') {
+            try {
+                exported = require(path.resolve(spec));
+            } catch (e) {
+                throw new Error(`Could not load plugin ${spec}: ${errorMessage(e)}`);
+            }
+        }
+        return Array.isArray(exported) ? exported : [exported];
+    }).map(validatePlugin);
+}
+
+function validatePlugin(plugin) {
+    if (!plugin || typeof plugin !== 'object' || typeof plugin.name !== 'string' || !plugin.name) {
+        throw new Error('A plugin must be an object with a name');
+    }
+
+    Object.keys(plugin).filter(key => key !== 'name').forEach(key => {
+        if (!HOOKS.includes(key)) {
+            throw new Error(`Plugin '${plugin.name}' has an unknown hook '${key}' (expected: ${HOOKS.join(', ')})`);
+        }
+        if (typeof plugin[key] !== 'function') {
+            throw new Error(`Plugin '${plugin.name}' hook '${key}' must be a function`);
+        }
+    });
+
+    return plugin;
+}
+
+/**
+ * Run a page hook of every plugin against the route being tested.
+ */
+async function runPageHook(hook, { page, context, options, report }) {
+    for (const plugin of options.plugins) {
+        if (!plugin[hook]) {
+            continue;
+        }
+
+        try {
+            const result = await plugin[hook]({
+                page,
+                context,
+                route: report.route,
+                options,
+                report,
+                addFailure: (type, message) => addFailure(report, type, message)
+            });
+
+            if (hook === 'collect') {
+                report.plugins = report.plugins || {};
+                report.plugins[plugin.name] = result === undefined ? null : result;
+            }
+        } catch (e) {
+            addFailure(report, 'plugin', `Plugin '${plugin.name}' ${hook} failed: ${errorMessage(e)}`);
+        }
+    }
+}
+
+/**
+ * Hand the finished result of a run to every plugin's report hook.
+ */
+async function runReportHooks(result, options) {
+    for (const plugin of options.plugins) {
+        if (plugin.report) {
+            try {
+                await plugin.report(result, options);
+            } catch (e) {
+                throw new Error(`Plugin '${plugin.name}' report failed: ${String(e && e.message || e)}`);
+            }
+        }
+    }
+}
+
+/**
+ * First line of what a plugin threw, which need not be an Error.
+ */
+function errorMessage(e) {
+    return String(e && e.message || e).split('\n')[0];
+}
+
+module.exports = { HOOKS, loadPlugins, runPageHook, runReportHooks };
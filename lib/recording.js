@@ -0,0 +1,87 @@
+/**
+ * Trace and video recording
+ *
+ * --trace records a Playwright trace of the whole run: DOM snapshots,
+ * screenshots, network and console across navigation, --eval, scenarios and
+ * the other steps. Open it with `npx playwright show-trace <file>`.
+ * --video records the page into <dir>/<route>.webm.
+ *
+ * With --artifacts=on-failure both are only kept when the route failed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { routeSlug } = require('./util');
+
+const ARTIFACT_MODES = ['always', 'on-failure'];
+
+/**
+ * Browser context options for video recording, at the size of the viewport.
+ */
+function videoContextOptions(options, viewport) {
+    if (!options.video) {
+        return {};
+    }
+
+    fs.mkdirSync(options.video, { recursive: true });
+    return { recordVideo: { dir: options.video, size: viewport || undefined } };
+}
+
+/**
+ * Start tracing the context, before its page is opened.
+ */
+async function startTracing(context, route, options) {
+    if (options.trace) {
+        await context.tracing.start({ name: routeSlug(route), title: route, screenshots: true, snapshots: true });
+    }
+}
+
+/**
+ * Stop recording and close the context. Traces and videos are written when
+ * they are to be kept and discarded otherwise. Returns { trace, video }
+ * entries for the report, null for what was not recorded.
+ */
+async function finishRecording(context, page, route, options, failed) {
+    const keep = options.artifacts === 'always' || failed;
+    const result = { trace: null, video: null };
+
+    if (options.trace) {
+        result.trace = { path: keep ? options.trace : null, kept: keep, error: null };
+        try {
+            if (keep) {
+                fs.mkdirSync(path.dirname(path.resolve(options.trace)), { recursive: true });
+                await context.tracing.stop({ path: options.trace });
+            } else {
+                await context.tracing.stop();
+            }
+        } catch (e) {
+            result.trace.path = null;
+            result.trace.error = e.message;
+        }
+    }
+
+    // Videos are only complete once the context is closed
+    const video = page && options.video ? page.video() : null;
+    await context.close();
+
+    if (options.video) {
+        result.video = { path: null, kept: keep, error: null };
+        try {
+            if (!video) {
+                throw new Error('No page was recorded');
+            }
+            if (keep) {
+                const file = path.join(options.video, `${routeSlug(route)}.webm`);
+                await video.saveAs(file);
+                result.video.path = file;
+            }
+            await video.delete();
+        } catch (e) {
+            result.video.error = e.message;
+        }
+    }
+
+    return result;
+}
+
+module.exports = { ARTIFACT_MODES, videoContextOptions, startTracing, finishRecording };
@@ -0,0 +1,1033 @@
+/**
+ * Report model and renderers
+ *
+ * Every run collects its results into a single report object. The report is
+ * rendered either as the human-readable text report or as one JSON document
+ * (--format=json) whose shape is described in README.md under "JSON Output".
+ */
+
+const { describeEmulation } = require('./emulation');
+const { countErrors, errorLabel } = require('./console');
+
+const REPORT_SCHEMA = 'laravel-headless-browser-tester/report';
+const REPORT_SCHEMA_VERSION = 2;
+
+const OUTPUT_FORMATS = ['text', 'json', 'tap'];
+
+/**
+ * Create an empty report for a run. Sections that were not requested stay null.
+ */
+function createReport(options, route) {
+    return {
+        schema: REPORT_SCHEMA,
+        schema_version: REPORT_SCHEMA_VERSION,
+        route,
+        url: options.base_url + route,
+        method: options.method || 'GET',
+        user: options.user_id || null,
+        guard: options.user_id ? options.guard || null : null,
+        auth: null,
+        browser: options.browser || 'chromium',
+        device: options.device || null,
+        emulation: options.emulation || null,
+        state: stateSettings(options),
+        request: null,
+        status: null,
+        final_url: null,
+        content_type: null,
+        redirects: options.follow_redirects ? [] : null,
+        redirect_location: null,
+        console: {
+            errors: [],
+            messages: options.console_log ? [] : null,
+            uncaught: []
+        },
+        network_failures: [],
+        allowed: null,
+        mocks: null,
+        headers: null,
+        xhr: (options.xhr_dump || options.xhr_list) ? [] : null,
+        inputs: null,
+        cookies: null,
+        storage: null,
+        wait_for: null,
+        dimensions: null,
+        layout: null,
+        element: null,
+        snapshot: null,
+        eval: null,
+        scenario: null,
+        a11y: null,
+        security: null,
+        perf: null,
+        body: null,
+        laravel_log: null,
+        screenshot: null,
+        visual: null,
+        har: null,
+        trace: null,
+        video: null,
+        matrix: null,
+        crawl: null,
+        plugins: null,
+        duration_ms: null,
+        assertions: null,
+        failures: [],
+        passed: false,
+        exit_code: 1
+    };
+}
+
+/**
+ * The storage state options of a run, or null when it starts from a blank context.
+ */
+function stateSettings(options) {
+    const setCookies = options.set_cookie || [];
+    const setLocalStorage = options.set_local_storage || [];
+    if (!options.load_state && !options.save_state && setCookies.length === 0 && setLocalStorage.length === 0) {
+        return null;
+    }
+
+    return {
+        loaded: options.load_state || null,
+        cookies_set: setCookies.map(([name]) => name),
+        local_storage_set: setLocalStorage.map(([name]) => name),
+        saved: null
+    };
+}
+
+/**
+ * Record a reason for a non-zero exit code. Fatal failures stopped the run early.
+ */
+function addFailure(report, type, message, fatal = false) {
+    report.failures.push({ type, message, fatal });
+}
+
+/**
+ * Add the failures implied by the collected data and settle the exit code.
+ * An --expect-status assertion replaces the status >= 400 rule.
+ */
+function finalizeReport(report) {
+    const statusAsserted = report.assertions && report.assertions.some(a => a.assertion === 'expect-status');
+    if (report.status !== null && report.status >= 400 && !statusAsserted) {
+        addFailure(report, 'http-status', `HTTP status ${report.status}`);
+    }
+    if (report.console.errors.length > 0) {
+        addFailure(report, 'console-errors', `${countErrors(report.console)} console error(s)`);
+    }
+    if (report.network_failures.length > 0) {
+        addFailure(report, 'network-failures', `${report.network_failures.length} network failure(s)`);
+    }
+
+    report.passed = report.failures.length === 0;
+    report.exit_code = report.passed ? 0 : 1;
+
+    return report;
+}
+
+function printReport(report, options) {
+    if (options.format === 'json') {
+        printJsonReport(report);
+    } else {
+        printTextReport(report, options);
+    }
+}
+
+function printJsonReport(report) {
+    console.log(JSON.stringify(report, null, 2));
+}
+
+/**
+ * Print a batch result: summary table, then the failures of each failed route.
+ */
+function printBatchReport(batch, options) {
+    if (options.format === 'json') {
+        printJsonReport(batch);
+        return;
+    }
+
+    const { summary } = batch;
+    console.log(`Batch: ${summary.total} route(s) - ${summary.passed} passed, ${summary.failed} failed, ${summary.skipped} skipped`);
+    console.log('');
+
+    const rows = batch.routes.map(r => [
+        r.status === null ? '-' : String(r.status),
+        String(countErrors(r.console)),
+        String(r.network_failures.length),
+        r.duration_ms === null ? '-' : `${r.duration_ms}ms`,
+        r.passed ? 'PASS' : 'FAIL',
+        r.route
+    ]);
+    batch.skipped.forEach(s => rows.push(['-', '-', '-', '-', 'SKIP', `${s.route} (${s.reason})`]));
+
+    printTable(['STATUS', 'CONSOLE', 'NETWORK', 'TIME', 'RESULT', 'ROUTE'], rows);
+    console.log('');
+
+    const failed = batch.routes.filter(r => !r.passed);
+    if (failed.length > 0) {
+        console.log('Failures:');
+        failed.forEach(r => {
+            console.log(`  ${r.route}`);
+            printFailureDetails(r);
+        });
+        console.log('');
+    }
+}
+
+/**
+ * Print an authorization matrix: one row per user, then how the text of the
+ * chosen element differs from the first user, then the failures of each user.
+ */
+function printMatrixReport(matrix, options) {
+    if (options.format === 'json') {
+        printJsonReport(matrix);
+        return;
+    }
+
+    console.log(`Matrix: ${matrix.route} as ${matrix.users.length} user(s)`);
+    console.log('');
+
+    const rows = matrix.users.map(({ user, access, report: r }) => {
+        const redirected = r.final_url && r.final_url !== r.url ? sameOriginPath(r.final_url, r.url) : null;
+        const selectors = matrix.selectors.map(sel => {
+            const count = r.matrix ? r.matrix.selectors[sel] : 0;
+            return count > 0 ? `yes (${count})` : 'no';
+        });
+        return [
+            user,
+            r.status === null ? '-' : String(r.status),
+            redirected || r.redirect_location || '-',
+            String(countErrors(r.console)),
+            ...selectors,
+            access ? `${access.passed ? 'ok' : 'WRONG'} (${access.expected})` : '-',
+            r.passed ? 'PASS' : 'FAIL'
+        ];
+    });
+
+    printTable(['USER', 'STATUS', 'REDIRECT', 'CONSOLE', ...matrix.selectors, 'ACCESS', 'RESULT'], rows);
+    console.log('');
+
+    if (matrix.text_selector) {
+        console.log(`Text of '${matrix.text_selector}' compared with ${matrix.users[0].user}:`);
+        matrix.text_diffs.forEach(({ user, diff }) => {
+            if (!diff) {
+                console.log(`  ${user}: same`);
+            } else {
+                console.log(`  ${user}:`);
+                diff.split('\n').forEach(line => console.log(`    ${line}`));
+            }
+        });
+        console.log('');
+    }
+
+    const failed = matrix.users.filter(u => !u.report.passed);
+    if (failed.length > 0) {
+        console.log('Failures:');
+        failed.forEach(({ user, report: r }) => {
+            console.log(`  ${user}`);
+            printFailureDetails(r);
+        });
+        console.log('');
+    }
+}
+
+/**
+ * Print a crawl result: one row per page, then the broken links with the pages
+ * linking to them, the links not followed and the failures of each page.
+ */
+function printCrawlReport(crawl, options) {
+    if (options.format === 'json') {
+        printJsonReport(crawl);
+        return;
+    }
+
+    const { summary } = crawl;
+    console.log(`Crawl: ${crawl.route} to depth ${crawl.depth} - ${summary.pages} page(s), ${summary.passed} passed, ${summary.failed} failed`);
+    if (summary.not_visited > 0) {
+        console.log(`Page limit of ${crawl.limit} reached, ${summary.not_visited} link(s) not visited`);
+    }
+    console.log('');
+
+    const rows = crawl.pages.map(r => [
+        r.status === null ? '-' : String(r.status),
+        String(r.crawl.depth),
+        String(countErrors(r.console)),
+        String(r.network_failures.length + r.crawl.broken_assets.length),
+        String(r.crawl.links),
+        r.passed ? 'PASS' : 'FAIL',
+        r.route
+    ]);
+    printTable(['STATUS', 'DEPTH', 'CONSOLE', 'NETWORK', 'LINKS', 'RESULT', 'PAGE'], rows);
+    console.log('');
+
+    if (crawl.broken_links.length > 0) {
+        console.log('Broken Links:');
+        crawl.broken_links.forEach(link => {
+            console.log(`  ${link.status === null ? link.error : link.status} ${sameOriginPath(link.url, crawl.pages[0].url)}`);
+            console.log(`      linked from ${link.linked_from.join(', ')}`);
+        });
+        console.log('');
+    }
+
+    if (crawl.skipped_links.length > 0) {
+        console.log('Not Followed:');
+        crawl.skipped_links.forEach(link => {
+            console.log(`  ${sameOriginPath(link.url, crawl.pages[0].url)} (${link.reason})`);
+        });
+        console.log('');
+    }
+
+    const failed = crawl.pages.filter(r => !r.passed);
+    if (failed.length > 0) {
+        console.log('Failures:');
+        failed.forEach(r => {
+            console.log(`  ${r.route}`);
+            printFailureDetails(r);
+        });
+        console.log('');
+    }
+}
+
+/**
+ * A URL as a path when it is on the origin of another URL.
+ */
+function sameOriginPath(url, base) {
+    const parsed = new URL(url);
+    return parsed.origin === new URL(base).origin ? parsed.pathname + parsed.search : url;
+}
+
+function printFailureDetails(r) {
+    r.failures.forEach(f => console.log(`    ${f.message}`));
+    r.console.errors.forEach(e => console.log(`      ${consoleErrorLine(e)}`));
+    r.network_failures.forEach(u => console.log(`      ${u}`));
+    if (r.crawl) {
+        r.crawl.broken_assets.forEach(a => console.log(`      ${a.status} ${a.url}`));
+    }
+    if (r.laravel_log) {
+        r.laravel_log.entries
+            .filter(e => ['error', 'critical', 'alert', 'emergency'].includes(e.level))
+            .forEach(e => console.log(`      [${e.level.toUpperCase()}] ${e.exception ? e.exception + ': ' : ''}${e.message}`));
+    }
+    if (r.trace && r.trace.path) {
+        console.log(`    Trace: ${r.trace.path}`);
+    }
+    if (r.video && r.video.path) {
+        console.log(`    Video: ${r.video.path}`);
+    }
+}
+
+/**
+ * Print the reply to a browser session command: only the sections it filled in.
+ */
+function printSessionReport(report, options) {
+    if (options.format === 'json') {
+        printJsonReport(report);
+        return;
+    }
+
+    const fatal = report.failures.find(f => f.fatal);
+    if (fatal) {
+        console.log(`FAIL ${report.url} - ${fatal.message}`);
+    } else if (report.status !== null) {
+        printStatusLine(report);
+        if (report.redirect_location) {
+            console.log(`Redirect Location: ${report.redirect_location}`);
+        }
+    }
+
+    if (report.element) {
+        printElement(report.element);
+    }
+    if (report.eval) {
+        printEval(report.eval);
+    }
+    if (report.console.messages) {
+        printConsole(report.console);
+    }
+    if (report.xhr) {
+        if (report.xhr.length > 0) {
+            printXhr(report.xhr, { xhr_list: true });
+        } else {
+            console.log('XHR/Fetch Requests: None');
+        }
+    }
+    if (report.cookies) {
+        printCookies(report.cookies);
+    }
+    if (report.screenshot) {
+        printScreenshot(report.screenshot);
+    }
+    if (report.state && report.state.saved) {
+        printSavedState(report.state.saved);
+    }
+
+    printLaravelLog(report.laravel_log);
+}
+
+function printTable(headings, rows) {
+    const widths = headings.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+    const line = cells => '  ' + cells.map((c, i) => i === cells.length - 1 ? c : c.padEnd(widths[i])).join('  ');
+
+    console.log(line(headings));
+    rows.forEach(r => console.log(line(r)));
+}
+
+function printTextReport(report, options) {
+    const fatal = report.failures.find(f => f.fatal);
+
+    if (fatal && fatal.type === 'navigation') {
+        console.log(`FAIL ${report.url} - ${fatal.message}`);
+        printLaravelLog(report.laravel_log);
+        printRecordings(report);
+        return;
+    }
+
+    if (report.wait_for && !report.wait_for.found) {
+        console.log(`Warning: Element '${report.wait_for.selector}' not found`);
+    }
+
+    if (fatal) {
+        console.log(`FAIL: ${fatal.message}`);
+        printLaravelLog(report.laravel_log);
+        printRecordings(report);
+        return;
+    }
+
+    // Scenario steps
+    if (report.scenario) {
+        printScenario(report.scenario);
+    }
+
+    // Layout dimensions
+    if (report.dimensions) {
+        if (report.dimensions.count === 0) {
+            console.log(`\nWarning: No elements found for selector '${report.dimensions.selector}'`);
+        } else {
+            console.log(`\nDimensions: Added data-dimensions to ${report.dimensions.count} element(s) matching '${report.dimensions.selector}'`);
+        }
+    }
+
+    // Layout problems
+    if (report.layout) {
+        printLayout(report.layout);
+    }
+
+    // Element HTML
+    if (report.element) {
+        printElement(report.element);
+    }
+
+    // JavaScript result
+    if (report.eval) {
+        printEval(report.eval);
+    }
+
+    // DOM snapshot
+    if (report.snapshot) {
+        printSnapshot(report.snapshot);
+    }
+
+    // Accessibility
+    if (report.a11y) {
+        printA11y(report.a11y);
+    }
+
+    // Security
+    if (report.security) {
+        printSecurity(report.security);
+    }
+
+    // Status line
+    printStatusLine(report);
+
+    // Redirect chain
+    if (report.redirects && report.redirects.length > 0) {
+        console.log('\nRedirect Chain:');
+        report.redirects.forEach((r, i) => {
+            console.log(`  ${i + 1}. ${r.status} ${r.url} -> ${r.location}`);
+        });
+        console.log(`  ${report.redirects.length + 1}. ${report.status} ${report.final_url} (final)`);
+    } else if (report.redirect_location) {
+        console.log(`Redirect Location: ${report.redirect_location}`);
+    }
+
+    // Request body sent with other methods
+    if (report.request) {
+        printRequest(report.request);
+    }
+
+    // Guard and user the middleware authenticated
+    if (report.auth) {
+        printAuth(report.auth);
+    }
+
+    // Storage state the run started with
+    if (report.state) {
+        printState(report.state);
+    }
+
+    console.log('');
+
+    // Assertions
+    if (report.assertions) {
+        printAssertions(report.assertions);
+    }
+
+    // Console output
+    printConsole(report.console);
+
+    // Response headers
+    if (report.headers) {
+        console.log('Response Headers:');
+        Object.keys(report.headers).sort().forEach(h => {
+            console.log(`  ${h}: ${report.headers[h]}`);
+        });
+        console.log('');
+    }
+
+    // Network failures
+    if (report.network_failures.length > 0) {
+        console.log('Network Failures:');
+        report.network_failures.forEach(u => console.log(`  ${u}`));
+        console.log('');
+    }
+
+    // Console errors and network failures ignored by allow-lists
+    if (report.allowed) {
+        printAllowed(report.allowed);
+    }
+
+    // Request mocks
+    if (report.mocks) {
+        console.log('Request Mocks:');
+        report.mocks.rules.forEach(rule => {
+            const method = rule.method ? `${rule.method} ` : '';
+            console.log(`  ${String(rule.hits).padStart(4)}x  ${rule.action.padEnd(8)} ${method}${rule.pattern}`);
+        });
+        if (report.mocks.blocked_external !== null) {
+            console.log(`  Blocked external: ${report.mocks.blocked_external} request(s)`);
+        }
+        console.log('');
+    }
+
+    // XHR requests
+    if (report.xhr && report.xhr.length > 0) {
+        printXhr(report.xhr, options);
+    }
+
+    // Input elements
+    if (report.inputs) {
+        console.log('Form Inputs:');
+        if (report.inputs.length > 0) {
+            report.inputs.forEach(i => {
+                let desc = `  <${i.tag}`;
+                if (i.type) desc += ` type="${i.type}"`;
+                if (i.name) desc += ` name="${i.name}"`;
+                if (i.id) desc += ` id="${i.id}"`;
+                desc += '>';
+                if (i.value) desc += ` value="${i.value}"`;
+                if (i.required) desc += ' [required]';
+                if (i.disabled) desc += ' [disabled]';
+                console.log(desc);
+            });
+        } else {
+            console.log('  None');
+        }
+        console.log('');
+    }
+
+    // Cookies
+    if (report.cookies) {
+        printCookies(report.cookies);
+    }
+
+    // Storage
+    if (report.storage) {
+        console.log('localStorage:');
+        const localKeys = Object.keys(report.storage.local);
+        if (localKeys.length > 0) {
+            localKeys.forEach(k => console.log(`  ${k}: ${report.storage.local[k]}`));
+        } else {
+            console.log('  (empty)');
+        }
+        console.log('');
+
+        console.log('sessionStorage:');
+        const sessionKeys = Object.keys(report.storage.session);
+        if (sessionKeys.length > 0) {
+            sessionKeys.forEach(k => console.log(`  ${k}: ${report.storage.session[k]}`));
+        } else {
+            console.log('  (empty)');
+        }
+        console.log('');
+    }
+
+    // Response body
+    if (!options.no_body) {
+        console.log('Response Body:');
+        if (report.body && report.body.trim()) {
+            console.log(report.body);
+        } else {
+            console.log('(empty)');
+        }
+    }
+
+    // Laravel log entries written during the run
+    printLaravelLog(report.laravel_log);
+
+    // Screenshot
+    if (report.screenshot) {
+        printScreenshot(report.screenshot);
+    }
+
+    // Visual regression
+    if (report.visual) {
+        printVisual(report.visual);
+    }
+
+    // Performance
+    if (report.perf) {
+        printPerf(report.perf);
+    }
+
+    // HAR export
+    if (report.har) {
+        if (report.har.error) {
+            console.error(`HAR export failed: ${report.har.error}`);
+        } else {
+            console.log(`\nHAR saved: ${report.har.path} (${report.har.entries} requests)`);
+        }
+    }
+
+    // Saved storage state
+    if (report.state && report.state.saved) {
+        printSavedState(report.state.saved);
+    }
+
+    // Trace and video recordings
+    printRecordings(report);
+}
+
+function printRecordings(report) {
+    if (report.trace) {
+        if (report.trace.error) {
+            console.error(`Trace failed: ${report.trace.error}`);
+        } else if (report.trace.kept) {
+            console.log(`\nTrace saved: ${report.trace.path} (open with: npx playwright show-trace ${report.trace.path})`);
+        } else {
+            console.log('\nTrace discarded (run passed)');
+        }
+    }
+
+    if (report.video) {
+        if (report.video.error) {
+            console.error(`Video failed: ${report.video.error}`);
+        } else if (report.video.kept) {
+            console.log(`\nVideo saved: ${report.video.path}`);
+        } else {
+            console.log('\nVideo discarded (run passed)');
+        }
+    }
+}
+
+function printA11y(a11y) {
+    if (a11y.error) {
+        console.log(`\nAccessibility: Audit failed: ${a11y.error}`);
+    } else {
+        const counts = Object.entries(a11y.counts).reverse().map(([s, n]) => `${s}: ${n}`).join(', ');
+        console.log(`\nAccessibility: ${a11y.findings.length} finding(s) (${counts})`);
+        a11y.findings.forEach(f => {
+            console.log(`  [${f.severity}] ${f.rule}  ${f.selector}`);
+            console.log(`      ${f.message}`);
+        });
+    }
+
+    if (a11y.tree) {
+        console.log(`\nAccessibility Tree (${a11y.tree.selector}):`);
+        if (a11y.tree.error) {
+            console.log(`  Error: ${a11y.tree.error}`);
+        } else {
+            a11y.tree.snapshot.split('\n').forEach(line => console.log(`  ${line}`));
+        }
+    }
+    console.log('');
+}
+
+function printLayout(layout) {
+    if (layout.error) {
+        console.log(`\nLayout: Check failed: ${layout.error}`);
+        return;
+    }
+
+    const perViewport = layout.viewports.map(v => `${sum(v.counts)} at ${v.width}px`).join(', ');
+    console.log(`\nLayout: ${layout.total} problem(s) (${perViewport})`);
+    layout.viewports.forEach(v => {
+        if (v.findings.length === 0) {
+            return;
+        }
+        if (layout.viewports.length > 1) {
+            console.log(`  ${v.width}x${v.height}:`);
+        }
+        const indent = layout.viewports.length > 1 ? '    ' : '  ';
+        v.findings.forEach(f => {
+            console.log(`${indent}[${f.check}] ${f.selector}  (${f.box.x},${f.box.y} ${f.box.w}x${f.box.h})`);
+            console.log(`${indent}    ${f.reason}`);
+        });
+        const hidden = sum(v.counts) - v.findings.length;
+        if (hidden > 0) {
+            console.log(`${indent}... ${hidden} more`);
+        }
+    });
+    console.log('');
+}
+
+function sum(counts) {
+    return Object.values(counts).reduce((total, n) => total + n, 0);
+}
+
+function printSecurity(security) {
+    if (security.error) {
+        console.log(`\nSecurity: Audit failed: ${security.error}`);
+        console.log('');
+        return;
+    }
+
+    const counts = Object.entries(security.counts).reverse().map(([s, n]) => `${s}: ${n}`).join(', ');
+    console.log(`\nSecurity: ${security.findings.length} finding(s) (${counts})`);
+    security.findings.forEach(f => {
+        console.log(`  [${f.severity}] ${f.check}  ${f.subject}`);
+        console.log(`      ${f.message}`);
+    });
+    console.log('');
+}
+
+/**
+ * One-line summary of a route: status, URL and how it was requested.
+ */
+function statusLine(report) {
+    let output = `${report.status} ${report.url}`;
+    if (report.method !== 'GET') output += ` method:${report.method}`;
+    if (report.user) output += ` user:${report.user}`;
+    if (report.guard) output += ` guard:${report.guard}`;
+    if (report.browser !== 'chromium') output += ` browser:${report.browser}`;
+    if (report.device) output += ` device:${report.device.name}`;
+    if (report.emulation) output += ` ${describeEmulation(report.emulation)}`;
+    if (report.content_type) output += ` type:${report.content_type}`;
+    if (report.console.errors.length > 0) output += ` console-errors:${countErrors(report.console)}`;
+    if (report.network_failures.length > 0) output += ` network-failures:${report.network_failures.length}`;
+
+    return output;
+}
+
+function printStatusLine(report) {
+    console.log(statusLine(report));
+}
+
+function printRequest(request) {
+    const fields = request.fields.length > 0 ? ` (${request.fields.join(', ')})` : '';
+    console.log(`Request: ${request.content_type || 'no body'}${fields}`);
+    request.files.forEach(f => console.log(`  File ${f.field}: ${f.filename} (${f.mime_type}, ${f.size} bytes)`));
+    console.log(request.csrf.found ? `  CSRF token: sent (from ${request.csrf.source})` : '  CSRF token: not found');
+}
+
+function printAuth(auth) {
+    if (!auth.guard) {
+        console.log('Authenticated: unknown (the middleware did not report a guard; update the HeadlessBrowserTesterAuth middleware)');
+    } else if (!auth.user) {
+        console.log(`Authenticated: nobody on guard ${auth.guard}`);
+    } else {
+        console.log(`Authenticated: user ${auth.user} on guard ${auth.guard}`);
+    }
+}
+
+function printState(state) {
+    const parts = [];
+    if (state.loaded) parts.push(`loaded ${state.loaded}`);
+    if (state.cookies_set.length > 0) parts.push(`cookies ${state.cookies_set.join(', ')}`);
+    if (state.local_storage_set.length > 0) parts.push(`localStorage ${state.local_storage_set.join(', ')}`);
+    if (parts.length > 0) {
+        console.log(`State: ${parts.join('; ')}`);
+    }
+}
+
+function printSavedState(saved) {
+    if (saved.error) {
+        console.error(`Saving state failed: ${saved.error}`);
+    } else {
+        console.log(`\nState saved: ${saved.path} (${saved.cookies} cookie(s), ${saved.origins} origin(s))`);
+    }
+}
+
+function printElement(element) {
+    if (element.html) {
+        console.log(`\nElement '${element.selector}':`);
+        console.log(element.html);
+        console.log('');
+    } else {
+        console.log(`Warning: Element '${element.selector}' not found`);
+    }
+}
+
+function printEval(evalResult) {
+    if (evalResult.error) {
+        console.log(`\nJavaScript Error: ${evalResult.error}\n`);
+    } else {
+        console.log('\nJavaScript Result:');
+        console.log(evalResult.result);
+        console.log('');
+    }
+}
+
+function printConsole(consoleReport) {
+    if (consoleReport.messages && consoleReport.messages.length > 0) {
+        console.log('Console Output:');
+        consoleReport.messages.forEach(m => {
+            const location = m.location ? `  (${sourceLocation(m.location)})` : '';
+            console.log(`  [${m.type}] ${m.text}${location}${repeated(m.count)}`);
+        });
+    } else if (consoleReport.errors.length > 0) {
+        console.log('Console Errors:');
+        consoleReport.errors.forEach(e => console.log(`  ${consoleErrorLine(e)}`));
+    } else {
+        console.log('Console Errors: None');
+    }
+    console.log('');
+
+    if (consoleReport.uncaught && consoleReport.uncaught.length > 0) {
+        console.log('Uncaught Errors:');
+        consoleReport.uncaught.forEach(e => {
+            console.log(`  ${e.name}: ${e.message}${repeated(e.count)}`);
+            e.stack.forEach(frame => {
+                const location = sourceLocation(frame);
+                console.log(`      at ${frame.function ? `${frame.function} (${location})` : location}`);
+            });
+        });
+        console.log('');
+    }
+}
+
+/**
+ * file:line:column of a console location or stack frame, in the original
+ * source when a source map resolved it.
+ */
+function sourceLocation(location) {
+    if (location.original && location.original.source) {
+        const { source, line, column } = location.original;
+        return `${source}:${line}:${column}`;
+    }
+    const url = /^https?:/.test(location.url) ? new URL(location.url).pathname : location.url;
+    return `${url}:${location.line}:${location.column}`;
+}
+
+/**
+ * A console error with where it happened and how often.
+ */
+function consoleErrorLine(error) {
+    const location = error.location ? `  (${sourceLocation(error.location)})` : '';
+    return `${errorLabel(error)}${location}${repeated(error.count)}`;
+}
+
+function repeated(count) {
+    return count > 1 ? ` (x${count})` : '';
+}
+
+function printXhr(xhr, options) {
+    if (options.xhr_list) {
+        console.log('XHR/Fetch Requests:');
+        xhr.forEach(x => {
+            const status = x.response ? x.response.status : 'pending';
+            console.log(`  ${x.method} ${x.url} - ${status}`);
+        });
+        console.log('');
+    }
+
+    if (options.xhr_dump) {
+        console.log('XHR/Fetch Details:');
+        xhr.forEach(x => {
+            console.log(`  ${x.method} ${x.url}`);
+            if (x.post_data) console.log(`    Body: ${x.post_data}`);
+            if (x.response) {
+                console.log(`    Status: ${x.response.status}`);
+                if (x.response.body) console.log(`    Response: ${x.response.body}`);
+            }
+            console.log('');
+        });
+    }
+}
+
+function printCookies(cookies) {
+    console.log('Cookies:');
+    if (cookies.length > 0) {
+        cookies.forEach(c => {
+            console.log(`  ${c.name}: ${c.value}`);
+            if (c.domain) console.log(`    Domain: ${c.domain}`);
+            if (c.expires) console.log(`    Expires: ${c.expires}`);
+        });
+    } else {
+        console.log('  None');
+    }
+    console.log('');
+}
+
+function printScreenshot(screenshot) {
+    if (screenshot.error) {
+        console.error(`Screenshot failed: ${screenshot.error}`);
+    } else {
+        console.log(`\nScreenshot saved: ${screenshot.path} (${screenshot.width}px)`);
+    }
+}
+
+function printLaravelLog(log) {
+    if (!log || (log.entries.length === 0 && !log.error)) {
+        return;
+    }
+
+    if (log.error) {
+        console.log(`\nLaravel Log: Error reading ${log.path}: ${log.error}`);
+        return;
+    }
+
+    console.log(`\nLaravel Log (${log.entries.length} entr${log.entries.length === 1 ? 'y' : 'ies'}):`);
+    log.entries.forEach(entry => {
+        console.log(`  [${entry.level.toUpperCase()}] ${entry.time} ${entry.message}`);
+        if (entry.exception) {
+            console.log(`      ${entry.exception} at ${entry.file}:${entry.line}`);
+        }
+        entry.stack.forEach(frame => console.log(`        ${frame}`));
+    });
+}
+
+function printPerf(perf) {
+    if (perf.error) {
+        console.log(`\nPerformance: Collection failed: ${perf.error}`);
+        return;
+    }
+
+    const ms = value => (value === null ? '-' : `${value}ms`);
+    const { navigation, long_tasks: longTasks, resources } = perf;
+
+    console.log('\nPerformance:');
+    console.log(`  TTFB ${ms(navigation.ttfb)}  DOMContentLoaded ${ms(navigation.dom_content_loaded)}  Load ${ms(navigation.load)}`);
+    console.log(`  LCP ${ms(perf.lcp)}  CLS ${perf.cls}  Long tasks ${longTasks.count} (${longTasks.total_ms}ms, blocking ${longTasks.blocking_ms}ms)`);
+    console.log(`  Resources: ${resources.total.count} request(s), ${resources.total.kb} KB`);
+    Object.entries(resources.by_type).forEach(([type, r]) => {
+        console.log(`    ${type.padEnd(6)} ${String(r.count).padStart(4)}  ${String(r.kb).padStart(8)} KB`);
+    });
+
+    if (perf.slowest.length > 0) {
+        console.log('  Slowest:');
+        perf.slowest.forEach(r => console.log(`    ${String(r.duration_ms).padStart(6)}ms  ${r.type.padEnd(6)} ${r.url}`));
+    }
+    if (perf.largest.length > 0) {
+        console.log('  Largest:');
+        perf.largest.forEach(r => console.log(`    ${String(r.kb).padStart(6)} KB  ${r.type.padEnd(6)} ${r.url}`));
+    }
+    if (perf.budgets.length > 0) {
+        console.log('  Budgets:');
+        perf.budgets.forEach(b => {
+            const actual = b.actual === null ? 'n/a' : `${b.actual}${b.unit}`;
+            console.log(`    ${b.passed ? 'PASS' : 'FAIL'}  ${b.metric} ${actual} (budget ${b.limit}${b.unit})`);
+        });
+    }
+}
+
+function printVisual(visual) {
+    switch (visual.status) {
+        case 'created':
+            console.log(`\nVisual: Baseline created ${visual.baseline}`);
+            break;
+        case 'updated':
+            console.log(`\nVisual: Baseline updated ${visual.baseline}`);
+            break;
+        case 'matched':
+            console.log(`\nVisual: Matches baseline (${visual.diff_percent}% changed, threshold ${visual.threshold_percent}%)`);
+            break;
+        case 'changed':
+            console.log(`\nVisual: CHANGED - ${visual.diff_percent}% of pixels differ (threshold ${visual.threshold_percent}%)`);
+            console.log(`  Baseline: ${visual.baseline}`);
+            console.log(`  Actual:   ${visual.actual}`);
+            console.log(`  Diff:     ${visual.diff}`);
+            break;
+        default:
+            console.log(`\nVisual: Comparison failed: ${visual.error}`);
+    }
+}
+
+function printSnapshot(snapshot) {
+    switch (snapshot.status) {
+        case 'created':
+            console.log(`\nSnapshot: Created ${snapshot.path}`);
+            break;
+        case 'updated':
+            console.log(`\nSnapshot: Updated ${snapshot.path}`);
+            break;
+        case 'matched':
+            console.log(`\nSnapshot: Matches ${snapshot.path}`);
+            break;
+        case 'changed':
+            console.log(`\nSnapshot: CHANGED - ${snapshot.selector} differs from ${snapshot.path}`);
+            console.log(snapshot.diff);
+            console.log('\nRun with --update-snapshots to accept the change.');
+            break;
+        default:
+            console.log(`\nSnapshot: Failed: ${snapshot.error}`);
+    }
+}
+
+function printAssertions(assertions) {
+    console.log('Assertions:');
+    assertions.forEach(a => {
+        const actual = a.passed ? '' : ` (got ${a.actual})`;
+        console.log(`  ${a.passed ? 'PASS' : 'FAIL'}  ${a.assertion} ${a.expected}${actual}`);
+    });
+    console.log('');
+}
+
+function printAllowed(allowed) {
+    const total = allowed.console_errors.length + allowed.network_failures.length;
+    if (total === 0) {
+        return;
+    }
+
+    console.log('Allowed (not counted as failures):');
+    allowed.console_errors.forEach(e => console.log(`  ${consoleErrorLine(e)}`));
+    allowed.network_failures.forEach(u => console.log(`  ${u}`));
+    console.log('');
+}
+
+function printScenario(scenario) {
+    console.log(`\nScenario: ${scenario.name}`);
+    scenario.steps.forEach(step => {
+        const label = step.status === 'passed' ? 'PASS' : (step.status === 'failed' ? 'FAIL' : 'SKIP');
+        const timing = step.status === 'skipped' ? '' : ` (${step.duration_ms}ms)`;
+        console.log(`  ${label}  ${step.number}. ${step.description}${timing}`);
+
+        if (step.error) {
+            console.log(`        ${step.error}`);
+        }
+        if (step.output) {
+            if (step.output.result !== undefined) console.log(`        Result: ${step.output.result}`);
+            if (step.output.html !== undefined) console.log(`        ${step.output.html}`);
+            if (step.output.path) console.log(`        Saved: ${step.output.path}`);
+            if (step.output.status !== undefined) console.log(`        Status: ${step.output.status} ${step.output.url}`);
+        }
+    });
+    console.log('');
+}
+
+module.exports = {
+    REPORT_SCHEMA,
+    REPORT_SCHEMA_VERSION,
+    OUTPUT_FORMATS,
+    createReport,
+    addFailure,
+    finalizeReport,
+    statusLine,
+    sourceLocation,
+    consoleErrorLine,
+    printReport,
+    printBatchReport,
+    printMatrixReport,
+    printCrawlReport,
+    printSessionReport
+};
@@ -0,0 +1,184 @@
+/**
+ * Request bodies and CSRF tokens for non-GET routes
+ *
+ * The route is still opened with a real navigation: the first navigation
+ * request is rewritten to the chosen method and body, so the response is
+ * rendered at its own URL with its cookies, assets and redirects intact.
+ *
+ * Bodies come from --post (JSON or a raw urlencoded string), --form
+ * (urlencoded fields) and --file (multipart uploads). For methods other than
+ * GET a CSRF token is fetched from the application first, so routes behind
+ * Laravel's VerifyCsrfToken middleware accept the request.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const MIME_TYPES = {
+    '.txt': 'text/plain',
+    '.csv': 'text/csv',
+    '.json': 'application/json',
+    '.xml': 'application/xml',
+    '.pdf': 'application/pdf',
+    '.zip': 'application/zip',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xls': 'application/vnd.ms-excel',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+/**
+ * Parse --file=field=@path into { field, path }.
+ */
+function parseFileArg(value) {
+    const match = /^([^=]+)=@(.+)$/.exec(value);
+    if (!match) {
+        throw new Error(`--file must look like field=@path, got '${value}'`);
+    }
+    return { field: match[1], path: match[2] };
+}
+
+/**
+ * Build the body for the request: { contentType, body, fields, files }.
+ * Returns null when there is nothing to send.
+ */
+function buildRequestBody(options, csrfToken) {
+    if (options.post_data !== null && options.post_data !== undefined) {
+        const json = typeof options.post_data === 'object';
+        return {
+            contentType: json ? 'application/json' : 'application/x-www-form-urlencoded',
+            body: json ? JSON.stringify(options.post_data) : String(options.post_data),
+            fields: json ? Object.keys(options.post_data) : [...new URLSearchParams(String(options.post_data)).keys()],
+            files: []
+        };
+    }
+
+    const fields = [...new URLSearchParams(options.form || '')];
+    if (csrfToken && !fields.some(([name]) => name === '_token')) {
+        fields.push(['_token', csrfToken]);
+    }
+
+    if (options.files.length > 0) {
+        return multipartBody(fields, options.files);
+    }
+
+    if (options.form !== null && options.form !== undefined) {
+        return {
+            contentType: 'application/x-www-form-urlencoded',
+            body: new URLSearchParams(fields).toString(),
+            fields: fields.map(([name]) => name),
+            files: []
+        };
+    }
+
+    return null;
+}
+
+function multipartBody(fields, files) {
+    const boundary = `----HeadlessBrowserTester${crypto.randomBytes(12).toString('hex')}`;
+    const parts = [];
+
+    fields.forEach(([name, value]) => {
+        parts.push(Buffer.from(
+            `--${boundary}\r\nContent-Disposition: form-data; name="${escapeQuotes(name)}"\r\n\r\n${value}\r\n`
+        ));
+    });
+
+    const uploaded = files.map(file => {
+        const content = fs.readFileSync(file.path);
+        const filename = path.basename(file.path);
+        const mimeType = MIME_TYPES[path.extname(file.path).toLowerCase()] || 'application/octet-stream';
+
+        parts.push(Buffer.from(
+            `--${boundary}\r\nContent-Disposition: form-data; name="${escapeQuotes(file.field)}"; filename="${escapeQuotes(filename)}"\r\n` +
+            `Content-Type: ${mimeType}\r\n\r\n`
+        ));
+        parts.push(content, Buffer.from('\r\n'));
+
+        return { field: file.field, filename, mime_type: mimeType, size: content.length };
+    });
+
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+    return {
+        contentType: `multipart/form-data; boundary=${boundary}`,
+        body: Buffer.concat(parts),
+        fields: fields.map(([name]) => name),
+        files: uploaded
+    };
+}
+
+function escapeQuotes(value) {
+    return String(value).replace(/"/g, '%22').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Get a CSRF token the way a browser would: load a page of the application
+ * and take the csrf-token meta tag and the XSRF-TOKEN cookie it sets.
+ * The target route is tried first, then the home page.
+ */
+async function fetchCsrfToken(context, urls, headers, timeout) {
+    for (const url of urls) {
+        let html = '';
+        try {
+            const response = await context.request.get(url, { headers, timeout, failOnStatusCode: false });
+            html = await response.text();
+        } catch (e) {
+            continue;
+        }
+
+        const meta = /<meta[^>]+name=["']csrf-token["'][^>]*content=["']([^"']+)["']/i.exec(html)
+            || /<meta[^>]+content=["']([^"']+)["'][^>]*name=["']csrf-token["']/i.exec(html);
+        const cookie = (await context.cookies(url)).find(c => c.name === 'XSRF-TOKEN');
+
+        if (meta || cookie) {
+            return {
+                token: meta ? meta[1] : null,
+                xsrf: cookie ? decodeURIComponent(cookie.value) : null,
+                source: url
+            };
+        }
+    }
+
+    return { token: null, xsrf: null, source: null };
+}
+
+/**
+ * Rewrite the next main-frame navigation request with a method, body and
+ * headers. Redirects that follow are left alone, so a 302/303 after a POST
+ * is followed with GET like a browser does. rearm() applies the override to
+ * the next navigation again, for retries.
+ */
+async function overrideNavigation(page, { method, body, headers }) {
+    let armed = true;
+
+    await page.route('**/*', async (route, request) => {
+        if (armed && request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+            armed = false;
+            await route.fallback({
+                method,
+                postData: body === null ? undefined : body,
+                headers: { ...request.headers(), ...headers }
+            });
+        } else {
+            await route.fallback();
+        }
+    });
+
+    return {
+        rearm() {
+            armed = true;
+        }
+    };
+}
+
+module.exports = { METHODS, parseFileArg, buildRequestBody, fetchCsrfToken, overrideNavigation };
@@ -0,0 +1,680 @@
+/**
+ * Single route test
+ *
+ * Opens a route in a fresh browser context, runs the requested checks and
+ * interactions, and collects everything into a report (see report.js).
+ */
+
+const path = require('path');
+const { evaluateScript } = require('./evaluate');
+const { runScenario } = require('./scenario');
+const { compareWithBaseline } = require('./visual');
+const { compareWithSnapshot } = require('./snapshot');
+const { videoContextOptions, startTracing, finishRecording } = require('./recording');
+const { storageStateContextOptions, restoreSessionStorage, saveStorageState } = require('./storage-state');
+const { recordHar, writeHar } = require('./har');
+const { createMockRouter, applyMockRule } = require('./mock');
+const { SEVERITIES, runA11yAudit, a11yTree } = require('./a11y');
+const { SECURITY_SEVERITIES, watchSecurity, runSecurityAudit } = require('./security');
+const { exceedsSeverity, countBySeverity } = require('./audit');
+const { runLayoutCheck } = require('./layout');
+const { observePerformance, collectPerformance, checkBudgets } = require('./perf');
+const { watchLog } = require('./laravel-log');
+const { deviceContextOptions } = require('./devices');
+const { emulationContextOptions, applyThrottling } = require('./emulation');
+const { watchXhr, assertResponse, assertPage, applyAllowLists } = require('./assertions');
+const { buildRequestBody, fetchCsrfToken, overrideNavigation } = require('./request');
+const { watchConsole, finishConsole } = require('./console');
+const { runPageHook } = require('./plugins');
+const { createReport, addFailure, finalizeReport } = require('./report');
+
+/**
+ * Test one route in its own browser context and return the finalized report.
+ * Resources are loaded once per run: { scenario, mockRules, storageState }.
+ * A judge may revise the finalized report before recordings are kept or
+ * discarded.
+ */
+async function testRoute(browser, route, options, resources = {}, { judge = null } = {}) {
+    const started = Date.now();
+    const report = createReport(options, route);
+
+    const contextOptions = { ...deviceContextOptions(options), ...emulationContextOptions(options) };
+
+    let viewportWidth = options.screenshot_width;
+    if (contextOptions.viewport) {
+        viewportWidth = contextOptions.viewport.width;
+    } else if (options.screenshot_path || options.visual_baseline) {
+        viewportWidth = options.screenshot_width || 1920;
+        contextOptions.viewport = { width: viewportWidth, height: 1080 };
+    }
+
+    // Screenshots and baselines of this route use its viewport width; the caller's options stay as they are
+    options = { ...options, screenshot_width: viewportWidth };
+
+    // Only log entries written from here on belong to this run
+    const log = options.laravel_log_path
+        ? watchLog(options.laravel_log_path, { daily: options.laravel_log_daily })
+        : null;
+
+    const context = await browser.newContext({
+        ...contextOptions,
+        ...videoContextOptions(options, contextOptions.viewport),
+        ...storageStateContextOptions(resources.storageState)
+    });
+    await restoreSessionStorage(context, resources.storageState);
+    await startTracing(context, route, options);
+
+    // Until the run completes it counts as failed, so recordings of a crash are kept
+    let failed = true;
+    let page = null;
+    try {
+        page = await context.newPage();
+
+        // Record all traffic for HAR export
+        const har = options.har ? recordHar(page, { bodyLimit: options.har_body_limit * 1024 }) : null;
+
+        try {
+            await inspectPage(page, context, report, options, resources);
+        } finally {
+            if (har) {
+                report.har = await saveHar(har, browser, options.har);
+            }
+            if (log) {
+                report.laravel_log = log.read();
+            }
+        }
+
+        report.console = await finishConsole(page, report.console);
+
+        if (options.save_state) {
+            report.state.saved = await saveState(context, page, options.save_state);
+        }
+
+        applyAllowLists(report, options);
+        finalizeReport(report);
+        if (judge) {
+            judge(report);
+        }
+        failed = !report.passed;
+    } finally {
+        const recording = await finishRecording(context, page, route, options, failed);
+        report.trace = recording.trace;
+        report.video = recording.video;
+    }
+
+    report.duration_ms = Date.now() - started;
+    return report;
+}
+
+/**
+ * Attach the console, network and XHR collectors to a page and route its
+ * requests, adding the test and auth headers to application requests and
+ * applying any mock rules. Shared by single runs and persistent sessions.
+ * Returns the extra headers sent to the application.
+ */
+async function preparePage(page, report, options, mockRules = null) {
+    // Requests aborted on purpose by mock rules or --block-external
+    const intentionallyAborted = new WeakSet();
+
+    await applyThrottling(page, options);
+
+    // Collect console output
+    watchConsole(page, report, options);
+
+    // Collect network failures
+    page.on('requestfailed', request => {
+        if (!intentionallyAborted.has(request)) {
+            report.network_failures.push(request.url());
+        }
+    });
+
+    // Collect XHR requests, paired with their responses by request object
+    if (report.xhr) {
+        const xhrByRequest = new Map();
+
+        page.on('request', request => {
+            const type = request.resourceType();
+            if (type === 'xhr' || type === 'fetch') {
+                const xhr = {
+                    url: request.url(),
+                    method: request.method(),
+                    headers: request.headers(),
+                    post_data: request.postData(),
+                    response: null
+                };
+                xhrByRequest.set(request, xhr);
+                report.xhr.push(xhr);
+            }
+        });
+
+        page.on('response', async response => {
+            const xhr = xhrByRequest.get(response.request());
+            if (xhr) {
+                xhr.response = {
+                    status: response.status(),
+                    headers: response.headers(),
+                    body: null
+                };
+                try {
+                    xhr.response.body = await response.text();
+                } catch (e) {
+                    // Ignore
+                }
+            }
+        });
+    }
+
+    // Track redirects
+    if (report.redirects) {
+        page.on('response', response => {
+            const status = response.status();
+            if (status >= 300 && status < 400) {
+                const location = response.headers()['location'];
+                if (location) {
+                    report.redirects.push({ url: response.url(), status, location });
+                }
+            }
+        });
+    }
+
+    // Set up request headers
+    const extraHeaders = {
+        'X-Headless-Test': '1'
+    };
+
+    if (options.user_id) {
+        extraHeaders['X-Dev-Auth-User-Id'] = options.user_id;
+
+        // Also on XHR/fetch requests, so stateless guards authenticate the page's API calls
+        if (options.guard) {
+            extraHeaders['X-Dev-Auth-Guard'] = options.guard;
+        }
+    }
+
+    if (options.auth_key) {
+        extraHeaders['X-Dev-Auth-Key'] = options.auth_key;
+    }
+
+    const mockRouter = (mockRules || options.block_external)
+        ? createMockRouter(mockRules || [], { baseUrl: options.base_url, blockExternal: options.block_external })
+        : null;
+
+    if (mockRouter) {
+        report.mocks = mockRouter.stats;
+    }
+
+    await page.route('**/*', async (route, request) => {
+        const url = request.url();
+        const continueOptions = url.startsWith(options.base_url)
+            ? { headers: { ...request.headers(), ...extraHeaders } }
+            : {};
+
+        const rule = mockRouter ? mockRouter.resolve(request) : null;
+        if (rule) {
+            if (rule.action === 'abort') {
+                intentionallyAborted.add(request);
+            }
+            await applyMockRule(route, rule, continueOptions);
+        } else {
+            await route.continue(continueOptions);
+        }
+    });
+
+    return extraHeaders;
+}
+
+async function inspectPage(page, context, report, options, { scenario = null, mockRules = null }) {
+    const extraHeaders = await preparePage(page, report, options, mockRules);
+
+    // --expect-xhr needs every request, also without --xhr-list
+    const xhrRequests = options.expect_xhr.length > 0 ? watchXhr(page) : [];
+
+    if (options.perf) {
+        await observePerformance(page);
+    }
+
+    const securityRecorder = options.security ? await watchSecurity(page) : null;
+
+    // Other methods rewrite the navigation request, so the response is still a real page load
+    let navigationOverride = null;
+    if (report.method !== 'GET') {
+        navigationOverride = await prepareRequest(page, context, report, options, extraHeaders);
+    }
+
+    await runPageHook('beforeNavigate', { page, context, options, report });
+
+    // Navigate to route
+    let response;
+    const maxRetries = 3;
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+        try {
+            response = await page.goto(report.url, {
+                waitUntil: 'networkidle',
+                timeout: options.timeout
+            });
+            break;
+        } catch (error) {
+            if (error.message.includes('ERR_CONNECTION_REFUSED') && attempt < maxRetries) {
+                const delay = Math.pow(2, attempt - 1) * 1000;
+                console.error(`Connection refused, retrying in ${delay}ms...`);
+                await new Promise(r => setTimeout(r, delay));
+                if (navigationOverride) {
+                    navigationOverride.rearm();
+                }
+            } else {
+                addFailure(report, 'navigation', error.message, true);
+                return;
+            }
+        }
+    }
+
+    if (!response) {
+        addFailure(report, 'navigation', 'No response', true);
+        return;
+    }
+
+    const status = response.status();
+    const responseHeaders = response.headers();
+
+    report.status = status;
+    report.final_url = response.url();
+    if (responseHeaders['content-type']) {
+        report.content_type = responseHeaders['content-type'].split(';')[0];
+    }
+    if ([301, 302, 303, 307, 308].includes(status) && responseHeaders['location']) {
+        report.redirect_location = responseHeaders['location'];
+    }
+
+    // The middleware reports who it authenticated
+    if (options.user_id) {
+        report.auth = {
+            guard: responseHeaders['x-dev-auth-guard'] || null,
+            user: responseHeaders['x-dev-auth-user'] || null
+        };
+    }
+
+    assertResponse(report, options);
+
+    // Wait for page to stabilize
+    await page.evaluate(() => {
+        return new Promise(resolve => {
+            if (document.readyState === 'complete') {
+                setTimeout(resolve, 300);
+            } else {
+                window.addEventListener('load', () => setTimeout(resolve, 300));
+            }
+        });
+    });
+
+    // The route loads online; everything after it runs without a network
+    if (options.offline) {
+        await context.setOffline(true);
+    }
+
+    await runPageHook('afterLoad', { page, context, options, report });
+
+    // Wait for specific element if requested
+    if (options.wait_for) {
+        report.wait_for = { selector: options.wait_for, found: true };
+        try {
+            await page.waitForSelector(options.wait_for, { timeout: options.timeout });
+        } catch (e) {
+            report.wait_for.found = false;
+        }
+    }
+
+    // Verify element exists
+    if (options.expect_element) {
+        const exists = await page.evaluate(sel => document.querySelector(sel) !== null, options.expect_element);
+        if (!exists) {
+            addFailure(report, 'expect-element', `Expected element '${options.expect_element}' not found`, true);
+            return;
+        }
+    }
+
+    // Performance metrics of the initial load, before any interaction
+    if (options.perf) {
+        try {
+            report.perf = await collectPerformance(page);
+            report.perf.budgets = checkBudgets(report.perf, options.budget || {});
+            report.perf.budgets.filter(b => !b.passed).forEach(b => {
+                addFailure(report, 'perf-budget', `${b.metric} ${b.actual}${b.unit} exceeds budget of ${b.limit}${b.unit}`);
+            });
+        } catch (e) {
+            report.perf = { error: e.message };
+        }
+    }
+
+    // Run scenario steps
+    if (scenario) {
+        report.scenario = await runScenario(page, scenario, {
+            baseUrl: options.base_url,
+            scenarioDir: path.dirname(scenario.path),
+            timeout: options.timeout
+        });
+
+        const failedStep = report.scenario.steps.find(s => s.status === 'failed');
+        if (failedStep) {
+            addFailure(report, 'scenario-step', `Step ${failedStep.number} (${failedStep.description}) failed: ${failedStep.error}`);
+        }
+    }
+
+    // Add layout dimensions to elements
+    if (options.dump_dimensions) {
+        const count = await page.evaluate((selector) => {
+            const elements = document.querySelectorAll(selector);
+
+            elements.forEach((elem) => {
+                const rect = elem.getBoundingClientRect();
+                const style = window.getComputedStyle(elem);
+
+                // Parse margin values and round to nearest pixel
+                const marginTop = Math.round(parseFloat(style.marginTop) || 0);
+                const marginRight = Math.round(parseFloat(style.marginRight) || 0);
+                const marginBottom = Math.round(parseFloat(style.marginBottom) || 0);
+                const marginLeft = Math.round(parseFloat(style.marginLeft) || 0);
+
+                // Parse padding values and round to nearest pixel
+                const paddingTop = Math.round(parseFloat(style.paddingTop) || 0);
+                const paddingRight = Math.round(parseFloat(style.paddingRight) || 0);
+                const paddingBottom = Math.round(parseFloat(style.paddingBottom) || 0);
+                const paddingLeft = Math.round(parseFloat(style.paddingLeft) || 0);
+
+                // Format margin - use shorthand if all same, otherwise 4 values
+                let margin;
+                if (marginTop === marginRight && marginRight === marginBottom && marginBottom === marginLeft) {
+                    margin = marginTop;
+                } else {
+                    margin = `${marginTop} ${marginRight} ${marginBottom} ${marginLeft}`;
+                }
+
+                // Format padding - use shorthand if all same, otherwise 4 values
+                let padding;
+                if (paddingTop === paddingRight && paddingRight === paddingBottom && paddingBottom === paddingLeft) {
+                    padding = paddingTop;
+                } else {
+                    padding = `${paddingTop} ${paddingRight} ${paddingBottom} ${paddingLeft}`;
+                }
+
+                const dimensions = {
+                    x: Math.round(rect.x),
+                    y: Math.round(rect.y),
+                    w: Math.round(rect.width),
+                    h: Math.round(rect.height),
+                    margin: margin,
+                    padding: padding
+                };
+
+                elem.setAttribute('data-dimensions', JSON.stringify(dimensions));
+            });
+
+            return elements.length;
+        }, options.dump_dimensions);
+
+        report.dimensions = { selector: options.dump_dimensions, count };
+    }
+
+    // Dump element HTML
+    if (options.dump_element) {
+        report.element = await dumpElement(page, options.dump_element);
+    }
+
+    // Execute JavaScript (supports async/await for post-load interactions)
+    // This runs AFTER page is fully loaded and ready
+    if (options.eval_code) {
+        report.eval = await evaluateScript(page, options.eval_code);
+    }
+
+    // DOM snapshot of the element as it is after interactions
+    if (options.snapshot) {
+        try {
+            report.snapshot = await compareWithSnapshot(page, options);
+        } catch (e) {
+            report.snapshot = { name: options.snapshot, status: 'error', error: e.message };
+        }
+        if (report.snapshot.status === 'changed') {
+            addFailure(report, 'snapshot', `DOM snapshot '${options.snapshot}' changed`);
+        } else if (report.snapshot.status === 'error') {
+            addFailure(report, 'snapshot', `DOM snapshot '${options.snapshot}' failed: ${report.snapshot.error}`);
+        }
+    }
+
+    // Accessibility audit of the page as it is after interactions
+    if (options.a11y) {
+        report.a11y = { findings: [], counts: null, fail_on: options.a11y_fail_on, tree: null, error: null };
+        try {
+            report.a11y.findings = await runA11yAudit(page);
+            report.a11y.counts = countBySeverity(report.a11y.findings, SEVERITIES);
+
+            if (options.a11y_fail_on && exceedsSeverity(report.a11y.findings, options.a11y_fail_on, SEVERITIES)) {
+                addFailure(report, 'a11y', `Accessibility findings at or above '${options.a11y_fail_on}' severity`);
+            }
+        } catch (e) {
+            report.a11y.error = e.message;
+        }
+
+        if (options.a11y_tree) {
+            report.a11y.tree = { selector: options.a11y_tree, snapshot: null, error: null };
+            try {
+                report.a11y.tree.snapshot = await a11yTree(page, options.a11y_tree, options.timeout);
+            } catch (e) {
+                report.a11y.tree.error = e.message.split('\n')[0];
+            }
+        }
+    }
+
+    // Security audit of the response and of the page as it is after interactions
+    if (options.security) {
+        report.security = {
+            findings: [],
+            counts: null,
+            fail_on: options.security_fail_on,
+            violations: [],
+            mixed_content: [],
+            error: null
+        };
+        try {
+            Object.assign(report.security, await runSecurityAudit(page, context, response, securityRecorder, options));
+
+            if (options.security_fail_on && exceedsSeverity(report.security.findings, options.security_fail_on, SECURITY_SEVERITIES)) {
+                addFailure(report, 'security', `Security findings at or above '${options.security_fail_on}' severity`);
+            }
+        } catch (e) {
+            report.security.error = e.message.split('\n')[0];
+        }
+    }
+
+    // Layout problems at the chosen viewport, or at each width of the sweep
+    if (options.layout_check) {
+        report.layout = { viewports: [], counts: null, total: 0, error: null };
+        try {
+            report.layout = { ...report.layout, ...await runLayoutCheck(page, options.layout_widths) };
+
+            if (options.layout_fail && report.layout.total > 0) {
+                addFailure(report, 'layout', `${report.layout.total} layout problem(s) found`);
+            }
+        } catch (e) {
+            report.layout.error = e.message.split('\n')[0];
+        }
+    }
+
+    if (options.headers) {
+        report.headers = responseHeaders;
+    }
+
+    // Give in-flight XHR responses a moment to complete
+    if ((report.xhr && report.xhr.length > 0) || xhrRequests.length > 0) {
+        await new Promise(r => setTimeout(r, 500));
+    }
+
+    // Assertions on the page after interactions
+    await assertPage(page, report, options, xhrRequests);
+
+    // Selector counts and element text for the authorization matrix
+    if (options.users) {
+        report.matrix = await page.evaluate(({ selectors, textSelector }) => {
+            const element = textSelector ? document.querySelector(textSelector) : null;
+            return {
+                selectors: Object.fromEntries(selectors.map(sel => [sel, document.querySelectorAll(sel).length])),
+                text: element ? element.innerText : null
+            };
+        }, { selectors: options.matrix_selectors, textSelector: options.matrix_text });
+    }
+
+    // Plugin collectors see the page as the assertions did
+    await runPageHook('collect', { page, context, options, report });
+
+    // Input elements
+    if (options.input_elements) {
+        report.inputs = await page.evaluate(() => {
+            return Array.from(document.querySelectorAll('input, select, textarea')).map(el => ({
+                tag: el.tagName.toLowerCase(),
+                type: el.type || '',
+                name: el.name || '',
+                id: el.id || '',
+                value: el.type !== 'password' ? el.value : '[hidden]',
+                required: el.required,
+                disabled: el.disabled
+            }));
+        });
+    }
+
+    // Cookies
+    if (options.cookies) {
+        report.cookies = await collectCookies(context);
+    }
+
+    // Storage
+    if (options.storage) {
+        report.storage = await page.evaluate(() => ({
+            local: Object.fromEntries(Object.keys(localStorage).map(k => [k, localStorage.getItem(k)])),
+            session: Object.fromEntries(Object.keys(sessionStorage).map(k => [k, sessionStorage.getItem(k)]))
+        }));
+    }
+
+    // Response body
+    if (!options.no_body) {
+        report.body = await page.content();
+    }
+
+    // Screenshot
+    if (options.screenshot_path) {
+        report.screenshot = await takeScreenshot(page, options.screenshot_path, options.screenshot_width);
+    }
+
+    // Visual regression against the stored baseline
+    if (options.visual_baseline) {
+        try {
+            report.visual = await compareWithBaseline(page, report.route, options);
+            if (report.visual.status === 'changed') {
+                addFailure(report, 'visual-diff', `${report.visual.diff_percent}% of pixels differ from baseline (threshold ${report.visual.threshold_percent}%)`);
+            }
+        } catch (e) {
+            report.visual = { baseline: null, status: 'error', error: e.message };
+            addFailure(report, 'visual-diff', `Visual comparison failed: ${e.message}`);
+        }
+    }
+}
+
+/**
+ * Fetch a CSRF token and set up the method and body for the navigation.
+ */
+async function prepareRequest(page, context, report, options, extraHeaders) {
+    const csrf = await fetchCsrfToken(context, [report.url, options.base_url + '/'], extraHeaders, options.timeout);
+    const payload = buildRequestBody(options, csrf.token);
+
+    const headers = { ...extraHeaders };
+    if (payload) {
+        headers['content-type'] = payload.contentType;
+    }
+    if (csrf.token) {
+        headers['x-csrf-token'] = csrf.token;
+    }
+    if (csrf.xsrf) {
+        headers['x-xsrf-token'] = csrf.xsrf;
+    }
+
+    report.request = {
+        content_type: payload ? payload.contentType.split(';')[0] : null,
+        fields: payload ? payload.fields : [],
+        files: payload ? payload.files : [],
+        csrf: { found: Boolean(csrf.token || csrf.xsrf), source: csrf.source }
+    };
+
+    return overrideNavigation(page, { method: report.method, body: payload ? payload.body : null, headers });
+}
+
+/**
+ * Outer HTML of the first element matching a selector, or null html if none matches.
+ */
+async function dumpElement(page, selector) {
+    const html = await page.evaluate(sel => {
+        const el = document.querySelector(sel);
+        return el ? el.outerHTML : null;
+    }, selector);
+
+    return { selector, html };
+}
+
+/**
+ * The context's cookies in report form.
+ */
+async function collectCookies(context) {
+    const cookies = await context.cookies();
+    return cookies.map(c => ({
+        name: c.name,
+        value: c.value,
+        domain: c.domain || null,
+        path: c.path,
+        expires: c.expires > 0 ? new Date(c.expires * 1000).toISOString() : null,
+        http_only: c.httpOnly,
+        secure: c.secure,
+        same_site: c.sameSite
+    }));
+}
+
+/**
+ * Full-page screenshot, capped at 5000px high.
+ */
+async function takeScreenshot(page, file, width) {
+    const screenshot = { path: file, width, error: null };
+    try {
+        const height = await page.evaluate(() => document.documentElement.scrollHeight);
+        await page.screenshot({
+            path: file,
+            fullPage: true,
+            clip: {
+                x: 0,
+                y: 0,
+                width,
+                height: Math.min(5000, height)
+            }
+        });
+    } catch (e) {
+        screenshot.error = e.message;
+    }
+    return screenshot;
+}
+
+async function saveHar(har, browser, file) {
+    try {
+        const document = await har.build(browser);
+        writeHar(file, document);
+        return { path: file, entries: document.log.entries.length, error: null };
+    } catch (e) {
+        return { path: file, entries: 0, error: e.message };
+    }
+}
+
+/**
+ * Save the storage state of the run, reporting instead of failing on errors.
+ */
+async function saveState(context, page, file) {
+    try {
+        return { path: file, ...await saveStorageState(context, page, file), error: null };
+    } catch (e) {
+        return { path: file, cookies: 0, origins: 0, error: e.message };
+    }
+}
+
+module.exports = { testRoute, preparePage, dumpElement, collectCookies, takeScreenshot, saveState };
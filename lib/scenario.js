@@ -0,0 +1,328 @@
+/**
+ * Scenario files
+ *
+ * A scenario is a JSON or YAML file listing ordered steps to run against the
+ * loaded page. Each step is an object whose action key holds the step's main
+ * argument, for example `{ "click": "button.add" }` or
+ * `{ "fill": "#email", "value": "test@example.com" }`. Steps run through
+ * Playwright locators and the first failing step stops the scenario.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { evaluateScript } = require('./evaluate');
+
+// Keys of an assert step: the checks, and the selector that text and count apply to
+const ASSERT_CHECKS = ['visible', 'hidden', 'text', 'url', 'title', 'count'];
+const ASSERT_KEYS = [...ASSERT_CHECKS, 'selector'];
+
+const WAIT_FOR_KEYS = ['selector', 'state', 'text', 'url'];
+
+const STEP_ACTIONS = {
+    'goto': async (page, step, ctx) => {
+        const url = /^https?:\/\//.test(step.target)
+            ? step.target
+            : ctx.baseUrl + (step.target.startsWith('/') ? '' : '/') + step.target;
+        const response = await page.goto(url, { waitUntil: 'networkidle', timeout: step.timeout });
+        return { status: response ? response.status() : null, url: page.url() };
+    },
+
+    'click': async (page, step) => {
+        await page.locator(step.target).click({ timeout: step.timeout });
+    },
+
+    'fill': async (page, step) => {
+        await page.locator(step.target).fill(String(step.params.value ?? ''), { timeout: step.timeout });
+    },
+
+    'select': async (page, step) => {
+        const values = step.params.label !== undefined
+            ? { label: step.params.label }
+            : step.params.value;
+        const selected = await page.locator(step.target).selectOption(values, { timeout: step.timeout });
+        return { selected };
+    },
+
+    'press': async (page, step) => {
+        if (step.params.selector) {
+            await page.locator(step.params.selector).press(step.target, { timeout: step.timeout });
+        } else {
+            await page.keyboard.press(step.target);
+        }
+    },
+
+    'check': async (page, step) => {
+        await page.locator(step.target).check({ timeout: step.timeout });
+    },
+
+    'uncheck': async (page, step) => {
+        await page.locator(step.target).uncheck({ timeout: step.timeout });
+    },
+
+    'wait-for': async (page, step) => {
+        const spec = typeof step.target === 'string' ? { selector: step.target } : step.target;
+        if (!spec.selector && spec.text === undefined && !spec.url) {
+            throw new Error('wait-for expects a selector, text or url');
+        }
+
+        if (spec.selector) {
+            await page.locator(spec.selector).first().waitFor({ state: spec.state || 'visible', timeout: step.timeout });
+        }
+        if (spec.text !== undefined) {
+            await page.getByText(String(spec.text)).first().waitFor({ timeout: step.timeout });
+        }
+        if (spec.url) {
+            await page.waitForURL(spec.url, { timeout: step.timeout });
+        }
+    },
+
+    'eval': async (page, step) => {
+        const result = await evaluateScript(page, step.target);
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        return { result: result.result };
+    },
+
+    'screenshot': async (page, step, ctx) => {
+        const file = path.resolve(ctx.scenarioDir, step.target);
+        if (step.params.selector) {
+            await page.locator(step.params.selector).screenshot({ path: file, timeout: step.timeout });
+        } else {
+            await page.screenshot({ path: file, fullPage: step.params.full_page !== false });
+        }
+        return { path: file };
+    },
+
+    'dump-element': async (page, step) => {
+        const html = await page.locator(step.target).first().evaluate(el => el.outerHTML, null, { timeout: step.timeout });
+        return { html };
+    },
+
+    'assert': async (page, step) => {
+        await runAssertion(page, step.target, step.timeout);
+    }
+};
+
+/**
+ * Load and validate a scenario file. Throws with a readable message on invalid input.
+ */
+function loadScenario(file) {
+    const source = fs.readFileSync(file, 'utf8');
+    const ext = path.extname(file).toLowerCase();
+
+    let data;
+    try {
+        data = (ext === '.yml' || ext === '.yaml') ? YAML.parse(source) : JSON.parse(source);
+    } catch (e) {
+        throw new Error(`Could not parse scenario ${file}: ${e.message}`);
+    }
+
+    if (Array.isArray(data)) {
+        data = { steps: data };
+    }
+
+    if (!data || !Array.isArray(data.steps) || data.steps.length === 0) {
+        throw new Error(`Scenario ${file} has no steps`);
+    }
+
+    return {
+        path: file,
+        name: data.name || path.basename(file),
+        timeout: data.timeout || null,
+        steps: data.steps.map((step, i) => normalizeStep(step, i + 1))
+    };
+}
+
+function normalizeStep(step, number) {
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+        throw new Error(`Scenario step ${number} must be an object`);
+    }
+
+    const actions = Object.keys(step).filter(k => STEP_ACTIONS[k]);
+    if (actions.length !== 1) {
+        throw new Error(`Scenario step ${number} must have exactly one action (${Object.keys(STEP_ACTIONS).join(', ')})`);
+    }
+
+    const action = actions[0];
+    const { [action]: target, name, timeout, ...params } = step;
+
+    if (target === undefined || target === null || target === '') {
+        throw new Error(`Scenario step ${number} (${action}) is missing its argument`);
+    }
+    if (action === 'assert') {
+        checkAssertSpec(target, number);
+    }
+    if (action === 'wait-for' && typeof target !== 'string') {
+        checkWaitForSpec(target, number);
+    }
+
+    return { number, action, target, name: name || null, timeout: timeout || null, params };
+}
+
+/**
+ * Reject assert specs that would check nothing, such as misspelled keys.
+ */
+function checkAssertSpec(spec, number) {
+    if (typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error(`Scenario step ${number} (assert) expects an object such as { "visible": ".alert" }`);
+    }
+    const unknown = Object.keys(spec).filter(key => !ASSERT_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Scenario step ${number} (assert) has unknown key(s) ${unknown.join(', ')} (expected: ${ASSERT_KEYS.join(', ')})`);
+    }
+    if (!ASSERT_CHECKS.some(key => spec[key] !== undefined)) {
+        throw new Error(`Scenario step ${number} (assert) checks nothing (expected one of: ${ASSERT_CHECKS.join(', ')})`);
+    }
+    if (spec.count !== undefined && !spec.selector) {
+        throw new Error(`Scenario step ${number} (assert) count requires a selector`);
+    }
+}
+
+function checkWaitForSpec(spec, number) {
+    if (typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error(`Scenario step ${number} (wait-for) expects a selector, text or url`);
+    }
+    const unknown = Object.keys(spec).filter(key => !WAIT_FOR_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Scenario step ${number} (wait-for) has unknown key(s) ${unknown.join(', ')} (expected: ${WAIT_FOR_KEYS.join(', ')})`);
+    }
+    if (!spec.selector && spec.text === undefined && !spec.url) {
+        throw new Error(`Scenario step ${number} (wait-for) expects a selector, text or url`);
+    }
+}
+
+function describeStep(step) {
+    if (step.name) {
+        return step.name;
+    }
+    const target = typeof step.target === 'string' ? step.target : JSON.stringify(step.target);
+    return `${step.action} ${target}`;
+}
+
+/**
+ * Run every step in order, stopping at the first failure. Remaining steps are
+ * reported as skipped.
+ */
+async function runScenario(page, scenario, ctx) {
+    const results = [];
+    let failed = false;
+
+    for (const step of scenario.steps) {
+        const result = {
+            number: step.number,
+            action: step.action,
+            description: describeStep(step),
+            status: 'skipped',
+            duration_ms: 0,
+            error: null,
+            output: null
+        };
+        results.push(result);
+
+        if (failed) {
+            continue;
+        }
+
+        const started = Date.now();
+        try {
+            const timeout = step.timeout || scenario.timeout || ctx.timeout;
+            result.output = await STEP_ACTIONS[step.action](page, { ...step, timeout }, ctx) || null;
+            result.status = 'passed';
+        } catch (e) {
+            result.status = 'failed';
+            result.error = e.message.split('\n')[0];
+            failed = true;
+        }
+        result.duration_ms = Date.now() - started;
+    }
+
+    return {
+        path: scenario.path,
+        name: scenario.name,
+        passed: !failed,
+        steps: results
+    };
+}
+
+/**
+ * Assertions: visible, hidden, text (optionally within selector), url, title, count (with selector).
+ */
+async function runAssertion(page, spec, timeout) {
+    if (typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error('assert expects an object such as { "visible": ".alert" }');
+    }
+
+    if (spec.visible) {
+        await page.locator(spec.visible).first().waitFor({ state: 'visible', timeout });
+    }
+
+    if (spec.hidden) {
+        await page.locator(spec.hidden).first().waitFor({ state: 'hidden', timeout });
+    }
+
+    if (spec.text !== undefined) {
+        const selector = spec.selector || 'body';
+        const expected = String(spec.text);
+        await poll(
+            async () => {
+                const text = await page.locator(selector).first().innerText({ timeout });
+                return text.includes(expected);
+            },
+            timeout,
+            `Expected text '${expected}' in '${selector}'`
+        );
+    }
+
+    if (spec.url) {
+        try {
+            await page.waitForURL(spec.url, { timeout });
+        } catch (e) {
+            throw new Error(`Expected URL '${spec.url}', got '${page.url()}'`);
+        }
+    }
+
+    if (spec.title !== undefined) {
+        let actual;
+        await poll(
+            async () => (actual = await page.title()) === String(spec.title),
+            timeout,
+            () => `Expected title '${spec.title}', got '${actual}'`
+        );
+    }
+
+    if (spec.count !== undefined) {
+        if (!spec.selector) {
+            throw new Error('assert count requires a selector');
+        }
+        let actual;
+        await poll(
+            async () => (actual = await page.locator(spec.selector).count()) === Number(spec.count),
+            timeout,
+            () => `Expected ${spec.count} element(s) matching '${spec.selector}', found ${actual}`
+        );
+    }
+}
+
+/**
+ * Re-run check until it returns true or the timeout passes.
+ */
+async function poll(check, timeout, message) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        try {
+            if (await check()) {
+                return;
+            }
+        } catch (e) {
+            // Element may not exist yet
+        }
+        if (Date.now() >= deadline) {
+            throw new Error(typeof message === 'function' ? message() : message);
+        }
+        await new Promise(r => setTimeout(r, 100));
+    }
+}
+
+module.exports = { STEP_ACTIONS, loadScenario, runScenario };
@@ -0,0 +1,292 @@
+/**
+ * Security audit
+ *
+ * Records Content Security Policy violations and mixed-content requests while
+ * the route runs, then checks the document response for security headers, the
+ * session and XSRF cookies for their HttpOnly, Secure and SameSite flags, and
+ * the page for forms posting without a CSRF token and password fields with
+ * autocomplete enabled. Each finding has a severity (low, medium, high).
+ *
+ * Checks that only make sense over HTTPS (HSTS, Secure cookies, mixed content)
+ * are skipped when the application is served over plain HTTP.
+ */
+
+const { sortBySeverity, countBySeverity, evaluateAudit } = require('./audit');
+
+const SECURITY_SEVERITIES = ['low', 'medium', 'high'];
+
+const XSRF_COOKIE = 'XSRF-TOKEN';
+
+// HSTS max-age below 180 days is too short to protect returning visitors
+const MIN_HSTS_MAX_AGE = 15552000;
+
+// Request types that can change the page when loaded insecurely
+const ACTIVE_CONTENT_TYPES = ['script', 'stylesheet', 'xhr', 'fetch', 'document', 'websocket', 'eventsource'];
+
+/**
+ * Record CSP violations and mixed-content requests of the page. Attach before
+ * navigating; returns the recorder to pass to runSecurityAudit().
+ */
+async function watchSecurity(page) {
+    const recorder = { violations: [], mixed_content: [] };
+
+    await page.exposeBinding('__headlessTesterCspViolation', (source, violation) => {
+        recorder.violations.push(violation);
+    });
+    await page.addInitScript(() => {
+        document.addEventListener('securitypolicyviolation', e => {
+            window.__headlessTesterCspViolation({
+                directive: e.effectiveDirective || e.violatedDirective,
+                blocked_uri: e.blockedURI || null,
+                source: e.sourceFile || null,
+                line: e.lineNumber || null,
+                disposition: e.disposition
+            });
+        });
+    });
+
+    const addMixed = (url, type) => {
+        if (!recorder.mixed_content.some(m => m.url === url)) {
+            recorder.mixed_content.push({ url, type });
+        }
+    };
+
+    page.on('request', request => {
+        // Following a link to an HTTP page is not mixed content
+        if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+            return;
+        }
+        let documentUrl;
+        try {
+            documentUrl = request.frame().url();
+        } catch (e) {
+            documentUrl = page.url();
+        }
+        if (documentUrl.startsWith('https:') && /^(http|ws):/.test(request.url())) {
+            addMixed(request.url(), request.resourceType());
+        }
+    });
+
+    // Blocked mixed content never becomes a request, only a console message
+    page.on('console', msg => {
+        const match = /^Mixed Content: .*? requested an insecure (\w+) '([^']+)'/.exec(msg.text());
+        if (match) {
+            addMixed(match[2], match[1] === 'script' || match[1] === 'stylesheet' ? match[1] : 'other');
+        }
+    });
+
+    return recorder;
+}
+
+/**
+ * Run every check and return { findings, counts, violations, mixed_content },
+ * findings most severe first.
+ */
+async function runSecurityAudit(page, context, response, recorder, options) {
+    const secure = response.url().startsWith('https:');
+    const headers = response.headers();
+    const setCookies = (await response.headersArray())
+        .filter(h => h.name.toLowerCase() === 'set-cookie')
+        .map(h => parseSetCookie(h.value));
+
+    const findings = [
+        ...checkHeaders(headers, secure),
+        ...checkCookies(setCookies, await context.cookies(), options.session_cookie, secure),
+        ...await evaluateAudit(page, scanPage, { origin: new URL(response.url()).origin }),
+        ...recorder.violations.map(v => ({
+            check: 'csp-violation',
+            severity: v.disposition === 'report' ? 'low' : 'medium',
+            subject: v.blocked_uri || v.directive,
+            message: `${v.disposition === 'report' ? 'Would violate' : 'Blocked by'} ${v.directive}`
+                + (v.source ? ` at ${v.source}${v.line ? ':' + v.line : ''}` : '')
+        })),
+        ...(secure ? recorder.mixed_content : []).map(m => ({
+            check: 'mixed-content',
+            severity: ACTIVE_CONTENT_TYPES.includes(m.type) ? 'high' : 'medium',
+            subject: m.url,
+            message: `Insecure ${m.type} requested by an HTTPS page`
+        }))
+    ];
+
+    sortBySeverity(findings, SECURITY_SEVERITIES);
+
+    return {
+        findings,
+        counts: countBySeverity(findings, SECURITY_SEVERITIES),
+        violations: recorder.violations,
+        mixed_content: secure ? recorder.mixed_content : []
+    };
+}
+
+function checkHeaders(headers, secure) {
+    const findings = [];
+    const add = (check, severity, subject, message) => findings.push({ check, severity, subject, message });
+
+    const csp = headers['content-security-policy'] || null;
+    const directives = parseCsp(csp || '');
+
+    if (!csp) {
+        if (headers['content-security-policy-report-only']) {
+            add('csp', 'low', 'Content-Security-Policy', 'Only a report-only policy is set; nothing is enforced');
+        } else {
+            add('csp', 'medium', 'Content-Security-Policy', 'No Content-Security-Policy header');
+        }
+    } else {
+        const scriptSources = directives['script-src'] || directives['default-src'] || [];
+        const nonceOrHash = scriptSources.some(s => /^'(nonce|sha256|sha384|sha512)-/.test(s));
+        if (scriptSources.includes("'unsafe-inline'") && !nonceOrHash) {
+            add('csp', 'low', 'Content-Security-Policy', "script-src allows 'unsafe-inline' without a nonce or hash");
+        }
+        if (scriptSources.includes("'unsafe-eval'")) {
+            add('csp', 'low', 'Content-Security-Policy', "script-src allows 'unsafe-eval'");
+        }
+    }
+
+    if (secure) {
+        const hsts = headers['strict-transport-security'];
+        const maxAge = hsts ? /max-age=(\d+)/i.exec(hsts) : null;
+        if (!hsts) {
+            add('hsts', 'medium', 'Strict-Transport-Security', 'No Strict-Transport-Security header');
+        } else if (!maxAge || parseInt(maxAge[1]) < MIN_HSTS_MAX_AGE) {
+            add('hsts', 'low', 'Strict-Transport-Security', `max-age is below ${MIN_HSTS_MAX_AGE} seconds (180 days)`);
+        }
+    }
+
+    const frameOptions = (headers['x-frame-options'] || '').trim().toUpperCase();
+    if (!['DENY', 'SAMEORIGIN'].includes(frameOptions) && !directives['frame-ancestors']) {
+        add('framing', 'medium', 'X-Frame-Options', 'Neither X-Frame-Options nor CSP frame-ancestors prevents framing (clickjacking)');
+    }
+
+    const referrerPolicy = (headers['referrer-policy'] || '').split(',').pop().trim().toLowerCase();
+    if (!referrerPolicy) {
+        add('referrer-policy', 'low', 'Referrer-Policy', 'No Referrer-Policy header');
+    } else if (referrerPolicy === 'unsafe-url') {
+        add('referrer-policy', 'medium', 'Referrer-Policy', 'unsafe-url sends full URLs, including query strings, to other sites');
+    }
+
+    if ((headers['x-content-type-options'] || '').trim().toLowerCase() !== 'nosniff') {
+        add('content-type-options', 'low', 'X-Content-Type-Options', 'X-Content-Type-Options is not nosniff');
+    }
+
+    return findings;
+}
+
+/**
+ * Directive name => sources of a CSP header.
+ */
+function parseCsp(value) {
+    const directives = {};
+    value.split(';').map(d => d.trim()).filter(Boolean).forEach(directive => {
+        const [name, ...sources] = directive.split(/\s+/);
+        directives[name.toLowerCase()] = sources;
+    });
+    return directives;
+}
+
+/**
+ * Name and attribute flags of a Set-Cookie header.
+ */
+function parseSetCookie(value) {
+    const [pair, ...attributes] = value.split(';').map(p => p.trim());
+    const names = attributes.map(a => a.split('=')[0].trim().toLowerCase());
+    const sameSite = attributes.find(a => /^samesite=/i.test(a));
+
+    return {
+        name: pair.split('=')[0].trim(),
+        http_only: names.includes('httponly'),
+        secure: names.includes('secure'),
+        same_site: sameSite ? sameSite.split('=')[1].trim().toLowerCase() : null
+    };
+}
+
+/**
+ * Flags of the session and XSRF cookies. The cookies set by the document
+ * response are checked as sent; cookies it did not set are checked as stored,
+ * where a missing SameSite cannot be told apart from the browser default.
+ */
+function checkCookies(setCookies, storedCookies, sessionCookie, secure) {
+    const findings = [];
+    const add = (check, severity, subject, message) => findings.push({ check, severity, subject, message });
+
+    [sessionCookie, XSRF_COOKIE].forEach(name => {
+        const sent = setCookies.filter(c => c.name === name).pop();
+        const stored = storedCookies.find(c => c.name === name);
+        const cookie = sent || (stored && {
+            name,
+            http_only: stored.httpOnly,
+            secure: stored.secure,
+            same_site: stored.sameSite.toLowerCase()
+        });
+        if (!cookie) {
+            return;
+        }
+
+        const isSession = name === sessionCookie;
+        const label = isSession ? 'Session cookie' : 'XSRF cookie';
+
+        // The XSRF cookie is meant to be read by JavaScript
+        if (isSession && !cookie.http_only) {
+            add('cookie-httponly', 'high', name, `${label} is readable from JavaScript (no HttpOnly)`);
+        }
+        if (secure && !cookie.secure) {
+            add('cookie-secure', isSession ? 'high' : 'medium', name, `${label} is also sent over plain HTTP (no Secure)`);
+        }
+        if (cookie.same_site === null) {
+            add('cookie-samesite', 'low', name, `${label} has no SameSite attribute and relies on the browser default`);
+        } else if (cookie.same_site === 'none') {
+            add('cookie-samesite', 'medium', name, `${label} is sent with cross-site requests (SameSite=None)`);
+        }
+    });
+
+    return findings;
+}
+
+/**
+ * Runs inside the page, with cssPath() from audit.js.
+ */
+function scanPage({ origin }) {
+    const findings = [];
+
+    document.querySelectorAll('form').forEach(form => {
+        const method = (form.getAttribute('method') || 'get').toLowerCase();
+        let action;
+        try {
+            action = new URL(form.getAttribute('action') || location.href, location.href);
+        } catch (e) {
+            return;
+        }
+        if (method !== 'post' || action.origin !== origin) {
+            return;
+        }
+        if (!form.querySelector('input[name="_token"]')) {
+            findings.push({
+                check: 'form-csrf',
+                severity: 'medium',
+                subject: cssPath(form),
+                message: `Form posting to ${action.pathname} has no _token field`
+            });
+        }
+    });
+
+    document.querySelectorAll('input[type="password"]').forEach(input => {
+        const autocomplete = (input.getAttribute('autocomplete') || '').trim().toLowerCase();
+        if (autocomplete === '' || autocomplete === 'on') {
+            findings.push({
+                check: 'password-autocomplete',
+                severity: 'low',
+                subject: cssPath(input),
+                message: autocomplete === ''
+                    ? 'Password field without an autocomplete attribute'
+                    : 'Password field with autocomplete="on"'
+            });
+        }
+    });
+
+    return findings;
+}
+
+module.exports = {
+    SECURITY_SEVERITIES,
+    watchSecurity,
+    runSecurityAudit
+};
@@ -0,0 +1,480 @@
+/**
+ * Persistent browser session
+ *
+ * --session-start launches a detached copy of browser-test.js that keeps one
+ * authenticated page open and listens on a local socket. Later invocations
+ * with --session send commands (goto, eval, click, ...) to that live page
+ * instead of relaunching the browser and reloading the route.
+ *
+ * The protocol is one JSON object per line in each direction:
+ *
+ *   -> {"command": "eval", "argument": "return document.title"}
+ *   <- {"ok": true, "report": {...}}
+ *   <- {"ok": false, "error": "..."}
+ *
+ * Replies are reports (see report.js) with only the command's sections set.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { evaluateScript } = require('./evaluate');
+const { watchLog } = require('./laravel-log');
+const { deviceContextOptions } = require('./devices');
+const { emulationContextOptions } = require('./emulation');
+const { storageStateContextOptions, restoreSessionStorage } = require('./storage-state');
+const { finishConsole, dedupeEntries } = require('./console');
+const { preparePage, dumpElement, collectCookies, takeScreenshot, saveState } = require('./route-test');
+const { createReport, addFailure, printSessionReport } = require('./report');
+
+const SESSION_COMMANDS = [
+    ['goto <route>', 'Open a route in the session page'],
+    ['status', 'Show the current URL and status'],
+    ['eval <code>', 'Run async JavaScript in the page and show the result'],
+    ['click <selector>', 'Click an element and wait for the page to settle'],
+    ['dump-element <selector>', 'Show the HTML of an element'],
+    ['screenshot <path> [width]', 'Save a full-page screenshot'],
+    ['console', 'Show console output since the last goto'],
+    ['xhr-list', 'List XHR/fetch requests since the last goto'],
+    ['cookies', 'Show the cookies of the session'],
+    ['save-state <path>', 'Save cookies and storage to a state file'],
+    ['stop', 'Close the browser and end the session']
+];
+
+// An unused session shuts itself down so it cannot linger forever
+const IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Run the session: open the route, then answer commands on the socket until
+ * stopped. Does not return; the process exits when the session ends.
+ */
+async function serveSession(browser, socketPath, route, options, resources = {}) {
+    const contextOptions = { ...deviceContextOptions(options), ...emulationContextOptions(options) };
+    contextOptions.viewport = contextOptions.viewport || { width: options.screenshot_width || 1920, height: 1080 };
+    const { width, height } = contextOptions.viewport;
+    const context = await browser.newContext({ ...contextOptions, ...storageStateContextOptions(resources.storageState) });
+    await restoreSessionStorage(context, resources.storageState);
+    const page = await context.newPage();
+
+    // Collectors stay attached for the whole session and are emptied on goto
+    const state = {
+        report: createReport({ ...options, console_log: true, xhr_list: true }, route),
+        width,
+        height,
+        navigationError: null
+    };
+    await preparePage(page, state.report, options, resources.mockRules);
+
+    // Keep status and URL current when clicks or scripts navigate the page
+    page.on('response', response => {
+        if (response.request().isNavigationRequest() && response.frame() === page.mainFrame()) {
+            const headers = response.headers();
+            state.report.status = response.status();
+            state.report.final_url = response.url();
+            state.report.content_type = headers['content-type'] ? headers['content-type'].split(';')[0] : null;
+            state.report.redirect_location = headers['location'] || null;
+        }
+    });
+
+    await navigate(page, state, route, options);
+
+    if (options.offline) {
+        await context.setOffline(true);
+    }
+
+    const handlers = createHandlers(page, context, state, options);
+    let queue = Promise.resolve();
+    let idleTimer = null;
+
+    const shutdown = async () => {
+        clearTimeout(idleTimer);
+        server.close();
+        await browser.close().catch(() => {});
+        removeSocket(socketPath);
+        process.exit(0);
+    };
+
+    const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => {
+            console.log('Session idle, shutting down');
+            shutdown();
+        }, IDLE_TIMEOUT_MS);
+    };
+
+    const server = net.createServer(socket => {
+        socket.on('error', () => {});
+        readline.createInterface({ input: socket }).on('line', line => {
+            // Commands run one at a time against the single page
+            queue = queue.then(async () => {
+                resetIdleTimer();
+                const request = parseRequest(line);
+                const reply = await runCommand(handlers, request, options);
+                socket.write(JSON.stringify(reply) + '\n');
+
+                if (request.command === 'stop') {
+                    socket.end();
+                    await shutdown();
+                }
+            });
+        });
+    });
+
+    removeSocket(socketPath);
+    server.listen(socketPath, () => {
+        console.log(`Session listening on ${socketPath}`);
+        resetIdleTimer();
+    });
+
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+}
+
+function createHandlers(page, context, state, options) {
+    const pageReport = () => {
+        const report = createReport(options, state.report.route);
+        report.url = page.url();
+        report.status = state.report.status;
+        report.final_url = state.report.final_url;
+        report.content_type = state.report.content_type;
+        report.redirect_location = state.report.redirect_location;
+        report.console.errors = dedupeEntries(state.report.console.errors);
+        report.console.uncaught = dedupeEntries(state.report.console.uncaught);
+        report.network_failures = [...state.report.network_failures];
+        if (state.navigationError) {
+            addFailure(report, 'navigation', state.navigationError, true);
+        }
+        return report;
+    };
+
+    const required = (argument, usage) => {
+        if (!argument) {
+            throw new Error(`Usage: ${usage}`);
+        }
+        return argument;
+    };
+
+    return {
+        async goto(argument) {
+            await navigate(page, state, required(argument, 'goto <route>'), options);
+            return pageReport();
+        },
+
+        async status() {
+            return pageReport();
+        },
+
+        async eval(argument) {
+            const report = createReport(options, state.report.route);
+            report.eval = await evaluateScript(page, required(argument, 'eval <code>'));
+            return report;
+        },
+
+        async click(argument) {
+            await page.click(required(argument, 'click <selector>'), { timeout: options.timeout });
+            await settle(page, options.timeout);
+            return pageReport();
+        },
+
+        async 'dump-element'(argument) {
+            const report = createReport(options, state.report.route);
+            report.element = await dumpElement(page, required(argument, 'dump-element <selector>'));
+            return report;
+        },
+
+        async screenshot(argument) {
+            const [file, width] = required(argument, 'screenshot <path> [width]').split(/\s+/);
+            if (width) {
+                state.width = parseInt(width) || state.width;
+                await page.setViewportSize({ width: state.width, height: state.height });
+            }
+
+            const report = createReport(options, state.report.route);
+            report.screenshot = await takeScreenshot(page, file, state.width);
+            return report;
+        },
+
+        async console() {
+            const report = createReport(options, state.report.route);
+            report.console = await finishConsole(page, state.report.console);
+            return report;
+        },
+
+        async 'xhr-list'() {
+            const report = createReport(options, state.report.route);
+            report.xhr = [...state.report.xhr];
+            return report;
+        },
+
+        async cookies() {
+            const report = createReport(options, state.report.route);
+            report.cookies = await collectCookies(context);
+            return report;
+        },
+
+        async 'save-state'(argument) {
+            const report = createReport(options, state.report.route);
+            const file = required(argument, 'save-state <path>');
+            report.state = { ...report.state, saved: await saveState(context, page, file) };
+            return report;
+        },
+
+        async stop() {
+            return createReport(options, state.report.route);
+        }
+    };
+}
+
+/**
+ * Open a route, starting the collectors afresh.
+ */
+async function navigate(page, state, route, options) {
+    const { report } = state;
+    route = route.startsWith('/') ? route : '/' + route;
+
+    report.route = route;
+    report.url = options.base_url + route;
+    report.console.errors.length = 0;
+    report.console.messages.length = 0;
+    report.console.uncaught.length = 0;
+    report.xhr.length = 0;
+    report.network_failures.length = 0;
+    state.navigationError = null;
+
+    try {
+        const response = await page.goto(report.url, { waitUntil: 'networkidle', timeout: options.timeout });
+        if (response) {
+            report.status = response.status();
+            report.final_url = response.url();
+        }
+        await settle(page, options.timeout);
+    } catch (e) {
+        state.navigationError = e.message.split('\n')[0];
+    }
+}
+
+/**
+ * Wait for the network to go quiet, then give scripts a moment to render.
+ */
+async function settle(page, timeout) {
+    await page.waitForLoadState('networkidle', { timeout }).catch(() => {});
+    await new Promise(r => setTimeout(r, 300));
+}
+
+function parseRequest(line) {
+    try {
+        const request = JSON.parse(line);
+        return { command: String(request.command || ''), argument: String(request.argument || '').trim() };
+    } catch (e) {
+        return { command: '', argument: '' };
+    }
+}
+
+async function runCommand(handlers, { command, argument }, options) {
+    if (!Object.prototype.hasOwnProperty.call(handlers, command)) {
+        return { ok: false, error: `Unknown command '${command}' (expected: ${Object.keys(handlers).join(', ')})` };
+    }
+
+    const log = options.laravel_log_path
+        ? watchLog(options.laravel_log_path, { daily: options.laravel_log_daily })
+        : null;
+
+    try {
+        const report = await handlers[command](argument);
+        if (log) {
+            report.laravel_log = log.read();
+        }
+        report.passed = report.failures.length === 0 && !(report.eval && report.eval.error);
+        report.exit_code = report.passed ? 0 : 1;
+        return { ok: true, report };
+    } catch (e) {
+        return { ok: false, error: e.message.split('\n')[0] };
+    }
+}
+
+function removeSocket(socketPath) {
+    if (process.platform !== 'win32' && fs.existsSync(socketPath)) {
+        fs.unlinkSync(socketPath);
+    }
+}
+
+/**
+ * Whether a session answers on the socket.
+ */
+function isSessionRunning(socketPath) {
+    return new Promise(resolve => {
+        const socket = net.connect(socketPath);
+        socket.on('connect', () => {
+            socket.end();
+            resolve(true);
+        });
+        socket.on('error', () => resolve(false));
+    });
+}
+
+/**
+ * Launch the session as a detached process and wait until it is listening.
+ * Its output goes to <socket>.log.
+ */
+async function startSessionDaemon(socketPath, argv, timeout) {
+    if (await isSessionRunning(socketPath)) {
+        throw new Error(`A browser session is already running on ${socketPath}`);
+    }
+
+    const logFile = `${socketPath}.log`;
+    const out = fs.openSync(logFile, 'w');
+    const child = spawn(process.execPath, [
+        process.argv[1],
+        ...argv.filter(arg => !arg.startsWith('--session-start=')),
+        `--session-serve=${socketPath}`
+    ], { detached: true, stdio: ['ignore', out, out] });
+    fs.closeSync(out);
+
+    let exited = false;
+    child.on('exit', () => {
+        exited = true;
+    });
+
+    // Allow for the browser launch plus the first page load
+    const deadline = Date.now() + timeout + 15000;
+    while (!exited && Date.now() < deadline) {
+        if (await isSessionRunning(socketPath)) {
+            child.unref();
+            return;
+        }
+        await new Promise(r => setTimeout(r, 250));
+    }
+
+    if (!exited) {
+        child.kill();
+    }
+
+    const output = fs.existsSync(logFile) ? fs.readFileSync(logFile, 'utf8').trim() : '';
+    throw new Error(`Session did not start${output ? `:\n${output}` : ''}`);
+}
+
+/**
+ * Send one command and resolve with the reply.
+ */
+function sendSessionCommand(socketPath, command, argument = '') {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(socketPath);
+
+        const lines = readline.createInterface({ input: socket });
+        const fail = e => {
+            if (e.code === 'ENOENT' || e.code === 'ECONNREFUSED') {
+                reject(new Error(`No browser session is running on ${socketPath}`));
+            } else {
+                reject(e);
+            }
+        };
+
+        socket.on('error', fail);
+        lines.on('error', fail);
+
+        socket.on('connect', () => {
+            socket.write(JSON.stringify({ command, argument }) + '\n');
+        });
+
+        lines.once('line', line => {
+            socket.end();
+            try {
+                resolve(JSON.parse(line));
+            } catch (e) {
+                reject(new Error(`Invalid reply from session: ${line}`));
+            }
+        });
+
+        // The session closed without answering
+        socket.on('close', () => reject(new Error('Session closed the connection')));
+    });
+}
+
+/**
+ * Run a command given as words (["eval", "document.title"]) or, with no
+ * command or "repl", an interactive prompt. Returns the exit code.
+ */
+async function runSessionClient(socketPath, words, options) {
+    const [command = 'repl', ...rest] = words;
+
+    if (command === 'repl') {
+        return runSessionRepl(socketPath, options);
+    }
+
+    try {
+        return printReply(await sendSessionCommand(socketPath, command, prepareArgument(command, rest.join(' '))), options);
+    } catch (e) {
+        console.error(`Error: ${e.message}`);
+        return 1;
+    }
+}
+
+async function runSessionRepl(socketPath, options) {
+    if (!(await isSessionRunning(socketPath))) {
+        console.error(`Error: No browser session is running on ${socketPath}`);
+        return 1;
+    }
+
+    console.log(`Connected to ${socketPath}. Type "help" for commands, "exit" to leave the session running.`);
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: 'browser> ' });
+    rl.prompt();
+
+    for await (const line of rl) {
+        const command = line.trim().split(/\s+/)[0];
+        const argument = line.trim().substring(command.length).trim();
+
+        if (command === 'exit' || command === 'quit') {
+            break;
+        } else if (command === 'help') {
+            printSessionHelp();
+        } else if (command) {
+            try {
+                printReply(await sendSessionCommand(socketPath, command, prepareArgument(command, argument)), options);
+            } catch (e) {
+                console.error(`Error: ${e.message}`);
+                break;
+            }
+            if (command === 'stop') {
+                break;
+            }
+        }
+        rl.prompt();
+    }
+
+    rl.close();
+    return 0;
+}
+
+/**
+ * Screenshot and state paths are relative to the client, not the session process.
+ */
+function prepareArgument(command, argument) {
+    if (command === 'screenshot' && argument) {
+        const [file, ...rest] = argument.split(/\s+/);
+        return [path.resolve(file), ...rest].join(' ');
+    }
+    if (command === 'save-state' && argument) {
+        return path.resolve(argument);
+    }
+    return argument;
+}
+
+function printReply(reply, options) {
+    if (!reply.ok) {
+        console.error(`Error: ${reply.error}`);
+        return 1;
+    }
+    printSessionReport(reply.report, options);
+    return reply.report.exit_code;
+}
+
+function printSessionHelp() {
+    const width = Math.max(...SESSION_COMMANDS.map(([usage]) => usage.length));
+    SESSION_COMMANDS.forEach(([usage, description]) => console.log(`  ${usage.padEnd(width)}  ${description}`));
+    console.log(`  ${'exit'.padEnd(width)}  Leave the prompt, keeping the session running`);
+}
+
+module.exports = { SESSION_COMMANDS, serveSession, startSessionDaemon, sendSessionCommand, runSessionClient };
@@ -0,0 +1,315 @@
+/**
+ * DOM snapshots
+ *
+ * Serialises an element into stable, pretty-printed HTML and compares it
+ * with a snapshot stored as <snapshot dir>/<name>.html. Values that change on
+ * every request are scrubbed first:
+ *
+ *   - the CSRF token (the _token field, the csrf-token meta tag and any other
+ *     place the token appears) becomes [csrf]
+ *   - volatile attributes are removed: nonces, Livewire ids and state, and
+ *     any attributes from the snapshots config (a trailing * matches a prefix)
+ *   - text matching the configured volatile patterns becomes [volatile]
+ *
+ * On a mismatch the current HTML is saved next to the snapshot as
+ * <name>.actual.html and a unified diff is reported.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { removeIfExists } = require('./util');
+
+const DEFAULT_VOLATILE_ATTRIBUTES = ['nonce', 'wire:id', 'wire:snapshot', 'wire:effects', 'wire:initial-data'];
+
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// Elements whose text is kept as it is
+const RAW_TEXT_ELEMENTS = ['pre', 'textarea', 'script', 'style'];
+
+// Longest line for an element with its text kept on one line
+const INLINE_WIDTH = 100;
+
+// Lines of context around each change in the diff
+const DIFF_CONTEXT = 3;
+
+/**
+ * Volatile attributes and text patterns from the snapshots config JSON.
+ */
+function loadSnapshotSettings(json) {
+    let config = {};
+    try {
+        config = json ? JSON.parse(json) || {} : {};
+    } catch (e) {
+        config = {};
+    }
+
+    return {
+        attributes: [...DEFAULT_VOLATILE_ATTRIBUTES, ...(config.volatile_attributes || [])],
+        patterns: (config.volatile_patterns || []).map(pattern => new RegExp(pattern, 'g'))
+    };
+}
+
+/**
+ * Read the element as a tree of { tag, attrs, children } and { text } nodes,
+ * along with the page's CSRF token. Returns null when nothing matches.
+ */
+async function readElement(page, selector) {
+    return page.evaluate(sel => {
+        const element = document.querySelector(sel);
+        if (!element) {
+            return null;
+        }
+
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        const field = document.querySelector('input[name="_token"]');
+        const token = (meta && meta.getAttribute('content')) || (field && field.value) || null;
+
+        const read = node => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                return { text: node.nodeValue };
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+                return null;
+            }
+            return {
+                tag: node.tagName.toLowerCase(),
+                attrs: Array.from(node.attributes).map(a => [a.name, a.value]),
+                children: Array.from(node.childNodes).map(read).filter(Boolean)
+            };
+        };
+
+        return { tree: read(element), token };
+    }, selector);
+}
+
+function isVolatileAttribute(name, attributes) {
+    return attributes.some(pattern => pattern.endsWith('*')
+        ? name.startsWith(pattern.slice(0, -1))
+        : name === pattern);
+}
+
+/**
+ * Scrub tokens and volatile values from a text or attribute value.
+ */
+function scrub(value, token, settings) {
+    let scrubbed = token ? value.split(token).join('[csrf]') : value;
+    settings.patterns.forEach(pattern => {
+        scrubbed = scrubbed.replace(pattern, '[volatile]');
+    });
+    return scrubbed;
+}
+
+function escapeText(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function escapeAttribute(value) {
+    return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+/**
+ * Pretty-print a tree from readElement(): one element or text per line,
+ * attributes sorted, whitespace collapsed outside raw text elements.
+ */
+function formatTree(node, token, settings, depth = 0, raw = false) {
+    const indent = '  '.repeat(depth);
+
+    if (node.text !== undefined) {
+        const text = raw ? node.text : node.text.replace(/\s+/g, ' ').trim();
+        return text ? [indent + escapeText(scrub(text, token, settings))] : [];
+    }
+
+    const attrs = node.attrs
+        .filter(([name]) => !isVolatileAttribute(name, settings.attributes))
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, value]) => value === '' ? ` ${name}` : ` ${name}="${escapeAttribute(scrub(value, token, settings))}"`)
+        .join('');
+    const open = `${indent}<${node.tag}${attrs}>`;
+
+    if (VOID_ELEMENTS.includes(node.tag)) {
+        return [open];
+    }
+
+    const isRaw = raw || RAW_TEXT_ELEMENTS.includes(node.tag);
+    const children = node.children.flatMap(child => formatTree(child, token, settings, depth + 1, isRaw));
+    const close = `</${node.tag}>`;
+
+    if (children.length === 0) {
+        return [open + close];
+    }
+
+    // A lone short text stays on the line of its element
+    if (children.length === 1 && node.children.every(c => c.text !== undefined) && !isRaw) {
+        const inline = open + children[0].trim() + close;
+        if (inline.length <= INLINE_WIDTH) {
+            return [inline];
+        }
+    }
+
+    return [open, ...children, indent + close];
+}
+
+/**
+ * The stable HTML of the element matching a selector, or null if there is none.
+ */
+async function serializeElement(page, selector, settings) {
+    const element = await readElement(page, selector);
+    return element ? formatTree(element.tree, element.token, settings).join('\n') + '\n' : null;
+}
+
+/**
+ * Line operations turning a into b: [' ' | '-' | '+', line]. Common leading
+ * and trailing lines are skipped before the LCS table is built.
+ */
+function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const ops = a.slice(0, start).map(line => [' ', line]);
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const m = midA.length;
+    const n = midB.length;
+
+    // Very large changes are shown as replaced blocks instead of a minimal diff
+    if (m * n > 4000000) {
+        midA.forEach(line => ops.push(['-', line]));
+        midB.forEach(line => ops.push(['+', line]));
+    } else {
+        const lcs = new Uint32Array((m + 1) * (n + 1));
+        for (let i = m - 1; i >= 0; i--) {
+            for (let j = n - 1; j >= 0; j--) {
+                lcs[i * (n + 1) + j] = midA[i] === midB[j]
+                    ? lcs[(i + 1) * (n + 1) + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * (n + 1) + j], lcs[i * (n + 1) + j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < m && j < n) {
+            if (midA[i] === midB[j]) {
+                ops.push([' ', midA[i++]]);
+                j++;
+            } else if (lcs[(i + 1) * (n + 1) + j] >= lcs[i * (n + 1) + j + 1]) {
+                ops.push(['-', midA[i++]]);
+            } else {
+                ops.push(['+', midB[j++]]);
+            }
+        }
+        while (i < m) ops.push(['-', midA[i++]]);
+        while (j < n) ops.push(['+', midB[j++]]);
+    }
+
+    a.slice(endA).forEach(line => ops.push([' ', line]));
+    return ops;
+}
+
+/**
+ * Unified diff of two texts, or an empty string when they are equal.
+ */
+function unifiedDiff(expected, actual, expectedLabel, actualLabel) {
+    const lines = text => text.replace(/\n$/, '').split('\n');
+    const ops = diffLines(lines(expected), lines(actual));
+    const changes = ops.map((op, k) => (op[0] === ' ' ? -1 : k)).filter(k => k !== -1);
+    if (changes.length === 0) {
+        return '';
+    }
+
+    // Line numbers before each operation
+    const oldLine = [];
+    const newLine = [];
+    let o = 1;
+    let n = 1;
+    ops.forEach(([type]) => {
+        oldLine.push(o);
+        newLine.push(n);
+        if (type !== '+') o++;
+        if (type !== '-') n++;
+    });
+
+    // Changes closer than twice the context share a hunk
+    const hunks = [];
+    changes.forEach(k => {
+        const last = hunks[hunks.length - 1];
+        if (last && k - last.end <= DIFF_CONTEXT * 2) {
+            last.end = k;
+        } else {
+            hunks.push({ start: k, end: k });
+        }
+    });
+
+    const output = [`--- ${expectedLabel}`, `+++ ${actualLabel}`];
+    hunks.forEach(hunk => {
+        const from = Math.max(0, hunk.start - DIFF_CONTEXT);
+        const to = Math.min(ops.length, hunk.end + DIFF_CONTEXT + 1);
+        const slice = ops.slice(from, to);
+        const oldCount = slice.filter(([type]) => type !== '+').length;
+        const newCount = slice.filter(([type]) => type !== '-').length;
+
+        output.push(`@@ -${oldCount === 0 ? oldLine[from] - 1 : oldLine[from]},${oldCount} +${newCount === 0 ? newLine[from] - 1 : newLine[from]},${newCount} @@`);
+        slice.forEach(([type, line]) => output.push(type + line));
+    });
+
+    return output.join('\n');
+}
+
+/**
+ * Snapshot the selected element and compare it with the stored snapshot,
+ * creating or updating the snapshot when needed.
+ */
+async function compareWithSnapshot(page, options) {
+    const file = path.join(options.snapshot_dir, `${options.snapshot}.html`);
+    const actualFile = path.join(options.snapshot_dir, `${options.snapshot}.actual.html`);
+    const selector = options.dump_element || 'body';
+
+    const result = {
+        name: options.snapshot,
+        selector,
+        path: file,
+        actual: null,
+        status: null,
+        diff: null,
+        error: null
+    };
+
+    const html = await serializeElement(page, selector, options.snapshot_settings);
+    if (html === null) {
+        result.status = 'error';
+        result.error = `Element '${selector}' not found`;
+        return result;
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const exists = fs.existsSync(file);
+
+    if (!exists || options.update_snapshots) {
+        fs.writeFileSync(file, html);
+        removeIfExists(actualFile);
+        result.status = exists ? 'updated' : 'created';
+        return result;
+    }
+
+    const diff = unifiedDiff(fs.readFileSync(file, 'utf8'), html, file, actualFile);
+    if (diff) {
+        fs.writeFileSync(actualFile, html);
+        result.actual = actualFile;
+        result.diff = diff;
+        result.status = 'changed';
+    } else {
+        removeIfExists(actualFile);
+        result.status = 'matched';
+    }
+
+    return result;
+}
+
+module.exports = { loadSnapshotSettings, serializeElement, formatTree, unifiedDiff, compareWithSnapshot };
@@ -0,0 +1,187 @@
+/**
+ * Source maps
+ *
+ * Resolves locations in built scripts (line and column of a minified Vite or
+ * Mix bundle) to the original source file, using the .map files next to the
+ * scripts in the application's public directory. Only scripts served from the
+ * application's own origin are looked up, and only inside the public
+ * directory. Maps are read once and cached; a script without a map resolves
+ * to null.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+/**
+ * Create a resolver for scripts of baseUrl served from publicPath. The
+ * resolver takes a URL and a 1-based line and column and returns
+ * { source, line, column, name } or null.
+ */
+function createSourceMapResolver(publicPath, baseUrl) {
+    const maps = new Map();
+
+    const root = publicPath ? path.resolve(publicPath) : null;
+    const origin = new URL(baseUrl).origin;
+
+    const mapFor = url => {
+        if (maps.has(url)) {
+            return maps.get(url);
+        }
+        let map = null;
+        try {
+            map = loadMap(url);
+        } catch (e) {
+            // Unreadable or invalid maps resolve nothing
+        }
+        maps.set(url, map);
+        return map;
+    };
+
+    const loadMap = url => {
+        const parsed = new URL(url);
+        if (parsed.origin !== origin) {
+            return null;
+        }
+        const script = path.join(root, decodeURIComponent(parsed.pathname));
+        if (!script.startsWith(root + path.sep)) {
+            return null;
+        }
+
+        let mapFile = script + '.map';
+        if (!fs.existsSync(mapFile)) {
+            const reference = fs.existsSync(script) ? sourceMappingUrl(fs.readFileSync(script, 'utf8')) : null;
+            if (!reference || reference.startsWith('data:')) {
+                return null;
+            }
+            mapFile = path.resolve(path.dirname(script), decodeURIComponent(reference.split('?')[0]));
+            if (!mapFile.startsWith(root + path.sep) || !fs.existsSync(mapFile)) {
+                return null;
+            }
+        }
+
+        return parseSourceMap(JSON.parse(fs.readFileSync(mapFile, 'utf8')), path.dirname(mapFile), path.dirname(root));
+    };
+
+    return (url, line, column) => {
+        if (!root || !url || !line || !/^https?:/.test(url)) {
+            return null;
+        }
+        const map = mapFor(url.split(/[?#]/)[0]);
+        return map ? lookup(map, line - 1, column - 1) : null;
+    };
+}
+
+/**
+ * The sourceMappingURL comment at the end of a script, if any.
+ */
+function sourceMappingUrl(code) {
+    const match = /\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/.exec(code.slice(-1000));
+    return match ? match[1] : null;
+}
+
+/**
+ * Decode a version 3 source map. Sources are made relative to the application
+ * root, so they read as resources/js/app.js.
+ */
+function parseSourceMap(raw, mapDir, appRoot) {
+    if (raw.version !== 3 || typeof raw.mappings !== 'string') {
+        return null;
+    }
+
+    const sourceRoot = raw.sourceRoot || '';
+    const sources = (raw.sources || []).map(source => {
+        const joined = sourceRoot ? sourceRoot.replace(/\/?$/, '/') + source : source;
+        if (/^[a-z][\w+.-]*:/i.test(joined)) {
+            return joined;
+        }
+        return path.relative(appRoot, path.resolve(mapDir, joined)).split(path.sep).join('/');
+    });
+
+    return { sources, names: raw.names || [], lines: decodeMappings(raw.mappings) };
+}
+
+/**
+ * Decode the mappings into one list per generated line of
+ * [column, source, line, column, name] segments, all 0-based.
+ */
+function decodeMappings(mappings) {
+    const lines = [];
+    const state = [0, 0, 0, 0];
+
+    mappings.split(';').forEach(line => {
+        let column = 0;
+        const segments = [];
+        line.split(',').filter(Boolean).forEach(segment => {
+            const values = decodeVlq(segment);
+            column += values[0];
+            if (values.length >= 4) {
+                state[0] += values[1];
+                state[1] += values[2];
+                state[2] += values[3];
+                if (values.length >= 5) {
+                    state[3] += values[4];
+                }
+                segments.push([column, state[0], state[1], state[2], values.length >= 5 ? state[3] : null]);
+            }
+        });
+        lines.push(segments);
+    });
+
+    return lines;
+}
+
+function decodeVlq(segment) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of segment) {
+        const digit = BASE64.indexOf(char);
+        if (digit === -1) {
+            throw new Error(`Invalid mapping character '${char}'`);
+        }
+        value += (digit & 31) << shift;
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+            value = 0;
+            shift = 0;
+        }
+    }
+
+    return values;
+}
+
+/**
+ * The original position of a 0-based generated position: the last segment on
+ * the line that starts at or before the column.
+ */
+function lookup(map, line, column) {
+    const segments = map.lines[line];
+    if (!segments || segments.length === 0) {
+        return null;
+    }
+
+    let found = null;
+    for (const segment of segments) {
+        if (segment[0] > column) {
+            break;
+        }
+        found = segment;
+    }
+    if (!found) {
+        return null;
+    }
+
+    return {
+        source: map.sources[found[1]] || null,
+        line: found[2] + 1,
+        column: found[3] + 1,
+        name: found[4] !== null ? map.names[found[4]] || null : null
+    };
+}
+
+module.exports = { createSourceMapResolver };
@@ -0,0 +1,165 @@
+/**
+ * Browser storage state
+ *
+ * State files use Playwright's storage state format, cookies plus storage per
+ * origin, so they can be shared with Playwright tests:
+ *
+ *   {
+ *     "cookies": [{ "name": "...", "value": "...", "domain": "...", "path": "/", ... }],
+ *     "origins": [{
+ *       "origin": "http://localhost",
+ *       "localStorage": [{ "name": "onboarding_dismissed", "value": "1" }],
+ *       "sessionStorage": [{ "name": "...", "value": "..." }]
+ *     }]
+ *   }
+ *
+ * sessionStorage is an addition to Playwright's format. --set-cookie and
+ * --set-local-storage add to the loaded state for the application's origin,
+ * so everything is in place before the first navigation.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Parse a name=value option.
+ */
+function parseKeyValue(value, option) {
+    const index = value.indexOf('=');
+    if (index < 1) {
+        throw new Error(`${option} must look like name=value, got '${value}'`);
+    }
+    return [value.substring(0, index), value.substring(index + 1)];
+}
+
+/**
+ * The storage state to start the run with, or null for a blank context.
+ */
+function buildStorageState(options) {
+    if (!options.load_state && options.set_cookie.length === 0 && options.set_local_storage.length === 0) {
+        return null;
+    }
+
+    const state = { cookies: [], origins: [] };
+
+    if (options.load_state) {
+        let loaded;
+        try {
+            loaded = JSON.parse(fs.readFileSync(options.load_state, 'utf8'));
+        } catch (e) {
+            throw new Error(`Could not read state file ${options.load_state}: ${e.message}`);
+        }
+        if (!loaded || !Array.isArray(loaded.cookies) || !Array.isArray(loaded.origins)) {
+            throw new Error(`State file ${options.load_state} needs "cookies" and "origins" arrays`);
+        }
+        state.cookies = loaded.cookies;
+        state.origins = loaded.origins;
+    }
+
+    const baseUrl = new URL(options.base_url);
+
+    options.set_cookie.forEach(([name, value]) => {
+        state.cookies = state.cookies.filter(c => !(c.name === name && c.domain === baseUrl.hostname));
+        state.cookies.push({
+            name,
+            value,
+            domain: baseUrl.hostname,
+            path: '/',
+            expires: -1,
+            httpOnly: false,
+            secure: baseUrl.protocol === 'https:',
+            sameSite: 'Lax'
+        });
+    });
+
+    if (options.set_local_storage.length > 0) {
+        let origin = state.origins.find(o => o.origin === baseUrl.origin);
+        if (!origin) {
+            origin = { origin: baseUrl.origin, localStorage: [] };
+            state.origins.push(origin);
+        }
+        origin.localStorage = origin.localStorage || [];
+
+        options.set_local_storage.forEach(([name, value]) => {
+            origin.localStorage = origin.localStorage.filter(item => item.name !== name);
+            origin.localStorage.push({ name, value });
+        });
+    }
+
+    return state;
+}
+
+/**
+ * Browser context options restoring the cookies and localStorage of a state.
+ */
+function storageStateContextOptions(state) {
+    if (!state) {
+        return {};
+    }
+
+    return {
+        storageState: {
+            cookies: state.cookies,
+            origins: state.origins.map(o => ({ origin: o.origin, localStorage: o.localStorage || [] }))
+        }
+    };
+}
+
+/**
+ * Playwright restores cookies and localStorage itself; sessionStorage is
+ * filled in by an init script. Keys the page already set are left alone,
+ * so the page's own changes survive later navigations.
+ */
+async function restoreSessionStorage(context, state) {
+    const origins = (state ? state.origins : []).filter(o => Array.isArray(o.sessionStorage) && o.sessionStorage.length > 0);
+    if (origins.length === 0) {
+        return;
+    }
+
+    await context.addInitScript(entries => {
+        const origin = entries.find(o => o.origin === window.location.origin);
+        if (!origin) {
+            return;
+        }
+        origin.sessionStorage.forEach(({ name, value }) => {
+            if (window.sessionStorage.getItem(name) === null) {
+                window.sessionStorage.setItem(name, value);
+            }
+        });
+    }, origins);
+}
+
+/**
+ * Write the context's cookies and storage, with the sessionStorage of the
+ * page's origin, to a state file.
+ */
+async function saveStorageState(context, page, file) {
+    const state = await context.storageState();
+
+    const session = await page.evaluate(() => ({
+        origin: window.location.origin,
+        items: Object.keys(sessionStorage).map(name => ({ name, value: sessionStorage.getItem(name) }))
+    })).catch(() => null);
+
+    if (session && session.items.length > 0) {
+        let origin = state.origins.find(o => o.origin === session.origin);
+        if (!origin) {
+            origin = { origin: session.origin, localStorage: [] };
+            state.origins.push(origin);
+        }
+        origin.sessionStorage = session.items;
+    }
+
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(state, null, 2) + '\n');
+
+    return { cookies: state.cookies.length, origins: state.origins.length };
+}
+
+module.exports = {
+    parseKeyValue,
+    buildStorageState,
+    storageStateContextOptions,
+    restoreSessionStorage,
+    saveStorageState
+};
@@ -0,0 +1,23 @@
+/**
+ * Small helpers shared between modules
+ */
+
+const fs = require('fs');
+
+/**
+ * Turn a route into a string that is safe to use in file names.
+ */
+function routeSlug(route) {
+    return route.replace(/^\/+|\/+$/g, '').replace(/[^a-zA-Z0-9_-]+/g, '_') || 'index';
+}
+
+/**
+ * Delete a file left over from an earlier run, if there is one.
+ */
+function removeIfExists(file) {
+    if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+    }
+}
+
+module.exports = { routeSlug, removeIfExists };
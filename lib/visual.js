@@ -0,0 +1,133 @@
+/**
+ * Visual regression
+ *
+ * Compares a screenshot of the page against a stored baseline. Baselines are
+ * keyed by route, user, viewport width and, for firefox and webkit, the
+ * browser engine:
+ *
+ *   <baseline dir>/<route>--<user|guest>--<width>[--<browser>].png
+ *
+ * On a mismatch the current screenshot is saved next to the baseline as
+ * .actual.png and a .diff.png highlights the changed pixels in red.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+const { routeSlug, removeIfExists } = require('./util');
+
+// Per-pixel colour distance (0-1) below which pixels count as equal
+const PIXEL_THRESHOLD = 0.1;
+
+// Same cap as --screenshot-path
+const MAX_HEIGHT = 5000;
+
+function baselinePaths(dir, route, user, width, browser) {
+    const engine = browser && browser !== 'chromium' ? `--${browser}` : '';
+    const key = `${routeSlug(route)}--${user ? routeSlug(String(user)) : 'guest'}--${width}${engine}`;
+    return {
+        baseline: path.join(dir, `${key}.png`),
+        actual: path.join(dir, `${key}.actual.png`),
+        diff: path.join(dir, `${key}.diff.png`)
+    };
+}
+
+/**
+ * Screenshot the page and compare it with its baseline, creating or updating
+ * the baseline when needed.
+ */
+async function compareWithBaseline(page, route, options) {
+    const width = options.screenshot_width;
+    const paths = baselinePaths(options.visual_baseline, route, options.user_id, width, options.browser);
+
+    const result = {
+        baseline: paths.baseline,
+        actual: null,
+        diff: null,
+        status: null,
+        width,
+        diff_pixels: 0,
+        diff_percent: 0,
+        threshold_percent: options.visual_threshold,
+        error: null
+    };
+
+    const height = await page.evaluate(() => document.documentElement.scrollHeight);
+    const screenshot = await page.screenshot({
+        fullPage: true,
+        clip: { x: 0, y: 0, width, height: Math.min(MAX_HEIGHT, height) },
+        animations: 'disabled',
+        caret: 'hide',
+        mask: options.visual_mask ? [page.locator(options.visual_mask)] : []
+    });
+
+    fs.mkdirSync(options.visual_baseline, { recursive: true });
+    const exists = fs.existsSync(paths.baseline);
+
+    if (!exists || options.update_baseline) {
+        fs.writeFileSync(paths.baseline, screenshot);
+        removeIfExists(paths.actual);
+        removeIfExists(paths.diff);
+        result.status = exists ? 'updated' : 'created';
+        return result;
+    }
+
+    const comparison = compareImages(fs.readFileSync(paths.baseline), screenshot);
+    result.diff_pixels = comparison.diff_pixels;
+    result.diff_percent = comparison.diff_percent;
+
+    if (comparison.diff_percent > options.visual_threshold) {
+        fs.writeFileSync(paths.actual, screenshot);
+        fs.writeFileSync(paths.diff, comparison.diff);
+        result.actual = paths.actual;
+        result.diff = paths.diff;
+        result.status = 'changed';
+    } else {
+        removeIfExists(paths.actual);
+        removeIfExists(paths.diff);
+        result.status = 'matched';
+    }
+
+    return result;
+}
+
+/**
+ * Pixel-compare two PNG buffers. Images of different sizes are compared on
+ * the larger canvas, so added or removed height counts as changed.
+ */
+function compareImages(expectedBuffer, actualBuffer) {
+    const expected = PNG.sync.read(expectedBuffer);
+    const actual = PNG.sync.read(actualBuffer);
+
+    const width = Math.max(expected.width, actual.width);
+    const height = Math.max(expected.height, actual.height);
+
+    const diff = new PNG({ width, height });
+    const diffPixels = pixelmatch(
+        resize(expected, width, height).data,
+        resize(actual, width, height).data,
+        diff.data,
+        width,
+        height,
+        { threshold: PIXEL_THRESHOLD }
+    );
+
+    return {
+        diff_pixels: diffPixels,
+        diff_percent: Math.round(diffPixels / (width * height) * 100 * 1000) / 1000,
+        diff: PNG.sync.write(diff)
+    };
+}
+
+function resize(image, width, height) {
+    if (image.width === width && image.height === height) {
+        return image;
+    }
+
+    const canvas = new PNG({ width, height });
+    PNG.bitblt(image, canvas, 0, 0, image.width, image.height, 0, 0);
+    return canvas;
+}
+
+module.exports = { baselinePaths, compareWithBaseline, compareImages };
@@ -0,0 +1,136 @@
+<?php
+
+namespace Hansonxyz\HeadlessBrowserTester\Commands;
+
+use Symfony\Component\Process\Process;
+
+/**
+ * Persistent Browser Session
+ *
+ * Keeps one authenticated page open in a background browser so a page can be
+ * investigated with many quick commands instead of relaunching the browser,
+ * logging in and reloading the route for every browser:test run.
+ *
+ * Usage:
+ *   php artisan browser:session start /dashboard --user=1
+ *   php artisan browser:session eval "return document.title"
+ *   php artisan browser:session click "#open-modal"
+ *   php artisan browser:session repl
+ *   php artisan browser:session stop
+ */
+class BrowserSessionCommand extends TestRouteCommand
+{
+    protected $signature = 'browser:session
+        {action : start, stop, repl, or a page command: goto, status, eval, click, dump-element, screenshot, console, xhr-list, cookies, save-state}
+        {argument?* : Route for start and goto, code for eval, selector for click and dump-element, path and width for screenshot, path for save-state}
+        {--user= : Log the session in as this user ID or username (start only)}
+        {--guard= : Auth guard to log the user in on (start only)}
+        {--timeout= : Navigation timeout in milliseconds (default: 30000)}
+        {--screenshot-width= : Viewport width in px or: mobile, tablet, desktop (start only)}
+        {--device= : Emulate a device from the devices config or a Playwright device (start only)}
+        {--browser= : Browser engine: chromium (default), firefox or webkit (start only)}
+        {--load-state= : Start with the cookies and storage of a Playwright storage state file (start only)}
+        {--socket= : Socket of the session (default: one per application in the temp directory)}
+        {--format= : Output format: text (default) or json}';
+
+    protected $description = 'Keep an authenticated browser page open and run commands against it';
+
+    public function handle(): int
+    {
+        if (app()->environment('production')) {
+            $this->error('This command is not available in production.');
+            return 1;
+        }
+
+        $action = $this->argument('action');
+        $package_path = dirname(__DIR__, 2);
+        $socket = $this->option('socket') ?: $this->default_socket();
+
+        if ($action === 'start') {
+            return $this->start_session($package_path, $socket);
+        }
+
+        $args = ['node', $package_path . '/bin/browser-test.js', "--session={$socket}", $action, ...$this->argument('argument')];
+
+        if ($this->option('format')) {
+            $args[] = '--format=' . $this->option('format');
+        }
+
+        // Run from the application so relative screenshot paths resolve there
+        $process = new Process($args, base_path(), $this->script_environment(), null, null);
+
+        if ($action === 'repl') {
+            if (Process::isTtySupported()) {
+                $process->setTty(true);
+            } else {
+                $process->setInput(STDIN);
+            }
+        }
+
+        $process->run(function ($type, $buffer) {
+            echo $buffer;
+        });
+
+        return $process->isSuccessful() ? 0 : 1;
+    }
+
+    /**
+     * Launch the background session on the first route argument and wait until it is ready.
+     */
+    protected function start_session(string $package_path, string $socket): int
+    {
+        if ($this->option('user') && !$this->middleware_is_registered()) {
+            $this->error('HeadlessBrowserTesterAuth middleware is not registered.');
+            $this->line('');
+            $this->line('To install it automatically:');
+            $this->line('  php artisan browser:test --install-middleware');
+            return 1;
+        }
+
+        if (!$this->ensure_node_environment($package_path, $this->option('browser') ?: 'chromium')) {
+            return 1;
+        }
+
+        $timeout = intval($this->option('timeout') ?? 30000);
+        if ($timeout < 5000) {
+            $this->error('Timeout must be at least 5000ms');
+            return 1;
+        }
+
+        $route = $this->argument('argument')[0] ?? '/';
+        $route = str_starts_with($route, '/') ? $route : '/' . $route;
+
+        $args = ['node', $package_path . '/bin/browser-test.js', $route, "--session-start={$socket}", "--timeout={$timeout}"];
+
+        if ($this->option('user')) {
+            $args[] = '--user-id=' . $this->option('user');
+            $args[] = '--auth-key=' . $this->generate_auth_key();
+        }
+
+        foreach (['guard', 'screenshot-width', 'device', 'browser', 'load-state', 'format'] as $option) {
+            if ($this->option($option)) {
+                $args[] = "--{$option}=" . $this->option($option);
+            }
+        }
+
+        $process = new Process($args, base_path(), $this->script_environment(), null, ($timeout / 1000) + 30);
+
+        $process->run(function ($type, $buffer) {
+            echo $buffer;
+        });
+
+        if ($process->isSuccessful()) {
+            $this->progress("<info>Session running. Run commands with: php artisan browser:session <command></info>");
+        }
+
+        return $process->isSuccessful() ? 0 : 1;
+    }
+
+    /**
+     * One socket per application, short enough for the Unix socket path limit.
+     */
+    protected function default_socket(): string
+    {
+        return sys_get_temp_dir() . '/browser-session-' . substr(md5(base_path()), 0, 12) . '.sock';
+    }
+}
@@ -3,6 +3,8 @@
 namespace Hansonxyz\HeadlessBrowserTester\Commands;
 
 use Illuminate\Console\Command;
+use Illuminate\Support\Str;
+use Symfony\Component\Console\Output\OutputInterface;
 use Symfony\Component\Process\Process;
 
 /**
@@ -13,40 +15,140 @@ use Symfony\Component\Process\Process;
  * the request, response, JavaScript execution, console output, and more.
  *
  * Features:
- * - User authentication bypass for testing protected routes
- * - Console capture (errors and logs)
+ * - User authentication bypass for testing protected routes, on any auth guard
+ * - Authorization matrix of one route as several users
+ * - Console capture with source locations, stacks and source maps
  * - XHR/fetch request tracking
  * - DOM element verification and extraction
+ * - Assertions on status, text, title, URL, element counts, visibility and XHR requests
  * - localStorage/sessionStorage inspection
+ * - Loading and saving cookies and storage as Playwright storage state
  * - Screenshot capture with device presets
- * - POST request support
+ * - Device emulation and Chromium, Firefox or WebKit engines
+ * - Colour scheme, locale, timezone, geolocation, offline and throttling emulation
+ * - POST, PUT, PATCH and DELETE requests with forms, uploads and CSRF tokens
  * - Redirect chain tracking
+ * - Structured JSON report output
+ * - JUnit XML and TAP output for CI systems
+ * - Multi-step scenario files
+ * - Batch mode for many routes in one browser launch
+ * - Crawling same-origin links for broken links and assets
+ * - Visual regression against baseline screenshots
+ * - DOM snapshot testing of rendered markup
+ * - HAR export of all network traffic
+ * - Playwright traces and videos, optionally kept only for failed runs
+ * - Request mocking and blocking from fixture files
+ * - Layout problem detection across viewport widths
+ * - Accessibility audit
+ * - Security audit of headers, cookies, forms, CSP violations and mixed content
+ * - Performance metrics and budgets
+ * - Laravel log entries correlated with each run
+ * - Plugins with hooks around navigation, collection and reporting
  */
 class TestRouteCommand extends Command
 {
+    /**
+     * Playwright browser engines accepted by --browser.
+     */
+    protected const BROWSERS = ['chromium', 'firefox', 'webkit'];
+
     protected $signature = 'browser:test
-        {url? : The URL to test (e.g., /dashboard, /api/users)}
+        {url?* : One or more URLs to test (e.g., /dashboard, /api/users)}
         {--user= : Test as specific user ID or username (requires middleware)}
+        {--guard= : Auth guard to log the user in on, e.g. admin or sanctum (default: the default guard)}
+        {--users= : Test the route as each of these users side by side, e.g. 1,2,guest,admin@example.com (requires middleware)}
+        {--matrix-selector=* : With --users, show whether an element is present for each user (repeatable)}
+        {--matrix-text= : With --users, diff the text of an element against the first user}
+        {--expect-access= : With --users, expected status or URL per user as JSON or a JSON file}
+        {--crawl= : Follow same-origin links from the route up to this depth (default: 2), reporting broken links and assets}
+        {--crawl-limit= : With --crawl, the maximum number of pages to visit (default: 50)}
+        {--crawl-include=* : With --crawl, only follow links matching this glob or /regex/ (repeatable)}
+        {--crawl-exclude=* : With --crawl, never follow links matching this glob or /regex/ (repeatable)}
         {--install-middleware : Install HeadlessBrowserTesterAuth middleware}
         {--no-body : Suppress HTTP response body}
         {--follow-redirects : Follow HTTP redirects and show redirect chain}
         {--headers : Display all HTTP response headers}
         {--console : Display all browser console output}
+        {--console-level= : Only display console output at or above this level: debug, info, warning, error (implies --console)}
         {--xhr-dump : Capture full XHR/fetch request details}
         {--xhr-list : Show simple list of XHR/fetch URLs and status codes}
         {--input-elements : List all form input elements}
         {--post= : Send POST request with JSON data}
+        {--method= : HTTP method: GET, POST, PUT, PATCH or DELETE (default: POST when a body is given)}
+        {--form= : Send urlencoded form fields, e.g. name=Jane&role=admin}
+        {--file=* : Upload a file as multipart/form-data, as field=@path (repeatable)}
         {--cookies : Display all browser cookies}
+        {--load-state= : Start with the cookies and storage of a Playwright storage state file}
+        {--save-state= : Save cookies, localStorage and sessionStorage to this file after the run (a directory in batch and matrix mode)}
+        {--set-cookie=* : Set a cookie for the application before navigation, as name=value (repeatable)}
+        {--set-local-storage=* : Set a localStorage item before navigation, as key=value (repeatable)}
         {--wait-for= : Wait for CSS selector before capture}
         {--expect-element= : Verify element exists (fails if not found)}
+        {--expect-status=* : Expected status such as 200 or 2xx, replacing the status >= 400 rule (repeatable, any of)}
+        {--expect-text=* : Page text contains this text or matches a /regex/ (repeatable)}
+        {--expect-no-text=* : Page text does not contain this text or match a /regex/ (repeatable)}
+        {--expect-title=* : Page title equals this text or matches a /regex/ (repeatable)}
+        {--expect-url=* : Final URL after redirects matches this glob or /regex/ (repeatable)}
+        {--expect-count=* : Number of elements matching a selector, as selector:n or selector:>=n (repeatable)}
+        {--expect-visible=* : Element exists and is visible (repeatable)}
+        {--expect-xhr=* : XHR/fetch request made with a status, e.g. "POST /api/orders 201" (repeatable)}
+        {--allow-console=* : Ignore console errors containing this text or matching a /regex/ (repeatable)}
+        {--allow-network=* : Ignore failed requests to URLs matching this glob or /regex/ (repeatable)}
         {--dump-element= : Extract HTML of element by CSS selector}
         {--dump-dimensions= : Add layout dimensions to matching elements}
+        {--layout-check : Report viewport overflow, overlaps, clipped text and other layout problems}
+        {--layout-widths= : Check the layout at each of these comma-separated widths or device presets (implies --layout-check)}
+        {--layout-fail : Fail when the layout check finds problems (implies --layout-check)}
+        {--snapshot= : Compare the --dump-element element (default: body) with the stored DOM snapshot of this name}
+        {--snapshot-dir= : Directory of DOM snapshots (default: the snapshots.path config)}
+        {--update-snapshots : Replace stored DOM snapshots with the current HTML}
         {--storage : Display localStorage and sessionStorage}
         {--eval= : Execute JavaScript and display result}
+        {--scenario= : Run steps from a JSON or YAML scenario file after load}
         {--timeout= : Navigation timeout in milliseconds (default: 30000)}
         {--screenshot-path= : Path to save screenshot}
         {--screenshot-width= : Screenshot width (px or preset: mobile, tablet, desktop)}
-        {--full : Enable all display options}';
+        {--device= : Emulate a device from the devices config or a Playwright device, e.g. mobile or "iPhone 13"}
+        {--browser= : Browser engine: chromium (default), firefox or webkit}
+        {--color-scheme= : Emulate prefers-color-scheme: light, dark or no-preference}
+        {--reduced-motion : Emulate prefers-reduced-motion: reduce}
+        {--locale= : Browser locale and Accept-Language, e.g. de-DE}
+        {--timezone= : Timezone id, e.g. America/New_York}
+        {--geolocation= : Position reported to the page as latitude,longitude (grants the geolocation permission)}
+        {--permissions= : Comma-separated permissions to grant, e.g. notifications,clipboard-read}
+        {--offline : Go offline once the route has loaded}
+        {--network= : Throttle the network: slow-3g, fast-3g, slow-4g or 4g (Chromium only)}
+        {--cpu-throttle= : Slow the CPU down by this factor, e.g. 4 (Chromium only)}
+        {--visual-baseline= : Compare a screenshot with the baseline stored in this directory}
+        {--visual-threshold= : Percentage of pixels allowed to differ from the baseline (default: 0.1)}
+        {--visual-mask= : CSS selector of volatile elements to mask before visual capture}
+        {--update-baseline : Replace the stored baseline with the current screenshot}
+        {--har= : Write all network traffic to a HAR 1.2 file}
+        {--har-body-limit= : Largest response body in KB stored in the HAR (default: 1024)}
+        {--trace= : Record a Playwright trace (DOM snapshots, network, console) to this zip file}
+        {--video= : Record a video of the page into this directory}
+        {--artifacts= : Keep traces and videos: always (default) or on-failure}
+        {--mock= : Fulfill, delay or abort requests using rules from a JSON or YAML file}
+        {--block-external : Abort every request outside the application base URL}
+        {--a11y : Audit the rendered page for accessibility problems}
+        {--a11y-tree= : Dump the accessibility tree of the element matching this selector (implies --a11y)}
+        {--a11y-fail-on= : Fail on accessibility findings at or above: minor, moderate, serious, critical (implies --a11y)}
+        {--security : Audit security headers, cookie flags, CSRF tokens, CSP violations and mixed content}
+        {--security-fail-on= : Fail on security findings at or above: low, medium, high (implies --security)}
+        {--perf : Collect load timings, LCP, CLS, long tasks and resource sizes}
+        {--budget= : Fail when metrics exceed limits, e.g. ttfb:300,lcp:2500,js-kb:500 (implies --perf)}
+        {--full : Enable all display options}
+        {--format= : Output format: text (default), json or tap}
+        {--tap : Print TAP version 13 (same as --format=tap)}
+        {--plugin=* : Load a Node plugin module with beforeNavigate, afterLoad, collect or report hooks (repeatable)}
+        {--junit= : Also write a JUnit XML file with a test case per route, assertion and scenario step}
+        {--routes : Test the GET routes from the Laravel route table (batch mode)}
+        {--route-name= : With --routes, only routes whose name matches this pattern (e.g., admin.*)}
+        {--route-prefix= : With --routes, only routes whose URI starts with this prefix}
+        {--route-middleware= : With --routes, only routes using this middleware (e.g., auth)}
+        {--routes-file= : Read routes from a file, one per line (batch mode)}
+        {--bindings= : Route parameter values as JSON or a JSON file (e.g., user=1 as JSON)}
+        {--concurrency= : Pages tested in parallel in batch mode (default: 4)}';
 
     protected $description = 'Test a route using a headless browser - captures response, console, XHR, DOM state, and more';
 
@@ -62,11 +164,21 @@ class TestRouteCommand extends Command
             return $this->install_middleware();
         }
 
-        $url = $this->argument('url');
-        if (!$url) {
+        $urls = $this->argument('url');
+
+        $discovered_routes = [];
+        if ($this->option('routes')) {
+            $discovered_routes = $this->discover_routes();
+            if (empty($discovered_routes)) {
+                $this->error('No GET routes matched the given filters.');
+                return 1;
+            }
+        }
+
+        if (!$urls && !$discovered_routes && !$this->option('routes-file')) {
             $this->error('No URL provided.');
             $this->line('');
-            $this->line('Usage: php artisan browser:test /path [options]');
+            $this->line('Usage: php artisan browser:test /path [/path...] [options]');
             $this->line('');
             $this->line('Examples:');
             $this->line('  php artisan browser:test /dashboard');
@@ -78,17 +190,21 @@ class TestRouteCommand extends Command
             $this->line('  php artisan browser:test /page --user=1 --eval="$(\'button\').click(); await new Promise(r => setTimeout(r, 2000));"');
             $this->line('  php artisan browser:test /form --eval="$(\'#submit\').click(); await new Promise(r => setTimeout(r, 1000));"');
             $this->line('');
+            $this->line('Batch mode (many routes, one browser):');
+            $this->line('  php artisan browser:test /dashboard /reports /settings');
+            $this->line('  php artisan browser:test --routes --route-prefix=admin --user=1 --bindings=\'{"user":1}\'');
+            $this->line('');
             $this->line('To install authentication middleware:');
             $this->line('  php artisan browser:test --install-middleware');
             return 1;
         }
 
-        // Check middleware when --user is specified
-        if ($this->option('user')) {
+        // Check middleware when --user or --users is specified
+        if ($this->impersonates()) {
             if (!$this->middleware_is_registered()) {
                 $this->error('HeadlessBrowserTesterAuth middleware is not registered.');
                 $this->line('');
-                $this->line('The --user option requires the HeadlessBrowserTesterAuth middleware.');
+                $this->line('The --user and --users options require the HeadlessBrowserTesterAuth middleware.');
                 $this->line('');
                 $this->line('To install it automatically:');
                 $this->line('  php artisan browser:test --install-middleware');
@@ -98,128 +214,391 @@ class TestRouteCommand extends Command
             }
         }
 
-        if (!str_starts_with($url, '/')) {
-            $url = '/' . $url;
-        }
+        $urls = array_map(fn ($url) => str_starts_with($url, '/') ? $url : '/' . $url, $urls);
 
-        // Verify Node.js is available
-        $node_check = new Process(['node', '--version']);
-        $node_check->run();
-
-        if (!$node_check->isSuccessful()) {
-            $this->error('Node.js is not installed or not in PATH');
-            return 1;
-        }
-
-        // Check/install Playwright
         $package_path = dirname(__DIR__, 2);
-        $playwright_check = new Process(['node', '-e', "require('playwright')"], $package_path);
-        $playwright_check->run();
-
-        if (!$playwright_check->isSuccessful()) {
-            $this->warn('Playwright not installed. Installing...');
-            $install = new Process(['npm', 'install', 'playwright'], $package_path);
-            $install->setTimeout(300);
-            $install->run(function ($type, $buffer) {
-                echo $buffer;
-            });
 
-            if (!$install->isSuccessful()) {
-                $this->error('Failed to install Playwright');
-                return 1;
-            }
-            $this->info('Playwright installed');
+        if (!$this->ensure_node_environment($package_path, $this->option('browser') ?: 'chromium')) {
+            return 1;
         }
 
-        // Check/install Chromium browser
-        $browser_script = "const {chromium} = require('playwright'); " .
-            "chromium.launch({headless:true}).then(b => {b.close(); process.exit(0);}).catch(() => process.exit(1));";
-        $browser_check = new Process(['node', '-e', $browser_script], $package_path, null, null, 10);
-        $browser_check->run();
-
-        if (!$browser_check->isSuccessful()) {
-            $this->info('Installing Chromium browser...');
-            $browser_install = new Process(['npx', 'playwright', 'install', 'chromium'], $package_path);
-            $browser_install->setTimeout(300);
-            $browser_install->run();
-
-            if (!$browser_install->isSuccessful()) {
-                $this->error('Failed to install Chromium');
-                $this->line('Run manually: npx playwright install chromium');
-                return 1;
-            }
-            $this->info('Chromium installed');
+        // Validate timeout
+        $timeout = $this->option('timeout') ?? 30000;
+        $timeout = intval($timeout);
+        if ($timeout < 5000) {
+            $this->error('Timeout must be at least 5000ms');
+            return 1;
         }
 
         // Build command arguments
         $script_path = $package_path . '/bin/browser-test.js';
-        $args = ['node', $script_path, $url];
+        $args = ['node', $script_path, ...$urls];
 
         $options = [
             'user' => 'user-id',
+            'guard' => 'guard',
+            'users' => 'users',
+            'matrix-selector' => 'matrix-selector',
+            'matrix-text' => 'matrix-text',
+            'expect-access' => 'expect-access',
+            'crawl' => 'crawl',
+            'crawl-limit' => 'crawl-limit',
+            'crawl-include' => 'crawl-include',
+            'crawl-exclude' => 'crawl-exclude',
             'no-body' => 'no-body',
             'follow-redirects' => 'follow-redirects',
             'headers' => 'headers',
             'console' => 'console-log',
+            'console-level' => 'console-level',
             'xhr-dump' => 'xhr-dump',
             'xhr-list' => 'xhr-list',
             'input-elements' => 'input-elements',
             'post' => 'post',
+            'method' => 'method',
+            'form' => 'form',
+            'file' => 'file',
             'cookies' => 'cookies',
+            'load-state' => 'load-state',
+            'save-state' => 'save-state',
+            'set-cookie' => 'set-cookie',
+            'set-local-storage' => 'set-local-storage',
             'wait-for' => 'wait-for',
             'expect-element' => 'expect-element',
+            'expect-status' => 'expect-status',
+            'expect-text' => 'expect-text',
+            'expect-no-text' => 'expect-no-text',
+            'expect-title' => 'expect-title',
+            'expect-url' => 'expect-url',
+            'expect-count' => 'expect-count',
+            'expect-visible' => 'expect-visible',
+            'expect-xhr' => 'expect-xhr',
+            'allow-console' => 'allow-console',
+            'allow-network' => 'allow-network',
             'dump-element' => 'dump-element',
             'dump-dimensions' => 'dump-dimensions',
+            'layout-check' => 'layout-check',
+            'layout-widths' => 'layout-widths',
+            'layout-fail' => 'layout-fail',
+            'snapshot' => 'snapshot',
+            'snapshot-dir' => 'snapshot-dir',
+            'update-snapshots' => 'update-snapshots',
             'storage' => 'storage',
             'eval' => 'eval',
+            'scenario' => 'scenario',
             'timeout' => 'timeout',
             'screenshot-path' => 'screenshot-path',
             'screenshot-width' => 'screenshot-width',
+            'device' => 'device',
+            'browser' => 'browser',
+            'color-scheme' => 'color-scheme',
+            'reduced-motion' => 'reduced-motion',
+            'locale' => 'locale',
+            'timezone' => 'timezone',
+            'geolocation' => 'geolocation',
+            'permissions' => 'permissions',
+            'offline' => 'offline',
+            'network' => 'network',
+            'cpu-throttle' => 'cpu-throttle',
+            'visual-baseline' => 'visual-baseline',
+            'visual-threshold' => 'visual-threshold',
+            'visual-mask' => 'visual-mask',
+            'update-baseline' => 'update-baseline',
+            'har' => 'har',
+            'har-body-limit' => 'har-body-limit',
+            'trace' => 'trace',
+            'video' => 'video',
+            'artifacts' => 'artifacts',
+            'mock' => 'mock',
+            'block-external' => 'block-external',
+            'a11y' => 'a11y',
+            'a11y-tree' => 'a11y-tree',
+            'a11y-fail-on' => 'a11y-fail-on',
+            'security' => 'security',
+            'security-fail-on' => 'security-fail-on',
+            'perf' => 'perf',
+            'budget' => 'budget',
             'full' => 'full',
+            'format' => 'format',
+            'tap' => 'tap',
+            'junit' => 'junit',
+            'plugin' => 'plugin',
+            'routes-file' => 'routes-file',
+            'bindings' => 'bindings',
+            'concurrency' => 'concurrency',
         ];
 
+        if ($this->option('snapshot') && !$this->option('snapshot-dir')) {
+            $this->input->setOption('snapshot-dir', config('headless-browser-tester.snapshots.path', 'tests/browser/snapshots'));
+        }
+
+        // File paths are relative to the application, not this package
+        foreach (['scenario', 'routes-file', 'bindings', 'visual-baseline', 'har', 'mock', 'junit', 'snapshot-dir', 'trace', 'video', 'load-state', 'save-state', 'expect-access'] as $path_option) {
+            $value = $this->option($path_option);
+            if ($value && !str_starts_with($value, '/') && !str_starts_with(ltrim($value), '{')) {
+                $this->input->setOption($path_option, base_path($value));
+            }
+        }
+
+        // Upload paths are relative to the application too
+        $this->input->setOption('file', array_map(function ($file) {
+            [$field, $path] = array_pad(explode('=@', $file, 2), 2, '');
+            return ($path !== '' && !str_starts_with($path, '/')) ? "{$field}=@" . base_path($path) : $file;
+        }, $this->option('file')));
+
+        // And so are plugin modules
+        $this->input->setOption('plugin', array_map(
+            fn ($plugin) => str_starts_with($plugin, '/') ? $plugin : base_path($plugin),
+            $this->option('plugin')
+        ));
+
+        // --crawl without a depth uses the default depth
+        if ($this->input->hasParameterOption('--crawl') && $this->option('crawl') === null) {
+            $this->input->setOption('crawl', true);
+        }
+
+        // Routes from the route table are handed over in a temporary routes file
+        $routes_file = null;
+        if ($discovered_routes) {
+            $routes = $discovered_routes;
+            if ($this->option('routes-file') && is_readable($this->option('routes-file'))) {
+                $routes = array_merge($routes, file($this->option('routes-file'), FILE_IGNORE_NEW_LINES));
+            }
+
+            $routes_file = tempnam(sys_get_temp_dir(), 'browser-test-routes-');
+            file_put_contents($routes_file, implode("\n", $routes) . "\n");
+            $this->input->setOption('routes-file', $routes_file);
+        }
+
         foreach ($options as $opt => $arg_name) {
             $value = $this->option($opt);
             if ($value === true) {
                 $args[] = "--{$arg_name}";
+            } elseif (is_array($value)) {
+                foreach ($value as $item) {
+                    $args[] = "--{$arg_name}={$item}";
+                }
             } elseif ($value !== null && $value !== false) {
                 $args[] = "--{$arg_name}={$value}";
             }
         }
 
         // Add auth key when user impersonation is requested
-        if ($this->option('user')) {
+        if ($this->impersonates()) {
             $auth_key = $this->generate_auth_key();
             $args[] = "--auth-key={$auth_key}";
         }
 
-        // Validate timeout
-        $timeout = $this->option('timeout') ?? 30000;
-        $timeout = intval($timeout);
-        if ($timeout < 5000) {
-            $this->error('Timeout must be at least 5000ms');
-            return 1;
+        // Environment variables for the script
+        $env = $this->script_environment();
+
+        // Run the script, allowing the full timeout for every route in a batch
+        $route_count = count($urls) + count($this->read_routes_file());
+        $user_count = $this->option('users') ? count(explode(',', $this->option('users'))) : 1;
+        $page_count = $this->option('crawl') !== null ? (int) ($this->option('crawl-limit') ?: 50) : 1;
+        $process_timeout = (($timeout / 1000) + 10) * max(1, $route_count) * $user_count * max(1, $page_count);
+        $process = new Process($args, $package_path, $env, null, $process_timeout);
+
+        $process->run(function ($type, $buffer) {
+            echo $buffer;
+        });
+
+        if ($routes_file) {
+            @unlink($routes_file);
         }
 
-        // Environment variables for the script
+        return $process->isSuccessful() ? 0 : 1;
+    }
+
+    /**
+     * Make sure Node.js, the package's Node dependencies and the browser engine
+     * are available, installing what is missing. Errors are reported here.
+     */
+    protected function ensure_node_environment(string $package_path, string $browser = 'chromium'): bool
+    {
+        if (!in_array($browser, self::BROWSERS, true)) {
+            $this->error("Unknown browser '{$browser}' (expected: " . implode(', ', self::BROWSERS) . ')');
+            return false;
+        }
+
+        // Verify Node.js is available
+        $node_check = new Process(['node', '--version']);
+        $node_check->run();
+
+        if (!$node_check->isSuccessful()) {
+            $this->error('Node.js is not installed or not in PATH');
+            return false;
+        }
+
+        // Check/install Playwright and the other Node dependencies
+        $dependency_script = "Object.keys(require('./package.json').dependencies).forEach(d => require(d))";
+        $dependency_check = new Process(['node', '-e', $dependency_script], $package_path);
+        $dependency_check->run();
+
+        if (!$dependency_check->isSuccessful()) {
+            $this->progress('<comment>Node dependencies not installed. Installing...</comment>');
+            $install = new Process(['npm', 'install', '--omit=dev'], $package_path);
+            $install->setTimeout(300);
+            $install->run(function ($type, $buffer) {
+                $this->progress($buffer, false, OutputInterface::OUTPUT_RAW);
+            });
+
+            if (!$install->isSuccessful()) {
+                $this->error('Failed to install Node dependencies');
+                return false;
+            }
+            $this->progress('<info>Node dependencies installed</info>');
+        }
+
+        // Check/install the browser engine
+        $browser_name = ucfirst($browser);
+        $browser_script = "const {{$browser}} = require('playwright'); " .
+            "{$browser}.launch({headless:true}).then(b => {b.close(); process.exit(0);}).catch(() => process.exit(1));";
+        $browser_check = new Process(['node', '-e', $browser_script], $package_path, null, null, 10);
+        $browser_check->run();
+
+        if (!$browser_check->isSuccessful()) {
+            $this->progress("<info>Installing {$browser_name} browser...</info>");
+            $browser_install = new Process(['npx', 'playwright', 'install', $browser], $package_path);
+            $browser_install->setTimeout(300);
+            $browser_install->run();
+
+            if (!$browser_install->isSuccessful()) {
+                $this->error("Failed to install {$browser_name}");
+                $this->line("Run manually: npx playwright install {$browser}");
+                return false;
+            }
+            $this->progress("<info>{$browser_name} installed</info>");
+        }
+
+        return true;
+    }
+
+    /**
+     * Environment variables for browser-test.js.
+     */
+    protected function script_environment(): array
+    {
         $base_url = config('headless-browser-tester.base_url') ?? config('app.url') ?? 'http://localhost';
         $session_cookie = config('headless-browser-tester.session_cookie', config('session.cookie', 'laravel_session'));
 
-        $env = array_merge($_ENV, [
+        [$log_path, $log_daily] = $this->resolve_log_file();
+
+        return array_merge($_ENV, [
             'BASE_URL' => $base_url,
             'SESSION_COOKIE' => $session_cookie,
-            'LARAVEL_LOG_PATH' => storage_path('logs/laravel.log'),
+            'LARAVEL_LOG_PATH' => $log_path,
+            'LARAVEL_LOG_DAILY' => $log_daily ? '1' : '0',
+            'LARAVEL_PUBLIC_PATH' => public_path(),
+            'HEADLESS_TESTER_DEVICES' => json_encode(config('headless-browser-tester.devices', [])),
+            'HEADLESS_TESTER_SNAPSHOTS' => json_encode(config('headless-browser-tester.snapshots', [])),
         ]);
+    }
 
-        // Run the script
-        $process_timeout = ($timeout / 1000) + 10;
-        $process = new Process($args, $package_path, $env, null, $process_timeout);
+    /**
+     * Collect GET routes from the route table, filtered by --route-name, --route-prefix and --route-middleware.
+     */
+    protected function discover_routes(): array
+    {
+        $name_pattern = $this->option('route-name');
+        $prefix = $this->option('route-prefix');
+        $middleware = $this->option('route-middleware');
 
-        $process->run(function ($type, $buffer) {
-            echo $buffer;
-        });
+        $uris = [];
 
-        return $process->isSuccessful() ? 0 : 1;
+        foreach (app('router')->getRoutes() as $route) {
+            if (!in_array('GET', $route->methods()) || $route->getDomain()) {
+                continue;
+            }
+
+            $uri = '/' . ltrim($route->uri(), '/');
+
+            if ($name_pattern && !Str::is($name_pattern, (string) $route->getName())) {
+                continue;
+            }
+
+            if ($prefix && !str_starts_with($uri, '/' . ltrim($prefix, '/'))) {
+                continue;
+            }
+
+            if ($middleware) {
+                $matches = collect($route->gatherMiddleware())
+                    ->filter(fn ($m) => is_string($m))
+                    ->contains(fn ($m) => Str::is($middleware, $m) || str_starts_with($m, $middleware . ':'));
+
+                if (!$matches) {
+                    continue;
+                }
+            }
+
+            $uris[] = $uri;
+        }
+
+        return array_values(array_unique($uris));
+    }
+
+    /**
+     * Non-comment lines of the --routes-file, if any.
+     */
+    protected function read_routes_file(): array
+    {
+        $file = $this->option('routes-file');
+
+        if (!$file || !is_readable($file)) {
+            return [];
+        }
+
+        return array_filter(
+            array_map('trim', file($file, FILE_IGNORE_NEW_LINES)),
+            fn ($line) => $line !== '' && !str_starts_with($line, '#')
+        );
+    }
+
+    /**
+     * Log file of the configured channel and whether it rotates daily. A stack
+     * channel resolves to its first member that writes to a file.
+     */
+    protected function resolve_log_file(): array
+    {
+        $channel = config('headless-browser-tester.log_channel') ?? config('logging.default', 'stack');
+        $config = config("logging.channels.{$channel}", []);
+
+        if (($config['driver'] ?? null) === 'stack') {
+            foreach ($config['channels'] ?? [] as $member) {
+                $member_config = config("logging.channels.{$member}", []);
+                if (isset($member_config['path'])) {
+                    $config = $member_config;
+                    break;
+                }
+            }
+        }
+
+        return [
+            $config['path'] ?? storage_path('logs/laravel.log'),
+            ($config['driver'] ?? null) === 'daily',
+        ];
+    }
+
+    /**
+     * Write setup progress. In JSON and TAP mode this goes to stderr so stdout stays machine-readable.
+     */
+    protected function progress(string $message, bool $newline = true, int $type = OutputInterface::OUTPUT_NORMAL): void
+    {
+        $machine_readable = ($this->hasOption('format') && in_array($this->option('format'), ['json', 'tap'], true))
+            || ($this->hasOption('tap') && $this->option('tap'));
+
+        $output = $machine_readable
+            ? $this->output->getErrorStyle()
+            : $this->output;
+
+        $output->write($message, $newline, $type);
+    }
+
+    /**
+     * Whether the run logs in as one or more users.
+     */
+    protected function impersonates(): bool
+    {
+        return (bool) ($this->option('user') || $this->option('users'));
     }
 
     /**
@@ -281,6 +660,11 @@ class TestRouteCommand extends Command
         $app_middleware_path = app_path('Http/Middleware/HeadlessBrowserTesterAuth.php');
 
         if (file_exists($app_middleware_path)) {
+            if (!str_contains(file_get_contents($app_middleware_path), 'X-Dev-Auth-Guard')) {
+                $this->warn('HeadlessBrowserTesterAuth middleware exists but predates --guard support.');
+                $this->line('Delete app/Http/Middleware/HeadlessBrowserTesterAuth.php and run --install-middleware again to update it.');
+                return 0;
+            }
             $this->info('HeadlessBrowserTesterAuth middleware already exists.');
             return 0;
         }
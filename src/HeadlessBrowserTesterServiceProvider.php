@@ -16,6 +16,7 @@ class HeadlessBrowserTesterServiceProvider extends ServiceProvider
         if ($this->app->runningInConsole()) {
             $this->commands([
                 Commands\TestRouteCommand::class,
+                Commands\BrowserSessionCommand::class,
             ]);
 
             $this->publishes([
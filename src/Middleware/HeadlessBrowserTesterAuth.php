@@ -4,6 +4,7 @@ namespace Hansonxyz\HeadlessBrowserTester\Middleware;
 
 use Closure;
 use Illuminate\Http\Request;
+use InvalidArgumentException;
 use Symfony\Component\HttpFoundation\Response;
 
 /**
@@ -13,6 +14,12 @@ use Symfony\Component\HttpFoundation\Response;
  * user when testing protected routes. It validates the request using a hashed
  * version of the Laravel app key for security.
  *
+ * The user is logged in on the guard named by X-Dev-Auth-Guard, or the default
+ * guard. Stateless guards (token, Sanctum) are authenticated for the current
+ * request only, which the headers on every request take care of. The guard and
+ * user that were authenticated are returned in the X-Dev-Auth-Guard and
+ * X-Dev-Auth-User response headers.
+ *
  * SECURITY: This middleware is disabled in production environments.
  */
 class HeadlessBrowserTesterAuth
@@ -39,16 +46,36 @@ class HeadlessBrowserTesterAuth
             abort(403, 'Headless Browser Tester: Invalid or missing X-Dev-Auth-Key header. This is a security measure to prevent unauthorized user impersonation.');
         }
 
+        $guard_name = $request->header('X-Dev-Auth-Guard') ?: config('auth.defaults.guard');
+
+        try {
+            $guard = auth()->guard($guard_name);
+        } catch (InvalidArgumentException $e) {
+            abort(400, "Headless Browser Tester: Auth guard '{$guard_name}' is not defined.");
+        }
+
         // Determine if user_id is numeric (ID) or string (username)
-        $user = $this->resolve_user($user_id);
+        $user = $this->resolve_user($user_id, $guard_name);
 
         if (!$user) {
             abort(404, "Headless Browser Tester: User '{$user_id}' not found.");
         }
 
-        auth()->login($user);
+        // Session guards remember the login; stateless guards only know the user for this request
+        if (method_exists($guard, 'login')) {
+            $guard->login($user);
+        } else {
+            $guard->setUser($user);
+        }
+
+        $response = $next($request);
+
+        // Report who is authenticated once the application has handled the request
+        $authenticated = $guard->user();
+        $response->headers->set('X-Dev-Auth-Guard', $guard_name);
+        $response->headers->set('X-Dev-Auth-User', $authenticated ? (string) $authenticated->getAuthIdentifier() : '');
 
-        return $next($request);
+        return $response;
     }
 
     /**
@@ -67,11 +94,14 @@ class HeadlessBrowserTesterAuth
     }
 
     /**
-     * Resolve user by ID (numeric) or username field (string).
+     * Resolve user by ID (numeric) or username field (string), using the
+     * model of the guard's user provider when it has one.
      */
-    protected function resolve_user(string $user_id): ?object
+    protected function resolve_user(string $user_id, string $guard_name): ?object
     {
-        $model_class = config('headless-browser-tester.user_model', 'App\\Models\\User');
+        $provider = config("auth.guards.{$guard_name}.provider");
+        $model_class = ($provider ? config("auth.providers.{$provider}.model") : null)
+            ?: config('headless-browser-tester.user_model', 'App\\Models\\User');
 
         if (!class_exists($model_class)) {
             abort(500, "Headless Browser Tester: User model class '{$model_class}' not found.");
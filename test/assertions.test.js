@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    parseExpectCount,
+    parseExpectXhr,
+    validateStatus,
+    statusMatches,
+    urlMatcher,
+    assertResponse,
+    applyAllowLists
+} = require('../lib/assertions');
+
+const BASE_URL = 'http://localhost';
+
+test('parses --expect-count with an optional operator', () => {
+    assert.deepStrictEqual(parseExpectCount('.row:3'), { selector: '.row', operator: '=', count: 3 });
+    assert.deepStrictEqual(parseExpectCount('li:nth-child(2n):>=1'), { selector: 'li:nth-child(2n)', operator: '>=', count: 1 });
+    assert.deepStrictEqual(parseExpectCount(' tr : <10 '), { selector: 'tr', operator: '<', count: 10 });
+
+    assert.throws(() => parseExpectCount('.row'), /--expect-count must look like <selector>:<n>/);
+    assert.throws(() => parseExpectCount(':3'), /got ':3'/);
+    assert.throws(() => parseExpectCount('.row:many'), /--expect-count must look like/);
+    assert.throws(() => parseExpectCount('.row:=>1'), /--expect-count must look like/);
+});
+
+test('parses --expect-xhr into method, glob and status', () => {
+    assert.deepStrictEqual(parseExpectXhr('post /api/orders 201'), { method: 'POST', pattern: '/api/orders', status: '201' });
+    assert.deepStrictEqual(parseExpectXhr('  *   **/search*   2XX '), { method: '*', pattern: '**/search*', status: '2xx' });
+
+    assert.throws(() => parseExpectXhr('POST /api/orders'), /--expect-xhr must look like "<method> <url-glob> <status>"/);
+    assert.throws(() => parseExpectXhr('POST /api/orders created'), /--expect-xhr must look like/);
+    assert.throws(() => parseExpectXhr('POST /api/orders 600'), /--expect-xhr must look like/);
+});
+
+test('validates and matches status codes and classes', () => {
+    assert.strictEqual(validateStatus('404'), '404');
+    assert.strictEqual(validateStatus('3XX'), '3xx');
+    ['20', '2000', '6xx', 'ok', '2x'].forEach(value => {
+        assert.throws(() => validateStatus(value), /--expect-status must be a status code or class/);
+    });
+
+    assert.ok(statusMatches(204, '2xx'));
+    assert.ok(!statusMatches(302, '2xx'));
+    assert.ok(statusMatches(404, '404'));
+    assert.ok(!statusMatches(403, '404'));
+});
+
+test('matches URLs by glob relative to the base URL or by /regex/', () => {
+    assert.ok(urlMatcher('/dashboard', BASE_URL).test('http://localhost/dashboard'));
+    assert.ok(!urlMatcher('/dashboard', BASE_URL).test('http://example.com/dashboard'));
+    assert.ok(urlMatcher('**/thanks', BASE_URL).test('http://localhost/orders/1/thanks'));
+    assert.ok(urlMatcher('/orders\\/\\d+$/', BASE_URL).test('http://localhost/orders/42'));
+});
+
+test('--expect-status replaces the status >= 400 rule with its own failure', () => {
+    const report = { status: 404, final_url: 'http://localhost/missing', failures: [] };
+    assertResponse(report, { expect_status: ['200', '3xx'], expect_url: ['/missing'], base_url: BASE_URL });
+
+    assert.deepStrictEqual(report.assertions, [
+        { assertion: 'expect-status', expected: '200 or 3xx', actual: '404', passed: false },
+        { assertion: 'expect-url', expected: '/missing', actual: 'http://localhost/missing', passed: true }
+    ]);
+    assert.deepStrictEqual(report.failures.map(f => f.type), ['expect-status']);
+});
+
+test('moves allowed console errors, uncaught errors and network failures to report.allowed', () => {
+    const report = {
+        console: {
+            errors: [
+                { type: 'error', text: 'Failed to load resource: favicon.ico', location: null, count: 1 },
+                { type: 'uncaught', text: 'ResizeObserver loop limit exceeded', location: null, count: 1 },
+                { type: 'error', text: 'Vue warn', location: null, count: 1 }
+            ],
+            uncaught: [{ name: 'Error', message: 'ResizeObserver loop limit exceeded', stack: [], count: 1 }]
+        },
+        network_failures: ['http://localhost/favicon.ico', 'http://localhost/api/users']
+    };
+
+    applyAllowLists(report, {
+        allow_console: ['favicon', '/^\\[UNCAUGHT\\] ResizeObserver/'],
+        allow_network: ['/favicon.ico'],
+        base_url: BASE_URL
+    });
+
+    assert.deepStrictEqual(report.allowed.console_errors.map(e => e.type), ['error', 'uncaught']);
+    assert.strictEqual(report.allowed.uncaught.length, 1);
+    assert.deepStrictEqual(report.allowed.network_failures, ['http://localhost/favicon.ico']);
+    assert.deepStrictEqual(report.console.errors.map(e => e.text), ['Vue warn']);
+    assert.deepStrictEqual(report.console.uncaught, []);
+    assert.deepStrictEqual(report.network_failures, ['http://localhost/api/users']);
+});
@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { sortBySeverity, exceedsSeverity, countBySeverity, evaluateAudit } = require('../lib/audit');
+const { SEVERITIES } = require('../lib/a11y');
+const { SECURITY_SEVERITIES } = require('../lib/security');
+
+const findings = [{ id: 'a', severity: 'minor' }, { id: 'b', severity: 'critical' }, { id: 'c', severity: 'moderate' }];
+
+test('sorts findings most severe first', () => {
+    assert.deepStrictEqual(sortBySeverity([...findings], SEVERITIES).map(f => f.id), ['b', 'c', 'a']);
+});
+
+test('grades findings against a severity threshold', () => {
+    assert.ok(exceedsSeverity(findings, 'critical', SEVERITIES));
+    assert.ok(!exceedsSeverity(findings.filter(f => f.id !== 'b'), 'serious', SEVERITIES));
+    assert.ok(exceedsSeverity([{ severity: 'medium' }], 'medium', SECURITY_SEVERITIES));
+    assert.ok(!exceedsSeverity([], 'low', SECURITY_SEVERITIES));
+});
+
+test('counts findings per severity', () => {
+    assert.deepStrictEqual(countBySeverity(findings, SEVERITIES), { minor: 1, moderate: 1, serious: 0, critical: 1 });
+    assert.deepStrictEqual(countBySeverity([], SECURITY_SEVERITIES), { low: 0, medium: 0, high: 0 });
+});
+
+test('runs scans with the in-page helpers in scope', async () => {
+    const page = { evaluate: async source => eval(source) };
+    const scan = ({ limit }) => ({ limit, helper: typeof cssPath });
+
+    assert.deepStrictEqual(await evaluateAudit(page, scan, { limit: 3 }), { limit: 3, helper: 'function' });
+});
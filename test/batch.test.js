@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readRoutesFile, loadBindings, expandRoute } = require('../lib/batch');
+
+test('fills route parameters from bindings', () => {
+    assert.deepStrictEqual(expandRoute('/users/{user}/posts/{post:slug}', { user: 7, post: 'hello world' }), {
+        route: '/users/7/posts/hello%20world',
+        missing: []
+    });
+});
+
+test('drops unbound optional parameters and their empty segments', () => {
+    assert.deepStrictEqual(expandRoute('/archive/{year?}/{month?}', { year: 2024 }), { route: '/archive/2024', missing: [] });
+    assert.deepStrictEqual(expandRoute('/archive/{year?}', {}), { route: '/archive', missing: [] });
+});
+
+test('reports required parameters without a binding', () => {
+    assert.deepStrictEqual(expandRoute('/invoices/{invoice}/lines/{line}', { line: null }), {
+        route: '/invoices/{invoice}/lines/{line}',
+        missing: ['invoice', 'line']
+    });
+});
+
+test('loads bindings from inline JSON or a file', () => {
+    assert.deepStrictEqual(loadBindings('{"user": 1}'), { user: 1 });
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'bindings.json'), '{"post": "intro"}');
+        assert.deepStrictEqual(loadBindings(path.join(dir, 'bindings.json')), { post: 'intro' });
+
+        fs.writeFileSync(path.join(dir, 'list.json'), '[1, 2]');
+        assert.throws(() => loadBindings(path.join(dir, 'list.json')), /must be a JSON object/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    assert.throws(() => loadBindings('{"user": '), SyntaxError);
+});
+
+test('reads routes files without blank lines and comments', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'batch-')), 'routes.txt');
+    fs.writeFileSync(file, '# Public\n/\n\n  /about  \n# /skipped\n/users/{user}\n');
+    try {
+        assert.deepStrictEqual(readRoutesFile(file), ['/', '/about', '/users/{user}']);
+    } finally {
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { dedupeEntries, countErrors, errorLabel } = require('../lib/console');
+
+const location = { url: 'http://localhost/build/app.js', line: 1, column: 10, original: null };
+
+test('merges identical entries into the first, adding up their counts', () => {
+    const entries = [
+        { type: 'error', text: 'Failed', location, count: 1 },
+        { type: 'error', text: 'Failed', location: { ...location }, count: 2 },
+        { type: 'error', text: 'Failed', location: { ...location, line: 2 }, count: 1 },
+        { type: 'warning', text: 'Failed', location, count: 1 }
+    ];
+
+    const merged = dedupeEntries(entries);
+
+    assert.deepStrictEqual(merged.map(e => [e.type, e.location.line, e.count]), [['error', 1, 3], ['error', 2, 1], ['warning', 1, 1]]);
+    assert.strictEqual(entries[0].count, 1);
+});
+
+test('merges uncaught errors thrown from the same place', () => {
+    const frame = { function: 'boot', url: location.url, line: 1, column: 10, original: null };
+    const merged = dedupeEntries([
+        { name: 'TypeError', message: 'x is undefined', stack: [frame], count: 1 },
+        { name: 'TypeError', message: 'x is undefined', stack: [frame, frame], count: 1 },
+        { name: 'TypeError', message: 'x is undefined', stack: [{ ...frame, line: 9 }], count: 1 }
+    ]);
+
+    assert.deepStrictEqual(merged.map(e => e.count), [2, 1]);
+});
+
+test('counts and labels console errors', () => {
+    const errors = [
+        { type: 'error', text: 'Failed to load resource', location: null, count: 3 },
+        { type: 'uncaught', text: 'x is undefined', location: null, count: 1 }
+    ];
+
+    assert.strictEqual(countErrors({ errors }), 4);
+    assert.strictEqual(countErrors({ errors: [] }), 0);
+    assert.deepStrictEqual(errors.map(errorLabel), ['[ERROR] Failed to load resource', '[UNCAUGHT] x is undefined']);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_CRAWL_DEPTH, parseCrawlDepth, skipReason } = require('../lib/crawl');
+
+const BASE_URL = 'http://localhost';
+
+function options(overrides = {}) {
+    return { crawl_include: [], crawl_exclude: [], base_url: BASE_URL, ...overrides };
+}
+
+function link(pathname, method = null) {
+    return { url: BASE_URL + pathname, method };
+}
+
+test('parses --crawl depths', () => {
+    assert.strictEqual(parseCrawlDepth(true), DEFAULT_CRAWL_DEPTH);
+    assert.strictEqual(parseCrawlDepth('0'), 0);
+    assert.strictEqual(parseCrawlDepth('3'), 3);
+    assert.strictEqual(parseCrawlDepth(1), 1);
+
+    ['', ' ', '-1', '1.5', 'deep'].forEach(value => {
+        assert.throws(() => parseCrawlDepth(value), /--crawl depth must be a whole number >= 0/);
+    });
+});
+
+test('never follows links that log out or change data', () => {
+    assert.strictEqual(skipReason(link('/posts/1', 'DELETE'), options()), 'data-method delete');
+    assert.strictEqual(skipReason(link('/posts/1', 'get'), options()), null);
+    assert.strictEqual(skipReason(link('/logout'), options()), 'logout or destructive');
+    assert.strictEqual(skipReason(link('/account/sign-out'), options()), 'logout or destructive');
+    assert.strictEqual(skipReason(link('/posts/1/delete'), options()), 'logout or destructive');
+    assert.strictEqual(skipReason(link('/users/remove_avatar'), options()), 'logout or destructive');
+    assert.strictEqual(skipReason(link('/settings?next=/logout'), options()), null);
+    assert.strictEqual(skipReason(link('/removed-items'), options()), null);
+});
+
+test('follows only included links that are not excluded', () => {
+    const scoped = options({ crawl_include: ['/docs/**', '/^https?:\\/\\/localhost\\/blog/'], crawl_exclude: ['/docs/archive/**'] });
+
+    assert.strictEqual(skipReason(link('/docs/install'), scoped), null);
+    assert.strictEqual(skipReason(link('/blog/hello'), scoped), null);
+    assert.strictEqual(skipReason(link('/pricing'), scoped), 'not included');
+    assert.strictEqual(skipReason(link('/docs/archive/v1'), scoped), 'excluded');
+});
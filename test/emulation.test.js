@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseGeolocation, emulationSettings, emulationContextOptions, describeEmulation } = require('../lib/emulation');
+
+const NONE = {
+    color_scheme: null,
+    reduced_motion: false,
+    locale: null,
+    timezone: null,
+    geolocation: null,
+    permissions: [],
+    offline: false,
+    network: null,
+    cpu_throttle: null
+};
+
+test('parses --geolocation with an optional accuracy', () => {
+    assert.deepStrictEqual(parseGeolocation('51.5074,-0.1278'), { latitude: 51.5074, longitude: -0.1278, accuracy: 0 });
+    assert.deepStrictEqual(parseGeolocation('-33.86,151.2,25'), { latitude: -33.86, longitude: 151.2, accuracy: 25 });
+});
+
+test('rejects positions that are not on the map', () => {
+    assert.throws(() => parseGeolocation('London'), /--geolocation must look like latitude,longitude/);
+    assert.throws(() => parseGeolocation('51.5'), /got '51.5'/);
+    assert.throws(() => parseGeolocation('91,0'), /--geolocation must look like/);
+    assert.throws(() => parseGeolocation('0,-181'), /--geolocation must look like/);
+});
+
+test('reports no emulation when nothing is set', () => {
+    assert.strictEqual(emulationSettings(NONE), null);
+    assert.deepStrictEqual(emulationContextOptions(NONE), {});
+});
+
+test('grants the geolocation permission along with a position', () => {
+    const options = {
+        ...NONE,
+        color_scheme: 'dark',
+        reduced_motion: true,
+        timezone: 'Europe/Amsterdam',
+        geolocation: { latitude: 52.37, longitude: 4.89, accuracy: 0 },
+        permissions: ['notifications']
+    };
+
+    assert.deepStrictEqual(emulationContextOptions(options), {
+        colorScheme: 'dark',
+        reducedMotion: 'reduce',
+        timezoneId: 'Europe/Amsterdam',
+        geolocation: options.geolocation,
+        permissions: ['notifications', 'geolocation']
+    });
+    assert.deepStrictEqual(options.permissions, ['notifications']);
+
+    const settings = emulationSettings({ ...options, network: 'slow-3g', cpu_throttle: 4 });
+    assert.strictEqual(settings.reduced_motion, 'reduce');
+    assert.strictEqual(
+        describeEmulation(settings),
+        'color-scheme:dark reduced-motion:reduce timezone:Europe/Amsterdam geolocation:52.37,4.89 permissions:notifications network:slow-3g cpu:4x'
+    );
+});
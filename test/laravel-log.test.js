@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { watchLog, parseLogEntries } = require('../lib/laravel-log');
+
+const EXCEPTION_ENTRY = [
+    '[2024-05-01 10:00:00] local.ERROR: Division by zero {"userId":1,"exception":"[object] (DivisionByZeroError(code: 0): Division by zero at /var/www/app/Http/Controllers/ReportController.php:42)',
+    '[stacktrace]',
+    '#0 /var/www/vendor/laravel/framework/src/Illuminate/Routing/Controller.php(54): App\\\\Http\\\\Controllers\\\\ReportController->show()',
+    '#1 {main}',
+    '"} '
+].join('\n');
+
+test('parses plain entries and drops their context', () => {
+    const entries = parseLogEntries('[2024-05-01 10:00:00] production.WARNING: Slow query {"ms":1200} []\n[2024-05-01T10:00:01.000000+00:00] local.info: Done [] []\n');
+
+    assert.deepStrictEqual(entries.map(e => [e.time, e.environment, e.level, e.message]), [
+        ['2024-05-01 10:00:00', 'production', 'warning', 'Slow query'],
+        ['2024-05-01T10:00:01.000000+00:00', 'local', 'info', 'Done']
+    ]);
+    assert.strictEqual(entries[0].exception, null);
+    assert.deepStrictEqual(entries[0].stack, []);
+});
+
+test('parses the exception, location and stack of an error entry', () => {
+    const [entry] = parseLogEntries(`some continuation line\n${EXCEPTION_ENTRY}`);
+
+    assert.strictEqual(entry.level, 'error');
+    assert.strictEqual(entry.message, 'Division by zero');
+    assert.strictEqual(entry.exception, 'DivisionByZeroError');
+    assert.strictEqual(entry.file, '/var/www/app/Http/Controllers/ReportController.php');
+    assert.strictEqual(entry.line, 42);
+    assert.deepStrictEqual(entry.stack, [
+        '#0 /var/www/vendor/laravel/framework/src/Illuminate/Routing/Controller.php(54): App\\Http\\Controllers\\ReportController->show()',
+        '#1 {main}'
+    ]);
+});
+
+test('reads only what was written after the log was watched', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'laravel-log-'));
+    try {
+        const single = path.join(dir, 'laravel.log');
+        fs.writeFileSync(single, '[2024-05-01 09:00:00] local.ERROR: Before the run\n');
+        const watcher = watchLog(single);
+        fs.appendFileSync(single, '[2024-05-01 10:00:00] local.ERROR: During the run\n');
+
+        assert.deepStrictEqual(watcher.read().entries.map(e => e.message), ['During the run']);
+
+        const daily = watchLog(single, { daily: true });
+        fs.writeFileSync(path.join(dir, 'laravel-2024-05-02.log'), '[2024-05-02 00:00:01] local.ERROR: After midnight\n');
+
+        const result = daily.read();
+        assert.deepStrictEqual(result.entries.map(e => e.message), ['After midnight']);
+        assert.strictEqual(result.error, null);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseLayoutWidths } = require('../lib/layout');
+
+const PRESETS = { mobile: { width: 375, height: 812 }, tablet: { width: '768' }, broken: {} };
+
+test('parses widths in pixels and device presets', () => {
+    assert.deepStrictEqual(parseLayoutWidths('320, 1280,'), [320, 1280]);
+    assert.deepStrictEqual(parseLayoutWidths('mobile,tablet,1440', PRESETS), [375, 768, 1440]);
+    assert.deepStrictEqual(parseLayoutWidths(['mobile', 1024], PRESETS), [375, 1024]);
+});
+
+test('rejects widths that are not whole pixels or known presets', () => {
+    assert.throws(() => parseLayoutWidths('desktop', PRESETS), /needs widths in pixels or device presets, got 'desktop'/);
+    assert.throws(() => parseLayoutWidths('broken', PRESETS), /got 'broken'/);
+    assert.throws(() => parseLayoutWidths('375.5'), /got '375.5'/);
+    assert.throws(() => parseLayoutWidths('0'), /got '0'/);
+    assert.throws(() => parseLayoutWidths(' , '), /needs at least one width/);
+});
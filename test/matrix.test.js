@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseUsers, loadAccessTable } = require('../lib/matrix');
+
+test('parses --users into a list of users', () => {
+    assert.deepStrictEqual(parseUsers('1, admin@example.com,,guest '), ['1', 'admin@example.com', 'guest']);
+    assert.throws(() => parseUsers(' , '), /--users needs at least one user/);
+});
+
+test('loads access tables from objects, inline JSON or a file', () => {
+    const table = { guest: '/login', 1: 200, 2: '4XX' };
+    assert.deepStrictEqual(loadAccessTable(table), { 1: '200', 2: '4xx', guest: '/login' });
+    assert.strictEqual(table[1], 200);
+
+    assert.deepStrictEqual(loadAccessTable(' {"admin": "https://app.test/admin*"}'), { admin: 'https://app.test/admin*' });
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'matrix-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'access.json'), '{"guest": 302}');
+        assert.deepStrictEqual(loadAccessTable(path.join(dir, 'access.json')), { guest: '302' });
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('rejects access tables that are not a map of statuses and URLs', () => {
+    assert.throws(() => loadAccessTable('{"guest": "denied"}'), /Expected access for 'guest' must be a status such as 403 or 2xx/);
+    assert.throws(() => loadAccessTable({ 1: 99 }), /got '99'/);
+    assert.throws(() => loadAccessTable(['/login']), /must be a JSON object of user => status or URL/);
+    assert.throws(() => loadAccessTable(null), /must be a JSON object/);
+    assert.throws(() => loadAccessTable('{"guest": '), SyntaxError);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMockRules, globToRegExp, createMockRouter } = require('../lib/mock');
+
+const BASE_URL = 'http://localhost';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-'));
+let files = 0;
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function mockFile(content, ext = '.json') {
+    const file = path.join(dir, `mocks-${++files}${ext}`);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+}
+
+function request(url, method = 'GET') {
+    return { url: () => url, method: () => method };
+}
+
+test('globs match ** across segments and * within one', () => {
+    assert.ok(globToRegExp('http://localhost/api/**').test('http://localhost/api/users/1?page=2'));
+    assert.ok(globToRegExp('http://localhost/api/*').test('http://localhost/api/users'));
+    assert.ok(!globToRegExp('http://localhost/api/*').test('http://localhost/api/users/1'));
+    assert.ok(!globToRegExp('http://localhost/a?b').test('http://localhost/axb'));
+    assert.ok(globToRegExp('http://localhost/a?b').test('http://localhost/a?b'));
+});
+
+test('loads fulfill, abort and pass-through rules', () => {
+    const rules = loadMockRules(mockFile([
+        { url: '/api/users', method: 'get', body: { data: [] } },
+        { url: '**/*.png', abort: true },
+        { regex: 'analytics', delay: 200 },
+        { url: '/health', status: 503, body: 'down' }
+    ]), BASE_URL);
+
+    assert.strictEqual(rules[0].action, 'fulfill');
+    assert.strictEqual(rules[0].method, 'GET');
+    assert.strictEqual(rules[0].body, '{"data":[]}');
+    assert.strictEqual(rules[0].headers['content-type'], 'application/json');
+    assert.ok(rules[0].matcher.test('http://localhost/api/users'));
+
+    assert.strictEqual(rules[1].action, 'abort');
+    assert.strictEqual(rules[1].abort_code, 'failed');
+
+    assert.strictEqual(rules[2].action, 'continue');
+    assert.strictEqual(rules[2].pattern, '/analytics/');
+    assert.strictEqual(rules[2].delay, 200);
+
+    assert.deepStrictEqual([rules[3].status, rules[3].body], [503, 'down']);
+});
+
+test('loads YAML rule lists under rules', () => {
+    const rules = loadMockRules(mockFile('rules:\n  - url: /api/*\n    status: 500\n', '.yaml'), BASE_URL);
+
+    assert.strictEqual(rules.length, 1);
+    assert.strictEqual(rules[0].status, 500);
+});
+
+test('rejects invalid mock files', () => {
+    assert.throws(() => loadMockRules(mockFile([]), BASE_URL), /has no rules/);
+    assert.throws(() => loadMockRules(mockFile('{'), BASE_URL), /Could not parse mock file/);
+    assert.throws(() => loadMockRules(mockFile([{ status: 200 }]), BASE_URL), /needs a url glob or a regex/);
+    assert.throws(() => loadMockRules(mockFile([{ url: '/x', abort: 'nope' }]), BASE_URL), /unknown abort code 'nope'/);
+    assert.throws(() => loadMockRules(mockFile([{ url: '/x', body_file: 'missing.json' }]), BASE_URL), /body_file not found/);
+});
+
+test('the router picks the first matching rule and counts hits', () => {
+    const rules = loadMockRules(mockFile([
+        { url: '/api/**', method: 'POST', status: 201 },
+        { url: '/api/**', status: 200 }
+    ]), BASE_URL);
+    const router = createMockRouter(rules, { baseUrl: BASE_URL, blockExternal: true });
+
+    assert.strictEqual(router.resolve(request('http://localhost/api/users', 'POST')).status, 201);
+    assert.strictEqual(router.resolve(request('http://localhost/api/users')).status, 200);
+    assert.strictEqual(router.resolve(request('http://localhost/dashboard')), null);
+    assert.strictEqual(router.resolve(request('https://cdn.example.com/app.js')).abort_code, 'blockedbyclient');
+
+    assert.deepStrictEqual(router.stats.rules.map(r => r.hits), [1, 1]);
+    assert.strictEqual(router.stats.blocked_external, 1);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseArgs, normalizeOptions } = require('../lib/options');
+
+function normalize(overrides) {
+    return normalizeOptions({ routes: '/dashboard', ...overrides });
+}
+
+test('parses flags and routes from the command line', () => {
+    const options = parseArgs(['/a', '--expect-text=Welcome', '--expect-text=Logout', '--a11y-fail-on=serious', '--crawl=3', 'b']);
+
+    assert.deepStrictEqual(options.routes, ['/a', 'b']);
+    assert.deepStrictEqual(options.expect_text, ['Welcome', 'Logout']);
+    assert.strictEqual(options.a11y, true);
+    assert.strictEqual(options.crawl, '3');
+    assert.strictEqual(parseArgs(['/', '--crawl']).crawl, true);
+});
+
+test('fills in defaults and normalizes routes', () => {
+    const options = normalize({ routes: ['dashboard', '/users'] });
+
+    assert.deepStrictEqual(options.routes, ['/dashboard', '/users']);
+    assert.strictEqual(options.batch, true);
+    assert.strictEqual(options.method, 'GET');
+    assert.strictEqual(options.crawl, null);
+    assert.strictEqual(options.normalized, true);
+    assert.throws(() => normalizeOptions({}), /Route argument required/);
+});
+
+test('audit thresholds turn on their audit', () => {
+    const options = normalize({ a11y_fail_on: 'serious', security_fail_on: 'high' });
+    assert.strictEqual(options.a11y, true);
+    assert.strictEqual(options.security, true);
+
+    assert.strictEqual(normalize({ a11y_tree: 'tree.json' }).a11y, true);
+    assert.throws(() => normalize({ a11y_fail_on: 'severe' }), /Unknown --a11y-fail-on level 'severe' \(expected: minor, moderate, serious, critical\)/);
+    assert.throws(() => normalize({ security_fail_on: 'critical' }), /Unknown --security-fail-on level 'critical'/);
+});
+
+test('a request body needs a method that sends one', () => {
+    assert.strictEqual(normalize({ form: 'name=Ada' }).method, 'POST');
+    assert.throws(() => normalize({ form: 'name=Ada', method: 'GET' }), /need a method other than GET/);
+    assert.throws(() => normalize({ post_data: { a: 1 }, form: 'b=2' }), /Use either --post or --form\/--file, not both/);
+    assert.throws(() => normalize({ method: 'HEAD' }), /Unknown --method 'HEAD'/);
+});
+
+test('--users runs one route as several users', () => {
+    const options = normalize({ users: '1,guest', expect_access: '{"guest": "/login"}' });
+    assert.deepStrictEqual(options.users, ['1', 'guest']);
+    assert.deepStrictEqual(options.expect_access, { guest: '/login' });
+
+    assert.throws(() => normalize({ users: '1,2', user_id: '1' }), /Use either --user-id or --users, not both/);
+    assert.throws(() => normalize({ users: '1,2', routes: ['/a', '/b'] }), /--users tests a single route/);
+    assert.throws(() => normalize({ expect_access: '{"1": 200}' }), /need --users/);
+    assert.throws(() => normalize({ matrix_text: 'main' }), /need --users/);
+});
+
+test('--crawl takes a depth and rejects options of a single route run', () => {
+    assert.strictEqual(normalize({ crawl: true }).crawl, 2);
+    assert.strictEqual(normalize({ crawl: '0', crawl_include: ['/docs/**'] }).crawl, 0);
+
+    assert.throws(
+        () => normalize({ crawl: true, expect_text: ['Welcome'], screenshot_path: 'shot.png', budget: 'lcp:2500' }),
+        /cannot be combined with --expect-text, --screenshot-path, --perf$/
+    );
+    assert.throws(() => normalize({ crawl: true, form: 'a=1' }), /cannot be combined with --method/);
+    assert.throws(() => normalize({ crawl: true, routes: ['/a', '/b'] }), /--crawl starts from a single route/);
+    assert.throws(() => normalize({ crawl: true, users: '1,2' }), /--crawl starts from a single route/);
+    assert.throws(() => normalize({ crawl: true, crawl_limit: 0 }), /--crawl-limit must be a number of pages >= 1/);
+    assert.throws(() => normalize({ crawl_exclude: ['/admin/**'] }), /--crawl-include and --crawl-exclude need --crawl/);
+});
+
+test('never changes its input', () => {
+    const input = {
+        routes: ['dashboard'],
+        files: [],
+        expect_count: ['.row:3'],
+        set_cookie: ['theme=dark'],
+        users: '1,2',
+        expect_access: { 1: 200 },
+        a11y_fail_on: 'serious'
+    };
+    const copy = JSON.parse(JSON.stringify(input));
+
+    const options = normalizeOptions(input);
+
+    assert.deepStrictEqual(input, copy);
+    assert.deepStrictEqual(options.expect_count, [{ selector: '.row', operator: '=', count: 3 }]);
+    assert.deepStrictEqual(normalizeOptions(options), options);
+});
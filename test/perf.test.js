@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseBudgets, checkBudgets } = require('../lib/perf');
+const { normalizeOptions } = require('../lib/options');
+
+test('parses budgets into metric limits', () => {
+    assert.deepStrictEqual(parseBudgets('ttfb:300, lcp:2500,js-kb:500,cls:0.1,'), {
+        'ttfb': 300, 'lcp': 2500, 'js-kb': 500, 'cls': 0.1
+    });
+});
+
+test('rejects unknown metrics and missing limits', () => {
+    assert.throws(() => parseBudgets('fcp:1000'), /Unknown budget metric 'fcp'/);
+    assert.throws(() => parseBudgets('lcp'), /Budget 'lcp' needs a numeric limit/);
+    assert.throws(() => parseBudgets('lcp:fast'), /needs a numeric limit, e\.g\. lcp:500/);
+});
+
+test('a budget turns on the performance metrics', () => {
+    const options = normalizeOptions({ routes: '/', budget: 'lcp:2500' });
+
+    assert.strictEqual(options.perf, true);
+    assert.deepStrictEqual(options.budget, { lcp: 2500 });
+    assert.throws(() => normalizeOptions({ routes: '/', budget: 'fcp:1' }), /Invalid --budget: Unknown budget metric/);
+});
+
+test('budgets pass at the limit and when the metric was not collected', () => {
+    const perf = {
+        navigation: { ttfb: 300 },
+        lcp: null,
+        resources: { total: { count: 12, kb: 900 }, by_type: { js: { count: 3, kb: 620 } } }
+    };
+    const results = checkBudgets(perf, parseBudgets('ttfb:300,lcp:2500,js-kb:500,css-kb:50'));
+
+    assert.deepStrictEqual(results.map(r => [r.metric, r.actual, r.passed]), [
+        ['ttfb', 300, true],
+        ['lcp', null, true],
+        ['js-kb', 620, false],
+        ['css-kb', 0, true]
+    ]);
+    assert.strictEqual(results[2].unit, 'KB');
+});
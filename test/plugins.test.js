@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadPlugins, runPageHook, runReportHooks } = require('../lib/plugins');
+
+function report() {
+    return { route: '/dashboard', failures: [] };
+}
+
+test('loads plugins from objects and from modules exporting one or many', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plugins-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'one.js'), "module.exports = { name: 'one', afterLoad() {} };");
+        fs.writeFileSync(path.join(dir, 'many.js'), "module.exports = [{ name: 'two' }, { name: 'three', report() {} }];");
+        fs.writeFileSync(path.join(dir, 'broken.js'), 'module.exports = {');
+
+        const plugins = loadPlugins([{ name: 'inline' }, path.join(dir, 'one.js'), path.join(dir, 'many.js')]);
+        assert.deepStrictEqual(plugins.map(p => p.name), ['inline', 'one', 'two', 'three']);
+
+        assert.throws(() => loadPlugins([path.join(dir, 'broken.js')]), /Could not load plugin .*broken\.js: Unexpected/);
+        assert.throws(() => loadPlugins([path.join(dir, 'missing.js')]), /Could not load plugin .*missing\.js: Cannot find module/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+test('rejects plugins without a name or with unknown hooks', () => {
+    assert.throws(() => loadPlugins([{ afterLoad() {} }]), /A plugin must be an object with a name/);
+    assert.throws(() => loadPlugins([() => {}]), /A plugin must be an object with a name/);
+    assert.throws(() => loadPlugins([{ name: 'x', afterload() {} }]), /Plugin 'x' has an unknown hook 'afterload'/);
+    assert.throws(() => loadPlugins([{ name: 'x', collect: true }]), /Plugin 'x' hook 'collect' must be a function/);
+});
+
+test('stores what collect returns and lets hooks fail the route', async () => {
+    const r = report();
+    const options = {
+        plugins: [
+            { name: 'meta', collect: ({ route }) => ({ route }) },
+            { name: 'quiet', collect() {} },
+            { name: 'strict', collect: ({ addFailure }) => addFailure('seo', 'Missing description') }
+        ]
+    };
+
+    await runPageHook('collect', { page: null, context: null, options, report: r });
+
+    assert.deepStrictEqual(r.plugins, { meta: { route: '/dashboard' }, quiet: null, strict: null });
+    assert.deepStrictEqual(r.failures, [{ type: 'seo', message: 'Missing description', fatal: false }]);
+});
+
+test('turns anything a page hook throws into a plugin failure', async () => {
+    const r = report();
+    const options = {
+        plugins: [
+            { name: 'error', async afterLoad() { throw new Error('boom\n    at stack'); } },
+            { name: 'string', afterLoad() { throw 'nope'; } },
+            { name: 'nothing', afterLoad() { throw undefined; } },
+            { name: 'skipped', collect() { throw new Error('not run'); } }
+        ]
+    };
+
+    await runPageHook('afterLoad', { page: null, context: null, options, report: r });
+
+    assert.deepStrictEqual(r.failures.map(f => f.message), [
+        "Plugin 'error' afterLoad failed: boom",
+        "Plugin 'string' afterLoad failed: nope",
+        "Plugin 'nothing' afterLoad failed: undefined"
+    ]);
+    assert.ok(r.failures.every(f => f.type === 'plugin'));
+});
+
+test('hands the result to report hooks and stops at the first that throws', async () => {
+    const seen = [];
+    const options = {
+        plugins: [
+            { name: 'first', report: result => seen.push(result.passed) },
+            { name: 'second', report() { throw new Error('disk full'); } }
+        ]
+    };
+
+    await assert.rejects(runReportHooks({ passed: true }, options), /Plugin 'second' report failed: disk full/);
+    assert.deepStrictEqual(seen, [true]);
+});
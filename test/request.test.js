@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseFileArg, buildRequestBody } = require('../lib/request');
+
+test('parses --file field=@path', () => {
+    assert.deepStrictEqual(parseFileArg('avatar=@storage/app/me.png'), { field: 'avatar', path: 'storage/app/me.png' });
+    assert.deepStrictEqual(parseFileArg('docs[]=@a=b.pdf'), { field: 'docs[]', path: 'a=b.pdf' });
+    assert.throws(() => parseFileArg('avatar=me.png'), /--file must look like field=@path/);
+    assert.throws(() => parseFileArg('=@me.png'), /--file must look like field=@path/);
+});
+
+test('sends --post as JSON or as a raw urlencoded string', () => {
+    assert.deepStrictEqual(buildRequestBody({ post_data: { name: 'Ada' }, files: [] }, 'token'), {
+        contentType: 'application/json',
+        body: '{"name":"Ada"}',
+        fields: ['name'],
+        files: []
+    });
+    assert.deepStrictEqual(buildRequestBody({ post_data: 'a=1&b=2', files: [] }, null).fields, ['a', 'b']);
+});
+
+test('adds the CSRF token to form fields unless one is given', () => {
+    assert.strictEqual(buildRequestBody({ form: 'name=Ada', files: [] }, 'abc').body, 'name=Ada&_token=abc');
+    assert.strictEqual(buildRequestBody({ form: '_token=mine', files: [] }, 'abc').body, '_token=mine');
+    assert.strictEqual(buildRequestBody({ form: null, files: [] }, 'abc'), null);
+});
+
+test('uploads files as multipart with their MIME type', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'request-'));
+    try {
+        const file = path.join(dir, 'report.CSV');
+        fs.writeFileSync(file, 'a,b\n');
+        const body = buildRequestBody({ form: 'title=Q1', files: [{ field: 'report', path: file }] }, 'abc');
+
+        assert.match(body.contentType, /^multipart\/form-data; boundary=/);
+        assert.deepStrictEqual(body.fields, ['title', '_token']);
+        assert.deepStrictEqual(body.files, [{ field: 'report', filename: 'report.CSV', mime_type: 'text/csv', size: 4 }]);
+        assert.match(body.body.toString(), /name="report"; filename="report.CSV"\r\nContent-Type: text\/csv\r\n\r\na,b\n\r\n/);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
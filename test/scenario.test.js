@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadScenario } = require('../lib/scenario');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenario-'));
+let files = 0;
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function scenarioFile(content, ext = '.json') {
+    const file = path.join(dir, `scenario-${++files}${ext}`);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+}
+
+test('loads a list of steps with their action, target and params', () => {
+    const scenario = loadScenario(scenarioFile([
+        { click: 'button.add', name: 'Add item' },
+        { fill: '#email', value: 'test@example.com', timeout: 500 }
+    ]));
+
+    assert.strictEqual(scenario.steps.length, 2);
+    assert.deepStrictEqual(scenario.steps[0], {
+        number: 1, action: 'click', target: 'button.add', name: 'Add item', timeout: null, params: {}
+    });
+    assert.deepStrictEqual(scenario.steps[1].params, { value: 'test@example.com' });
+    assert.strictEqual(scenario.steps[1].timeout, 500);
+});
+
+test('loads YAML scenarios with a name and timeout', () => {
+    const scenario = loadScenario(scenarioFile('name: Checkout\ntimeout: 2000\nsteps:\n  - click: "#buy"\n', '.yml'));
+
+    assert.strictEqual(scenario.name, 'Checkout');
+    assert.strictEqual(scenario.timeout, 2000);
+    assert.strictEqual(scenario.steps[0].action, 'click');
+});
+
+test('rejects scenarios without steps or with invalid steps', () => {
+    assert.throws(() => loadScenario(scenarioFile([])), /has no steps/);
+    assert.throws(() => loadScenario(scenarioFile('{ nope')), /Could not parse scenario/);
+    assert.throws(() => loadScenario(scenarioFile(['click'])), /step 1 must be an object/);
+    assert.throws(() => loadScenario(scenarioFile([{ click: 'a', fill: 'b' }])), /exactly one action/);
+    assert.throws(() => loadScenario(scenarioFile([{ clikc: 'a' }])), /exactly one action/);
+    assert.throws(() => loadScenario(scenarioFile([{ click: '' }])), /missing its argument/);
+});
+
+test('rejects assert steps that check nothing', () => {
+    assert.throws(() => loadScenario(scenarioFile([{ assert: { visibel: '.alert' } }])), /unknown key\(s\) visibel/);
+    assert.throws(() => loadScenario(scenarioFile([{ assert: {} }])), /checks nothing/);
+    assert.throws(() => loadScenario(scenarioFile([{ assert: { selector: 'main' } }])), /checks nothing/);
+    assert.throws(() => loadScenario(scenarioFile([{ assert: '.alert' }])), /expects an object/);
+    assert.throws(() => loadScenario(scenarioFile([{ assert: { count: 2 } }])), /count requires a selector/);
+});
+
+test('accepts every kind of assert step', () => {
+    const scenario = loadScenario(scenarioFile([
+        { assert: { visible: '.alert' } },
+        { assert: { hidden: '.spinner' } },
+        { assert: { text: 'Saved', selector: 'main' } },
+        { assert: { url: '**/thanks' } },
+        { assert: { title: 'Done' } },
+        { assert: { count: 0, selector: '.error' } }
+    ]));
+
+    assert.strictEqual(scenario.steps.length, 6);
+});
+
+test('rejects wait-for steps without a selector, text or url', () => {
+    assert.throws(() => loadScenario(scenarioFile([{ 'wait-for': { state: 'visible' } }])), /expects a selector, text or url/);
+    assert.throws(() => loadScenario(scenarioFile([{ 'wait-for': { selecter: '#x' } }])), /unknown key\(s\) selecter/);
+
+    const scenario = loadScenario(scenarioFile([
+        { 'wait-for': '#ready' },
+        { 'wait-for': { selector: '#modal', state: 'hidden' } },
+        { 'wait-for': { text: 'Added to cart' } },
+        { 'wait-for': { url: '**/thanks' } }
+    ]));
+    assert.strictEqual(scenario.steps.length, 4);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadSnapshotSettings, formatTree, unifiedDiff } = require('../lib/snapshot');
+
+const el = (tag, attrs = [], children = []) => ({ tag, attrs, children });
+const text = value => ({ text: value });
+
+test('reads volatile attributes and patterns from the snapshots config', () => {
+    const settings = loadSnapshotSettings('{"volatile_attributes": ["data-v-*"], "volatile_patterns": ["\\\\d{4}-\\\\d{2}-\\\\d{2}"]}');
+
+    assert.ok(settings.attributes.includes('wire:id'));
+    assert.ok(settings.attributes.includes('data-v-*'));
+    assert.ok(settings.patterns[0].test('2024-05-01'));
+
+    assert.strictEqual(loadSnapshotSettings('not json').patterns.length, 0);
+    assert.strictEqual(loadSnapshotSettings(null).attributes.length, settings.attributes.length - 1);
+});
+
+test('formats elements one per line with sorted attributes and collapsed text outside raw elements', () => {
+    const tree = el('form', [['method', 'post'], ['action', '/login']], [
+        text('\n  '),
+        el('label', [['for', 'email']], [text('  E-mail\n  address ')]),
+        el('input', [['name', 'email'], ['required', '']]),
+        el('pre', [], [text('a  b\n c')])
+    ]);
+
+    assert.deepStrictEqual(formatTree(tree, null, loadSnapshotSettings(null)), [
+        '<form action="/login" method="post">',
+        '  <label for="email">E-mail address</label>',
+        '  <input name="email" required>',
+        '  <pre>',
+        '    a  b\n c',
+        '  </pre>',
+        '</form>'
+    ]);
+});
+
+test('scrubs the CSRF token, volatile attributes and volatile text', () => {
+    const settings = loadSnapshotSettings('{"volatile_attributes": ["data-v-*"], "volatile_patterns": ["\\\\d+ minutes ago"]}');
+    const tree = el('div', [['wire:id', 'abc'], ['data-v-1f2e', ''], ['data-token', 's3cr3t']], [
+        el('input', [['name', '_token'], ['value', 's3cr3t']]),
+        el('p', [], [text('Saved 5 minutes ago & <synced>')])
+    ]);
+
+    assert.deepStrictEqual(formatTree(tree, 's3cr3t', settings), [
+        '<div data-token="[csrf]">',
+        '  <input name="_token" value="[csrf]">',
+        '  <p>Saved [volatile] &amp; &lt;synced&gt;</p>',
+        '</div>'
+    ]);
+});
+
+test('diffs equal texts as empty', () => {
+    assert.strictEqual(unifiedDiff('a\nb\n', 'a\nb\n', 'snapshot', 'actual'), '');
+});
+
+test('diffs changes in hunks with three lines of context', () => {
+    const expected = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12', '13', '14', '15'].join('\n') + '\n';
+    const actual = expected.replace('2\n', 'two\n').replace('14\n', '');
+
+    assert.strictEqual(unifiedDiff(expected, actual, 'home.html', 'home.actual.html'), [
+        '--- home.html',
+        '+++ home.actual.html',
+        '@@ -1,5 +1,5 @@',
+        ' 1',
+        '-2',
+        '+two',
+        ' 3',
+        ' 4',
+        ' 5',
+        '@@ -11,5 +11,4 @@',
+        ' 11',
+        ' 12',
+        ' 13',
+        '-14',
+        ' 15'
+    ].join('\n'));
+});
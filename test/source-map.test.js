@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSourceMapResolver } = require('../lib/source-map');
+
+const BASE_URL = 'http://localhost';
+
+const app = fs.mkdtempSync(path.join(os.tmpdir(), 'source-map-'));
+const publicPath = path.join(app, 'public');
+
+test.after(() => fs.rmSync(app, { recursive: true, force: true }));
+
+// Generated column 0 maps to 1:1 of app.js, column 4 to 3:3 of app.js named "boot"
+const MAP = { version: 3, sources: ['../../resources/js/app.js'], names: ['boot'], mappings: 'AAAA,IAEEA' };
+
+fs.mkdirSync(path.join(publicPath, 'build', 'maps'), { recursive: true });
+fs.writeFileSync(path.join(publicPath, 'build', 'app.js'), 'a();boot();\n');
+fs.writeFileSync(path.join(publicPath, 'build', 'app.js.map'), JSON.stringify(MAP));
+fs.writeFileSync(path.join(publicPath, 'build', 'vendor.js'), 'a();boot();\n//# sourceMappingURL=maps/vendor.js.map\n');
+fs.writeFileSync(path.join(publicPath, 'build', 'maps', 'vendor.js.map'), JSON.stringify({ ...MAP, sources: ['../../../node_modules/lib/index.js'] }));
+fs.writeFileSync(path.join(publicPath, 'build', 'broken.js'), 'a();');
+fs.writeFileSync(path.join(publicPath, 'build', 'broken.js.map'), '{');
+fs.writeFileSync(path.join(app, 'secret.js.map'), JSON.stringify(MAP));
+
+test('resolves built script positions to the original source', () => {
+    const resolve = createSourceMapResolver(publicPath, BASE_URL);
+
+    assert.deepStrictEqual(resolve('http://localhost/build/app.js?id=abc', 1, 1), {
+        source: 'resources/js/app.js', line: 1, column: 1, name: null
+    });
+    assert.deepStrictEqual(resolve('http://localhost/build/app.js', 1, 8), {
+        source: 'resources/js/app.js', line: 3, column: 3, name: 'boot'
+    });
+    assert.strictEqual(resolve('http://localhost/build/app.js', 2, 1), null);
+});
+
+test('follows the sourceMappingURL comment of a script', () => {
+    const resolve = createSourceMapResolver(publicPath, BASE_URL);
+
+    assert.strictEqual(resolve('http://localhost/build/vendor.js', 1, 5).source, 'node_modules/lib/index.js');
+});
+
+test('resolves nothing outside the application or without a readable map', () => {
+    const resolve = createSourceMapResolver(publicPath, BASE_URL);
+
+    assert.strictEqual(resolve('https://cdn.example.com/build/app.js', 1, 1), null);
+    assert.strictEqual(resolve('http://localhost/..%2fsecret.js', 1, 1), null);
+    assert.strictEqual(resolve('http://localhost/build/broken.js', 1, 1), null);
+    assert.strictEqual(resolve('http://localhost/build/missing.js', 1, 1), null);
+    assert.strictEqual(resolve('<anonymous>', 1, 1), null);
+    assert.strictEqual(createSourceMapResolver(null, BASE_URL)('http://localhost/build/app.js', 1, 1), null);
+});
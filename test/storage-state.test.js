@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseKeyValue, buildStorageState, storageStateContextOptions } = require('../lib/storage-state');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-state-'));
+let files = 0;
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+function stateFile(content) {
+    const file = path.join(dir, `state-${++files}.json`);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+}
+
+function options(overrides) {
+    return { load_state: null, set_cookie: [], set_local_storage: [], base_url: 'https://shop.test', ...overrides };
+}
+
+test('parses name=value options, keeping = in the value', () => {
+    assert.deepStrictEqual(parseKeyValue('theme=dark', '--set-cookie'), ['theme', 'dark']);
+    assert.deepStrictEqual(parseKeyValue('token=a=b', '--set-cookie'), ['token', 'a=b']);
+    assert.deepStrictEqual(parseKeyValue('empty=', '--set-local-storage'), ['empty', '']);
+    assert.throws(() => parseKeyValue('=dark', '--set-cookie'), /--set-cookie must look like name=value, got '=dark'/);
+    assert.throws(() => parseKeyValue('dark', '--set-local-storage'), /--set-local-storage must look like name=value/);
+});
+
+test('starts from a blank context when no state is given', () => {
+    assert.strictEqual(buildStorageState(options()), null);
+    assert.deepStrictEqual(storageStateContextOptions(null), {});
+});
+
+test('adds cookies and localStorage for the application origin', () => {
+    const state = buildStorageState(options({
+        set_cookie: [['theme', 'dark']],
+        set_local_storage: [['onboarding_dismissed', '1']]
+    }));
+
+    assert.deepStrictEqual(state.cookies, [{
+        name: 'theme', value: 'dark', domain: 'shop.test', path: '/', expires: -1, httpOnly: false, secure: true, sameSite: 'Lax'
+    }]);
+    assert.deepStrictEqual(state.origins, [{ origin: 'https://shop.test', localStorage: [{ name: 'onboarding_dismissed', value: '1' }] }]);
+});
+
+test('overrides loaded values of the same name and keeps the rest', () => {
+    const file = stateFile({
+        cookies: [
+            { name: 'theme', value: 'light', domain: 'shop.test', path: '/' },
+            { name: 'theme', value: 'light', domain: 'other.test', path: '/' }
+        ],
+        origins: [{
+            origin: 'https://shop.test',
+            localStorage: [{ name: 'cart', value: '[]' }, { name: 'tour', value: '0' }],
+            sessionStorage: [{ name: 'step', value: '2' }]
+        }]
+    });
+    const state = buildStorageState(options({ load_state: file, set_cookie: [['theme', 'dark']], set_local_storage: [['tour', '1']] }));
+
+    assert.deepStrictEqual(state.cookies.map(c => `${c.domain}:${c.value}`), ['other.test:light', 'shop.test:dark']);
+    assert.deepStrictEqual(state.origins[0].localStorage, [{ name: 'cart', value: '[]' }, { name: 'tour', value: '1' }]);
+
+    assert.deepStrictEqual(storageStateContextOptions(state).storageState.origins, [{
+        origin: 'https://shop.test',
+        localStorage: state.origins[0].localStorage
+    }]);
+});
+
+test('rejects unreadable or malformed state files', () => {
+    assert.throws(() => buildStorageState(options({ load_state: path.join(dir, 'missing.json') })), /Could not read state file/);
+    assert.throws(() => buildStorageState(options({ load_state: stateFile('{') })), /Could not read state file/);
+    assert.throws(() => buildStorageState(options({ load_state: stateFile({ cookies: [] }) })), /needs "cookies" and "origins" arrays/);
+});
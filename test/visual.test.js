@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PNG } = require('pngjs');
+const { baselinePaths, compareImages } = require('../lib/visual');
+
+function png(width, height, paint = () => [255, 255, 255, 255]) {
+    const image = new PNG({ width, height });
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            image.data.set(paint(x, y), (y * width + x) * 4);
+        }
+    }
+    return PNG.sync.write(image);
+}
+
+test('identical images do not differ', () => {
+    const result = compareImages(png(10, 10), png(10, 10));
+
+    assert.strictEqual(result.diff_pixels, 0);
+    assert.strictEqual(result.diff_percent, 0);
+    assert.ok(Buffer.isBuffer(result.diff));
+});
+
+test('counts changed pixels as a percentage of the image', () => {
+    const changed = png(10, 10, (x, y) => (x < 5 && y < 2 ? [0, 0, 0, 255] : [255, 255, 255, 255]));
+    const result = compareImages(png(10, 10), changed);
+
+    assert.strictEqual(result.diff_pixels, 10);
+    assert.strictEqual(result.diff_percent, 10);
+});
+
+test('images of different sizes are compared over the larger size', () => {
+    const black = () => [0, 0, 0, 255];
+    const result = compareImages(png(10, 10, black), png(10, 20, black));
+
+    assert.strictEqual(result.diff_pixels, 100);
+    assert.strictEqual(result.diff_percent, 50);
+    assert.strictEqual(PNG.sync.read(result.diff).height, 20);
+});
+
+test('baselines are keyed by route, user, width and browser', () => {
+    assert.deepStrictEqual(baselinePaths('baselines', '/admin/users', null, 1280, 'chromium'), {
+        baseline: 'baselines/admin_users--guest--1280.png',
+        actual: 'baselines/admin_users--guest--1280.actual.png',
+        diff: 'baselines/admin_users--guest--1280.diff.png'
+    });
+    assert.strictEqual(baselinePaths('b', '/', 'a@b.c', 375, 'webkit').baseline, 'b/index--a_b_c--375--webkit.png');
+});